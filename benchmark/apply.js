@@ -0,0 +1,91 @@
+/**
+ * Benchmark of JsonMod#apply() on a large lockfile-style document.
+ *
+ * Compares applying all operations in a single apply() call (one parse, edits collected as ranges)
+ * with applying them one by one, which re-parses the whole document for every operation.
+ * The operations are spread over many objects, then all delete or insert entries of the same object.
+ *
+ * Usage: node benchmark/apply.js [packages=20000] [operations=300]
+ */
+import { jsonmod, formatValue } from "../src/index.js";
+
+const packageCount = Number(process.argv[2]) || 20000;
+const operationCount = Number(process.argv[3]) || 300;
+
+function createLockfile(count) {
+	const packages = { "": { name: "app", version: "1.0.0" } };
+
+	for (let i = 0; i < count; i++) {
+		packages[`node_modules/package-${i}`] = {
+			version: `1.${i % 10}.${i % 7}`,
+			resolved: `https://registry.npmjs.org/package-${i}/-/package-${i}-1.${i % 10}.${i % 7}.tgz`,
+			integrity: `sha512-${Buffer.from(`package-${i}`).toString("base64").padEnd(86, "A")}==`,
+			dependencies: { [`package-${(i + 1) % count}`]: "^1.0.0" },
+		};
+	}
+
+	return JSON.stringify({ name: "app", version: "1.0.0", lockfileVersion: 3, requires: true, packages }, null, 2);
+}
+
+function createOperations(count) {
+	const operations = [];
+	const step = Math.max(1, Math.floor(packageCount / count));
+
+	for (let i = 0; i < count; i++) {
+		const name = `node_modules/package-${i * step}`;
+		switch (i % 3) {
+			case 0:
+				operations.push((mod) => mod.replace(["packages", name, "version"], formatValue("2.0.0")));
+				break;
+			case 1:
+				operations.push((mod) => mod.delete(["packages", name, "resolved"]));
+				break;
+			case 2:
+				operations.push((mod) => mod.insert(["packages", name], "license", formatValue("MIT")));
+				break;
+		}
+	}
+
+	return operations;
+}
+
+function createSameContainerOperations(count) {
+	const operations = [];
+	const step = Math.max(1, Math.floor(packageCount / count));
+
+	for (let i = 0; i < count; i++) {
+		operations.push((mod) => mod.delete(["packages", `node_modules/package-${i * step}`]));
+	}
+	for (let i = 0; i < count; i++) {
+		operations.push((mod) => mod.insert("packages", `node_modules/added-${i}`, formatValue({ version: "1.0.0" })));
+	}
+
+	return operations;
+}
+
+function measure(label, fn) {
+	const start = process.hrtime.bigint();
+	const result = fn();
+	const ms = Number(process.hrtime.bigint() - start) / 1e6;
+	console.log(`${label.padEnd(32)} ${ms.toFixed(1).padStart(10)} ms`);
+	return result;
+}
+
+const source = createLockfile(packageCount);
+
+console.log(`document: ${(source.length / 1024 / 1024).toFixed(2)} MB\n`);
+
+for (const [name, operations] of [
+	["spread", createOperations(operationCount)],
+	["same container", createSameContainerOperations(Math.ceil(operationCount / 3))],
+]) {
+	console.log(`${name}: ${operations.length} operations`);
+	const batched = measure("single apply()", () => operations.reduce((mod, op) => op(mod), jsonmod(source)).apply());
+	const sequential = measure("apply() per operation", () => operations.reduce((text, op) => op(jsonmod(text)).apply(), source));
+
+	if (batched !== sequential) {
+		console.error("\nResults differ!");
+		process.exitCode = 1;
+	}
+	console.log();
+}
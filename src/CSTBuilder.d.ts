@@ -1,9 +1,41 @@
 import { Token } from "./Tokenizer.js";
 
+/**
+ * The position of a comma token
+ */
+interface Comma {
+	start: number;
+	end: number;
+}
+
+/**
+ * A line or block comment attached to an object property or array element
+ */
+interface Comment {
+	type: "Comment";
+	start: number;
+	end: number;
+}
+
 interface NodePrimitives {
 	type: "String" | "Number" | "Boolean" | "Null";
 	start: number;
 	end: number;
+	/** For array elements: the comma following the element, null when there is none */
+	comma?: Comma | null;
+	/** For array elements: the comments on the lines right above the element or before it on its line */
+	leadingComments?: Comment[];
+	/** For array elements: the comments after the element on its line */
+	trailingComments?: Comment[];
+}
+
+/**
+ * An unquoted property key, only produced when parsing JSON5
+ */
+interface NodeIdentifier {
+	type: "Identifier";
+	start: number;
+	end: number;
 }
 
 interface NodeObject {
@@ -11,9 +43,23 @@ interface NodeObject {
 	start: number;
 	end: number;
 	properties: Array<{
-		key: NodePrimitives;
+		key: NodePrimitives | NodeIdentifier;
 		value: Node;
+		/** The comma following the property, null when there is none */
+		comma: Comma | null;
+		/** The comments on the lines right above the property or before it on its line */
+		leadingComments: Comment[];
+		/** The comments after the property on its line */
+		trailingComments: Comment[];
 	}>;
+	/** The keys defined more than once, with the indices of their properties in order of appearance (empty without the source text) */
+	duplicateKeys: Array<{ key: string; indices: number[] }>;
+	/** For array elements: the comma following the element, null when there is none */
+	comma?: Comma | null;
+	/** For array elements: the comments on the lines right above the element or before it on its line */
+	leadingComments?: Comment[];
+	/** For array elements: the comments after the element on its line */
+	trailingComments?: Comment[];
 }
 
 interface NodeArray {
@@ -21,14 +67,25 @@ interface NodeArray {
 	start: number;
 	end: number;
 	elements: Array<Node>;
+	/** For array elements: the comma following the element, null when there is none */
+	comma?: Comma | null;
+	/** For array elements: the comments on the lines right above the element or before it on its line */
+	leadingComments?: Comment[];
+	/** For array elements: the comments after the element on its line */
+	trailingComments?: Comment[];
 }
 
 type Node = NodePrimitives | NodeObject | NodeArray;
 
 declare class CSTBuilder {
-	constructor(tokens: Array<Token>);
+	/**
+	 * @param tokens - The tokens produced by the Tokenizer
+	 * @param sourceText - The source text, used to report line, column and code frame of parse errors
+	 * to attach comments to properties and elements, and to find the duplicate keys of objects
+	 */
+	constructor(tokens: Array<Token>, sourceText?: string);
 
 	build(): Node;
 }
 
-export { CSTBuilder, Node, NodePrimitives, NodeObject, NodeArray };
+export { CSTBuilder, Node, NodePrimitives, NodeIdentifier, NodeObject, NodeArray, Comma, Comment };
@@ -1,3 +1,6 @@
+import { JsonParseError } from "./errors.js";
+import { extractString } from "./helper.js";
+
 /**
  * CST（具体语法树）构建器类
  * 
@@ -24,9 +27,12 @@ export class CSTBuilder {
 	/**
 	 * 构造函数
 	 * @param {Array} tokens - Tokenizer 生成的 token 数组
+	 * @param {string} [sourceText] - 原始文本，用于在错误信息中给出行号、列号和代码帧，
+	 * 把注释附加到属性和数组元素上，以及找出对象中重复的键
 	 */
-	constructor(tokens) {
+	constructor(tokens, sourceText = "") {
 		this.tokens = tokens;  // 保存 token 数组
+		this.sourceText = sourceText;  // 保存原始文本
 		this.pos = 0;          // 当前处理的 token 位置
 	}
 
@@ -39,6 +45,12 @@ export class CSTBuilder {
 		this.skipTrivia();           // 跳过开头的空白和注释
 		const node = this.parseValue();  // 解析主值
 		this.skipTrivia();           // 跳过结尾的空白和注释
+
+		// 主值后面只能有空白和注释，例如 '{"a":1} {"b":2}' 是无效的
+		const token = this.current();
+		if (token) {
+			throw this.error(`Unexpected token after end of value: ${token.type}`, token.start, { expected: "EOF", found: token.type });
+		}
 		return node;
 	}
 
@@ -69,23 +81,200 @@ export class CSTBuilder {
 		}
 	}
 
+	/**
+	 * 跳过空白和注释，并返回被跳过的 token
+	 *
+	 * 与 skipTrivia 相同，但保留跳过的内容，用于把注释附加到对象属性和数组元素上。
+	 *
+	 * @returns {Array} 被跳过的空白和注释 token
+	 */
+	readTrivia() {
+		const start = this.pos;
+		this.skipTrivia();
+		return this.tokens.slice(start, this.pos);
+	}
+
+	/**
+	 * 统计一个空白 token 中包含的换行数
+	 * @param {Object} token - 空白 token
+	 * @returns {number} 换行数
+	 */
+	countNewlines(token) {
+		return this.sourceText.slice(token.start, token.end).split("\n").length - 1;
+	}
+
+	/**
+	 * 把 token 转换为注释节点
+	 * @param {Object} token - 注释 token
+	 * @returns {{ type: "Comment", start: number, end: number }} 注释节点
+	 */
+	toComment(token) {
+		return { type: "Comment", start: token.start, end: token.end };
+	}
+
+	/**
+	 * 从条目（属性或数组元素）后面的空白和注释中，分离出属于该条目的尾随注释
+	 *
+	 * 规则与编辑器相同：
+	 * - 值和逗号之间的注释（块注释）属于该条目
+	 * - 逗号后面、同一行内的注释也属于该条目，例如 "a": 1, // 说明
+	 *   但如果下一个条目也在这一行，这些注释（块注释）属于下一个条目
+	 *
+	 * @param {Array} beforeComma - 值和逗号之间的 token
+	 * @param {Array} afterComma - 逗号后面的 token（没有逗号时为空数组）
+	 * @returns {{ trailing: Array, rest: Array }} 尾随注释，以及留给下一个条目的 token
+	 */
+	splitTrailingComments(beforeComma, afterComma) {
+		// 没有原始文本时无法判断换行，不附加注释
+		if (!this.sourceText) {
+			return { trailing: [], rest: [] };
+		}
+
+		const trailing = beforeComma.filter((token) => token.type === "comment").map((token) => this.toComment(token));
+
+		const sameLine = [];
+		for (let i = 0; i < afterComma.length; i++) {
+			const token = afterComma[i];
+			if (token.type === "whitespace" && this.countNewlines(token) > 0) {
+				// 到达行尾：同一行内的注释都属于该条目
+				trailing.push(...sameLine);
+				return { trailing, rest: afterComma.slice(i) };
+			}
+			if (token.type === "comment") {
+				sameLine.push(this.toComment(token));
+			}
+		}
+
+		// 没有换行：如果后面是结束括号，注释属于该条目；否则属于同一行的下一个条目
+		const next = this.current();
+		if (!next || next.type === "braceR" || next.type === "bracketR") {
+			trailing.push(...sameLine);
+			return { trailing, rest: [] };
+		}
+		return { trailing, rest: afterComma };
+	}
+
+	/**
+	 * 从条目前面的空白和注释中，找出属于该条目的前导注释
+	 *
+	 * 规则与编辑器相同：
+	 * - 在条目前面、和条目在同一行的块注释属于该条目
+	 * - 紧挨在条目上方、独占一行的注释属于该条目，例如上一行的 // 说明
+	 * - 被空行隔开的注释不属于该条目
+	 * - 和左括号在同一行的注释不属于第一个条目，例如 { // 说明
+	 *
+	 * @param {Array} trivia - 条目前面的空白和注释 token
+	 * @returns {Array} 前导注释节点
+	 */
+	leadingComments(trivia) {
+		if (!this.sourceText) {
+			return [];
+		}
+
+		const comments = [];
+		let group = [];           // 还不能确定是否独占一行的注释
+		let seenNewline = false;  // 是否已经越过了条目所在行的行首
+
+		for (let i = trivia.length - 1; i >= 0; i--) {
+			const token = trivia[i];
+			if (token.type === "comment") {
+				if (seenNewline) {
+					group.unshift(this.toComment(token));
+				} else {
+					comments.unshift(this.toComment(token));
+				}
+				continue;
+			}
+
+			const newlines = this.countNewlines(token);
+			if (newlines > 0) {
+				// 注释前面有换行，说明它们独占一行
+				comments.unshift(...group);
+				group = [];
+				seenNewline = true;
+				if (newlines > 1) {
+					break;  // 空行，上面的注释不再属于该条目
+				}
+			}
+		}
+
+		return comments;
+	}
+
 	/**
 	 * 消费（读取并移动到下一个）指定类型的 token
 	 * 
 	 * @param {string} type - 期望的 token 类型
 	 * @returns {Object} 被消费的 token
-	 * @throws {Error} 如果当前 token 类型不匹配
+	 * @throws {JsonParseError} 如果当前 token 类型不匹配
 	 */
 	consume(type) {
 		const token = this.current();
 		// 检查 token 类型是否匹配
-		if (!token || token.type !== type) {
-			throw new Error(`Expected ${type}, got ${token && token.type}`);
+		if (!token) {
+			// 已经没有 token 了，错误位置指向输入末尾
+			throw this.error(`Expected ${type}, got end of input`, this.endOffset(), { expected: type, found: "EOF" });
+		}
+		if (token.type !== type) {
+			// 错误位置指向不匹配的 token
+			throw this.error(`Expected ${type}, got ${token.type}`, token.start, { expected: type, found: token.type });
 		}
 		this.pos++;  // 移动到下一个 token
 		return token;
 	}
 
+	/**
+	 * 输入末尾的位置，用于报告“意外的输入结束”错误
+	 * @returns {number}
+	 */
+	endOffset() {
+		if (this.sourceText) {
+			return this.sourceText.length;
+		}
+		const last = this.tokens[this.tokens.length - 1];
+		return last ? last.end : 0;
+	}
+
+	/**
+	 * 创建带有行号、列号和代码帧的解析错误
+	 * @param {string} message - 错误信息
+	 * @param {number} offset - 出错位置
+	 * @param {{ expected?: string, found?: string }} [details] - 期望的内容和实际遇到的内容
+	 * @returns {JsonParseError}
+	 */
+	error(message, offset, details = {}) {
+		return new JsonParseError(message, { sourceText: this.sourceText, offset, ...details });
+	}
+
+	/**
+	 * 消费一个逗号 token，返回它的位置
+	 *
+	 * 每个属性（或数组元素）都会记录紧跟在它后面的逗号，
+	 * 最后一个属性的逗号就是尾随逗号（JSONC / JSON5 中允许），没有逗号时为 null。
+	 *
+	 * @returns {{ start: number, end: number }} 逗号的位置
+	 */
+	readComma() {
+		const token = this.consume("comma");
+		return { start: token.start, end: token.end };
+	}
+
+	/**
+	 * 检查条目后面没有逗号时，下一个 token 是结束括号
+	 *
+	 * 例如 [1 2] 或 {"a": 1 "b": 2} 缺少逗号，错误位置指向缺少逗号后面的 token。
+	 * 已经没有 token 时不在这里报错，由消费结束括号时报告“意外的输入结束”。
+	 *
+	 * @param {string} closing - 结束括号的 token 类型（braceR 或 bracketR）
+	 * @throws {JsonParseError} 如果下一个 token 既不是逗号也不是结束括号
+	 */
+	expectCommaOr(closing) {
+		const token = this.current();
+		if (token && token.type !== closing) {
+			throw this.error(`Expected comma, got ${token.type}`, token.start, { expected: "comma", found: token.type });
+		}
+	}
+
 	/**
 	 * 解析一个 JSON 值
 	 * 
@@ -104,7 +293,7 @@ export class CSTBuilder {
 		const token = this.current();
 
 		if (!token) {
-			throw new Error("Unexpected end of input");
+			throw this.error("Unexpected end of input", this.endOffset(), { expected: "value", found: "EOF" });
 		}
 
 		// 根据 token 类型，调用相应的解析方法
@@ -122,7 +311,7 @@ export class CSTBuilder {
 			case "null":        // 空值
 				return this.parsePrimitive("Null");
 			default:
-				throw new Error(`Unexpected token: ${token.type}`);
+				throw this.error(`Unexpected token: ${token.type}`, token.start, { expected: "value", found: token.type });
 		}
 	}
 
@@ -171,14 +360,15 @@ export class CSTBuilder {
 		const startToken = this.consume("braceL");  // 消费左花括号 {
 		const properties = [];  // 存储所有属性（键值对）
 
-		this.skipTrivia();  // 跳过 { 后面的空白
+		let trivia = this.readTrivia();  // 跳过 { 后面的空白，保留其中的注释
 
 		// 循环读取属性，直到遇到右花括号
 		while (this.current() && this.current().type !== "braceR") {
-			// 1. 读取键（必须是字符串）
-			const keyToken = this.consume("string");
+			// 1. 读取键（必须是字符串，JSON5 中也可以是不带引号的标识符）
+			const isIdentifier = this.current().type === "identifier";
+			const keyToken = this.consume(isIdentifier ? "identifier" : "string");
 			const keyNode = {
-				type: "String",
+				type: isIdentifier ? "Identifier" : "String",
 				start: keyToken.start,
 				end: keyToken.end,
 			};
@@ -193,16 +383,31 @@ export class CSTBuilder {
 			// 5. 递归解析值（值可以是任意 JSON 类型）
 			const valueNode = this.parseValue();
 
-			// 6. 将键值对添加到属性列表
-			properties.push({ key: keyNode, value: valueNode });
+			// 6. 将键值对添加到属性列表，附加它上方（或同一行前面）的注释
+			const property = {
+				key: keyNode,
+				value: valueNode,
+				comma: null,
+				leadingComments: this.leadingComments(trivia),
+				trailingComments: [],
+			};
+			properties.push(property);
 
 			// 7. 跳过值后面的空白
-			this.skipTrivia();
-			// 8. 如果有逗号，消费它并继续；否则准备结束
+			const beforeComma = this.readTrivia();
+			let afterComma = [];
+			// 8. 如果有逗号，记录逗号的位置（用于处理尾随逗号），消费它并继续；否则必须是右花括号
 			if (this.current() && this.current().type === "comma") {
-				this.pos++;
-				this.skipTrivia();
+				property.comma = this.readComma();
+				afterComma = this.readTrivia();
+			} else {
+				this.expectCommaOr("braceR");
 			}
+
+			// 9. 附加同一行后面的注释，剩下的注释留给下一个属性
+			const split = this.splitTrailingComments(beforeComma, afterComma);
+			property.trailingComments = split.trailing;
+			trivia = split.rest;
 		}
 
 		// 消费右花括号 }
@@ -214,9 +419,42 @@ export class CSTBuilder {
 			start: startToken.start,  // 对象起始位置（左花括号的位置）
 			end: endToken.end,        // 对象结束位置（右花括号的位置）
 			properties,               // 所有属性
+			duplicateKeys: this.collectDuplicateKeys(properties),  // 出现多次的键
 		};
 	}
 
+	/**
+	 * 找出对象中出现多次的键（按解码后的值比较，"a" 和 "\u0061" 是同一个键）
+	 *
+	 * JSON.parse 取最后一次出现的值，而路径解析默认取第一次出现的，
+	 * 记录下来以便按 duplicateKeys 选项选择，或者报告给用户。
+	 *
+	 * @param {Array} properties - 对象的属性
+	 * @returns {Array<{ key: string, indices: number[] }>} 每个重复的键，以及使用它的属性的下标（按出现顺序）
+	 */
+	collectDuplicateKeys(properties) {
+		// 没有原始文本时无法解码键，不记录重复的键
+		if (!this.sourceText) {
+			return [];
+		}
+
+		const indicesByKey = new Map();
+		properties.forEach((property, index) => {
+			const key = extractString(property.key, this.sourceText);
+			if (indicesByKey.has(key)) {
+				indicesByKey.get(key).push(index);
+			} else {
+				indicesByKey.set(key, [index]);
+			}
+		});
+
+		const duplicates = [];
+		for (const [key, indices] of indicesByKey) {
+			if (indices.length > 1) duplicates.push({ key, indices });
+		}
+		return duplicates;
+	}
+
 	/**
 	 * 解析 JSON 数组
 	 * 
@@ -240,22 +478,32 @@ export class CSTBuilder {
 		const startToken = this.consume("bracketL");  // 消费左方括号 [
 		const elements = [];  // 存储所有元素
 
-		this.skipTrivia();  // 跳过 [ 后面的空白
+		let trivia = this.readTrivia();  // 跳过 [ 后面的空白，保留其中的注释
 
 		// 循环读取元素，直到遇到右方括号
 		while (this.current() && this.current().type !== "bracketR") {
 			// 1. 递归解析值（值可以是任意 JSON 类型）
 			const valueNode = this.parseValue();
-			// 2. 将值添加到元素列表
+			// 2. 将值添加到元素列表，附加它上方（或同一行前面）的注释
+			valueNode.comma = null;
+			valueNode.leadingComments = this.leadingComments(trivia);
 			elements.push(valueNode);
 
 			// 3. 跳过值后面的空白
-			this.skipTrivia();
-			// 4. 如果有逗号，消费它并继续；否则准备结束
+			const beforeComma = this.readTrivia();
+			let afterComma = [];
+			// 4. 如果有逗号，记录逗号的位置（用于处理尾随逗号），消费它并继续；否则必须是右方括号
 			if (this.current() && this.current().type === "comma") {
-				this.pos++;
-				this.skipTrivia();
+				valueNode.comma = this.readComma();
+				afterComma = this.readTrivia();
+			} else {
+				this.expectCommaOr("bracketR");
 			}
+
+			// 5. 附加同一行后面的注释，剩下的注释留给下一个元素
+			const split = this.splitTrailingComments(beforeComma, afterComma);
+			valueNode.trailingComments = split.trailing;
+			trivia = split.rest;
 		}
 
 		// 消费右方括号 ]
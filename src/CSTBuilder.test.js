@@ -2,10 +2,11 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import { Tokenizer } from "./Tokenizer.js";
 import { CSTBuilder } from "./CSTBuilder.js"; // 你的 CSTBuilder 文件
+import { JsonParseError } from "./errors.js";
 
 function buildCST(source) {
 	const tokens = new Tokenizer(source).tokenize();
-	const builder = new CSTBuilder(tokens);
+	const builder = new CSTBuilder(tokens, source);
 	return builder.build();
 }
 
@@ -134,3 +135,145 @@ test("all nodes within source range", () => {
 
 	checkNode(cst);
 });
+
+test("unexpected token reports the position of the token", () => {
+	const source = '{\n\t"a": 1,\n\t"b" 2\n}';
+
+	assert.throws(
+		() => buildCST(source),
+		(error) => {
+			assert(error instanceof JsonParseError);
+			assert.equal(error.message, "Expected colon, got number at line 3, column 6");
+			assert.equal(error.offset, source.indexOf("2"));
+			assert.equal(error.expected, "colon");
+			assert.equal(error.found, "number");
+			assert.equal(error.codeFrame, ['  2 | \t"a": 1,', '> 3 | \t"b" 2', "    | \t    ^", "  4 | }"].join("\n"));
+			return true;
+		},
+	);
+});
+
+test("unexpected end of input points at the end of input", () => {
+	const source = '{"a": [1, 2';
+
+	assert.throws(() => buildCST(source), {
+		name: "JsonParseError",
+		message: "Expected bracketR, got end of input at line 1, column 12",
+		offset: source.length,
+		expected: "bracketR",
+		found: "EOF",
+	});
+
+	assert.throws(() => buildCST('{"a":'), {
+		name: "JsonParseError",
+		offset: 5,
+		expected: "value",
+		found: "EOF",
+	});
+});
+
+test("unexpected token where a value is expected", () => {
+	assert.throws(() => buildCST('{"a": }'), {
+		name: "JsonParseError",
+		message: "Unexpected token: braceR at line 1, column 7",
+		offset: 6,
+		found: "braceR",
+	});
+});
+
+test("missing comma between entries points at the next entry", () => {
+	const source = '{\n\t"a": 1\n\t"b": 2\n}';
+
+	assert.throws(() => buildCST(source), {
+		name: "JsonParseError",
+		message: "Expected comma, got string at line 3, column 2",
+		offset: source.indexOf('"b"'),
+		expected: "comma",
+		found: "string",
+	});
+
+	assert.throws(() => buildCST("[1 2]"), {
+		name: "JsonParseError",
+		message: "Expected comma, got number at line 1, column 4",
+		offset: 3,
+		expected: "comma",
+		found: "number",
+	});
+});
+
+test("content after the root value is rejected", () => {
+	assert.throws(() => buildCST('{"a": 1} {"b": 2}'), {
+		name: "JsonParseError",
+		message: "Unexpected token after end of value: braceL at line 1, column 10",
+		offset: 9,
+		expected: "EOF",
+		found: "braceL",
+	});
+	assert.throws(() => buildCST("1 // one\n2"), { name: "JsonParseError", offset: 9, found: "number" });
+	assert.equal(buildCST("[1] // done\n").type, "Array");
+});
+
+test("json5: unquoted keys become Identifier nodes", () => {
+	const source = "{name: 'app', 'quoted': 1, trailing: [1, 2,],}";
+	const cst = new CSTBuilder(new Tokenizer(source, { json5: true }).tokenize(), source).build();
+
+	assert.equal(cst.properties.length, 3);
+	assert.equal(cst.properties[0].key.type, "Identifier");
+	assert.equal(source.slice(cst.properties[0].key.start, cst.properties[0].key.end), "name");
+	assert.equal(cst.properties[0].value.type, "String");
+	assert.equal(cst.properties[1].key.type, "String");
+	assert.equal(cst.properties[2].value.elements.length, 2);
+});
+
+
+test("records the comma following each entry", () => {
+	const source = '{"a": [1, 2,], "b": 3}';
+	const cst = buildCST(source);
+
+	assert.deepEqual(cst.properties[0].comma, { start: 13, end: 14 });
+	assert.equal(cst.properties[1].comma, null);
+	assert.deepEqual(cst.properties[0].value.elements[0].comma, { start: 8, end: 9 });
+	assert.deepEqual(cst.properties[0].value.elements[1].comma, { start: 11, end: 12 });
+});
+
+test("attaches comments to properties and elements", () => {
+	const source = `{ // header
+  // about a
+  "a": 1, // one
+
+  // detached
+
+  "b": [
+    /* first */ 1, /* second */ 2 /* two */,
+  ] /* b */
+}`;
+	const cst = buildCST(source);
+	const text = (comments) => comments.map((comment) => source.slice(comment.start, comment.end));
+	const [a, b] = cst.properties;
+
+	assert.deepEqual(text(a.leadingComments), ["// about a"]);
+	assert.deepEqual(text(a.trailingComments), ["// one"]);
+	assert.deepEqual(text(b.leadingComments), []);
+	assert.deepEqual(text(b.trailingComments), ["/* b */"]);
+	assert.deepEqual(text(b.value.elements[0].leadingComments), ["/* first */"]);
+	assert.deepEqual(text(b.value.elements[0].trailingComments), []);
+	assert.deepEqual(text(b.value.elements[1].leadingComments), ["/* second */"]);
+	assert.deepEqual(text(b.value.elements[1].trailingComments), ["/* two */"]);
+	assert.equal(a.leadingComments[0].type, "Comment");
+});
+
+test("objects record their duplicate keys, compared once decoded", () => {
+	const cst = buildCST('{"a": 1, "b": {"c": 1}, "\\u0061": 2, "b": 3, "a": 4}');
+
+	assert.deepEqual(cst.duplicateKeys, [
+		{ key: "a", indices: [0, 2, 4] },
+		{ key: "b", indices: [1, 3] },
+	]);
+	assert.deepEqual(cst.properties[1].value.duplicateKeys, []);
+});
+
+test("duplicate keys are not collected without the source text", () => {
+	const tokens = new Tokenizer('{"a": 1, "b": 2, "a": 3}').tokenize();
+
+	assert.deepEqual(new CSTBuilder(tokens).build().duplicateKeys, []);
+});
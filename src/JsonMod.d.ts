@@ -1,3 +1,215 @@
+import { SkippedOperation } from "./errors.js";
+import { WalkContext, Visitor } from "./walk.js";
+
+/**
+ * Options for a JsonMod instance
+ */
+export interface JsonModOptions {
+	/**
+	 * Throw a JsonModError when an operation's path does not resolve, instead of skipping the operation
+	 * @default false
+	 */
+	strict?: boolean;
+
+	/**
+	 * Parse the source as JSON5. Inserted keys follow the quoting style already used in the object
+	 * @default false
+	 */
+	json5?: boolean;
+
+	/**
+	 * Whether edited objects/arrays end with a trailing comma: "preserve" keeps each container's current style,
+	 * "always" adds one and "never" removes it
+	 * @default "preserve"
+	 */
+	trailingComma?: "preserve" | "always" | "never";
+
+	/**
+	 * Keep the comments attached to deleted entries instead of removing them with the entry
+	 * @default false
+	 */
+	keepComments?: boolean;
+
+	/**
+	 * Which property a key defined several times in its object designates: "first" the first one, "last" the
+	 * last one (whose value JSON.parse keeps), "all" the last one too but the operations writing the key (replace,
+	 * set, delete, rename, comments, the source of move) change every one, and "error" throws a DuplicateKeyError
+	 * when a path goes through such a key or a value holding one is read. JSONPath expressions follow the same choice.
+	 * @default "first"
+	 */
+	duplicateKeys?: "first" | "last" | "all" | "error";
+}
+
+/**
+ * Options for delete() and remove()
+ */
+export interface DeleteOptions {
+	/**
+	 * Keep the comments attached to the deleted entry.
+	 * Defaults to the `keepComments` option given to jsonmod()
+	 */
+	keepComments?: boolean;
+}
+
+/**
+ * Options for setComment()
+ */
+export interface SetCommentOptions {
+	/**
+	 * Put the comment on its own line above the entry ("leading") or after it on its line ("trailing")
+	 * @default "leading"
+	 */
+	position?: "leading" | "trailing";
+
+	/**
+	 * Write a line (`//`) or a block comment
+	 * @default "line"
+	 */
+	style?: "line" | "block";
+}
+
+/**
+ * Options for removeComment()
+ */
+export interface RemoveCommentOptions {
+	/**
+	 * Only remove the comments at this position, defaults to both
+	 */
+	position?: "leading" | "trailing";
+}
+
+/**
+ * A comment attached to a property or array element
+ */
+export interface EntryComment {
+	position: "leading" | "trailing";
+	style: "line" | "block";
+	/** The comment text, without the comment delimiters */
+	text: string;
+}
+
+/**
+ * Computes the replacement of a value from its decoded old value and its concrete path
+ * @returns The new value as a JSON string, or undefined to keep the value
+ */
+export type ReplaceCallback = (oldValue: any, path: Array<string | number>) => string | undefined;
+
+/**
+ * Options for merge()
+ */
+export interface MergeOptions {
+	/**
+	 * The path of the value to merge the patch into, defaults to the root
+	 */
+	path?: string | Array<string | number>;
+}
+
+export interface FormatOptions {
+	/**
+	 * The number of spaces of an indentation level, or the string to use (e.g. "\t")
+	 * @default 2
+	 */
+	indent?: number | string;
+
+	/**
+	 * The line ending, the one of the document by default
+	 */
+	eol?: "\n" | "\r\n";
+
+	/**
+	 * The maximum width of a line holding an array printed on a single line, 0 to print every non-empty array on
+	 * several lines. Arrays holding comments or non-empty objects are always printed on several lines.
+	 * @default 80
+	 */
+	maxInlineWidth?: number;
+
+	/**
+	 * Keep a blank line where the document has some between entries
+	 * @default true
+	 */
+	keepBlankLines?: boolean;
+
+	/**
+	 * The path of the value to format, the whole document by default
+	 */
+	path?: string | Array<string | number>;
+}
+
+export interface SortKeysOptions {
+	/**
+	 * Compares two keys, by UTF-16 code units by default
+	 */
+	comparator?: (a: string, b: string) => number;
+
+	/**
+	 * Also sort the objects nested in the value, arrays included
+	 * @default false
+	 */
+	deep?: boolean;
+
+	/**
+	 * Keys placed first, in this order; the other keys follow, sorted with the comparator
+	 */
+	order?: string[];
+}
+
+/**
+ * An operation of a JSON Patch (RFC 6902) document, whose paths are JSON Pointers
+ */
+export type JsonPatchOperation =
+	| { op: "add"; path: string; value: any }
+	| { op: "remove"; path: string }
+	| { op: "replace"; path: string; value: any }
+	| { op: "move"; from: string; path: string }
+	| { op: "copy"; from: string; path: string }
+	| { op: "test"; path: string; value: any };
+
+/**
+ * A value selected by query()
+ */
+export interface QueryMatch {
+	/** The concrete path of the value */
+	path: Array<string | number>;
+	value: any;
+}
+
+/**
+ * The context of a node visited by JsonMod#visit(), with helpers queuing operations for the node
+ */
+export interface VisitContext extends WalkContext {
+	replace(value: string): void;
+	delete(options?: DeleteOptions): void;
+	insert(keyOrPosition: string | number, value: string): void;
+	setComment(text: string, options?: SetCommentOptions): void;
+	removeComment(options?: RemoveCommentOptions): void;
+}
+
+/**
+ * The JSON type of a value, as returned by typeOf()
+ */
+export type JsonType = "object" | "array" | "string" | "number" | "boolean" | "null";
+
+/**
+ * Options for apply() and applyWithReport()
+ */
+export interface ApplyOptions {
+	/**
+	 * Throw a JsonModError when an operation's path does not resolve.
+	 * Defaults to the `strict` option given to jsonmod()
+	 */
+	strict?: boolean;
+}
+
+/**
+ * Result of applyWithReport()
+ */
+export interface ApplyReport {
+	/** The modified JSON string */
+	text: string;
+	/** The operations that were skipped because their path does not resolve */
+	skipped: Array<SkippedOperation>;
+}
+
 /**
  * JsonMod - A chainable API for modifying JSON strings while preserving formatting
  */
@@ -5,36 +217,46 @@ export declare class JsonMod {
 	/**
 	 * Creates a new JsonMod instance
 	 * @param sourceText - The JSON string to modify
+	 * @param options - Options such as strict mode
 	 */
-	constructor(sourceText: string);
+	constructor(sourceText: string, options?: JsonModOptions);
 
 	/**
 	 * Replace a value at the specified path
 	 * @param path - The JSON path or array of path segments
-	 * @param value - The new value as a JSON string
+	 * @param value - The new value as a JSON string, or a function computing it from the decoded old value and
+	 * the concrete path of each match (returning undefined keeps the value)
 	 * @returns Returns this for chaining
 	 * @example
 	 * jsonmod(source).replace("user.name", '"Bob"').apply()
 	 * jsonmod(source).replace(["user", "name"], '"Bob"').apply()
+	 * jsonmod(source).replace('dependencies["@types/node"]', '"^20.0.0"').apply()
+	 * jsonmod(source).replace("$..version", '"2.0.0"').apply() // every match of a JSONPath expression
+	 * jsonmod(source).replace("dependencies.*", (range) => formatValue(range.replace("^", "~"))).apply()
 	 */
-	replace(path: string | string[], value: string): JsonMod;
+	replace(path: string | string[], value: string | ReplaceCallback): JsonMod;
 
 	/**
-	 * Delete a property or array element at the specified path
+	 * Delete a property or array element at the specified path, along with the comments attached to it
+	 * (on the lines right above it or after it on its line)
 	 * @param path - The JSON path or array of path segments
+	 * @param options - Delete options
 	 * @returns Returns this for chaining
 	 * @example
 	 * jsonmod(source).delete("user.age").apply()
 	 * jsonmod(source).remove(["user", "age"]).apply()
+	 * jsonmod(source).delete("user.age", { keepComments: true }).apply()
+	 * jsonmod(source).delete("$.items[?(@.enabled == false)]").apply()
 	 */
-	delete(path: string | string[]): JsonMod;
+	delete(path: string | string[], options?: DeleteOptions): JsonMod;
 
 	/**
 	 * Alias for delete()
 	 * @param path - The JSON path or array of path segments
+	 * @param options - Delete options
 	 * @returns Returns this for chaining
 	 */
-	remove(path: string | string[]): JsonMod;
+	remove(path: string | string[], options?: DeleteOptions): JsonMod;
 
 	/**
 	 * Insert a new property into an object or element into an array
@@ -49,17 +271,315 @@ export declare class JsonMod {
 	insert(path: string | string[], keyOrPosition: string | number, value: string): JsonMod;
 
 	/**
-	 * Apply all queued operations and return the modified JSON string
+	 * Append elements to an array
+	 * @param path - The path of the array
+	 * @param values - The elements to append, as JSON strings
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).push("keywords", '"json"', '"jsonc"').apply()
+	 */
+	push(path: string | Array<string | number>, ...values: string[]): JsonMod;
+
+	/**
+	 * Prepend elements to an array
+	 * @param path - The path of the array
+	 * @param values - The elements to prepend, as JSON strings
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).unshift("plugins", '"first-plugin"').apply()
+	 */
+	unshift(path: string | Array<string | number>, ...values: string[]): JsonMod;
+
+	/**
+	 * Remove and/or insert elements of an array, like Array.prototype.splice()
+	 * @param path - The path of the array
+	 * @param start - The index of the first element to remove, counted from the end when negative
+	 * @param deleteCount - The number of elements to remove, all the elements from `start` by default
+	 * @param items - The elements to insert at `start`, as JSON strings
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).splice("files", 1, 2, '"src"').apply()
+	 */
+	splice(path: string | Array<string | number>, start: number, deleteCount?: number, ...items: string[]): JsonMod;
+
+	/**
+	 * Move an element of an array to another index, with its comments and formatting
+	 * @param path - The path of the array
+	 * @param from - The index of the element
+	 * @param to - The index of the element once moved
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).moveElement("extends", 2, 0).apply()
+	 */
+	moveElement(path: string | Array<string | number>, from: number, to: number): JsonMod;
+
+	/**
+	 * Sort the elements of an array. Each element moves with its comments and formatting, while the commas, line
+	 * breaks and indentation between elements stay in place.
+	 * @param path - The path of the array
+	 * @param comparator - Compares two decoded elements; by default numbers come first in ascending order,
+	 * then strings by UTF-16 code units, then the other values in their current order
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).sortArray("keywords").apply()
+	 */
+	sortArray(path: string | Array<string | number>, comparator?: (a: any, b: any) => number): JsonMod;
+
+	/**
+	 * Set a value at the specified path, creating it when it does not exist.
+	 * Replaces the value when the path exists, inserts it when only the last segment is missing,
+	 * and creates the missing intermediate objects/arrays (an array when the next segment is a number).
+	 * @param path - The JSON path or array of path segments
+	 * @param value - The new value as a JSON string
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).set("compilerOptions.paths.foo", '["./foo"]').apply()
+	 * jsonmod(source).set("a.b[0].c", "1").apply()
+	 */
+	set(path: string | Array<string | number>, value: string): JsonMod;
+
+	/**
+	 * Rename a property, rewriting only its key: the quoting style of the key, the value and the comments are kept
+	 * @param path - The path of the property
+	 * @param newKey - The new property name
+	 * @returns Returns this for chaining
+	 * @throws {Error} When applied, if the object already has a property named `newKey`
+	 * @example
+	 * jsonmod(source).rename("compilerOptions.outdir", "outDir").apply()
+	 */
+	rename(path: string | Array<string | number>, newKey: string): JsonMod;
+
+	/**
+	 * Sort the properties of an object. Each property moves with its comments and the formatting of its value,
+	 * while the commas, line breaks and indentation between properties stay in place
+	 * @param path - The path of the object, "" or [] for the root
+	 * @param options - Sort options
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).sortKeys("dependencies").apply()
+	 * jsonmod(source).sortKeys("", { order: ["name", "version"] }).apply()
+	 */
+	sortKeys(path: string | Array<string | number>, options?: SortKeysOptions): JsonMod;
+
+	/**
+	 * Move a value to another path. The source text of the value, inner comments and layout included,
+	 * is re-indented to its destination, which is written like set() does: an existing value is replaced,
+	 * a missing one is created. The entry at `from` is then deleted. Into an array, the value is inserted at
+	 * the destination index of the array without the moved value, as with a JSON Patch move.
+	 * @param from - The path of the value to move
+	 * @param to - The destination path
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).move("compilerOptions.paths", "paths").apply()
+	 */
+	move(from: string | Array<string | number>, to: string | Array<string | number>): JsonMod;
+
+	/**
+	 * Copy a value to another path. The source text of the value, inner comments and layout included,
+	 * is re-indented to its destination, which is written like set() does: an existing value is replaced,
+	 * a missing one is created. Into an array, the value is inserted at the destination index.
+	 * @param from - The path of the value to copy
+	 * @param to - The destination path
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).copy("env.production", "env.staging").apply()
+	 */
+	copy(from: string | Array<string | number>, to: string | Array<string | number>): JsonMod;
+
+	/**
+	 * Get the decoded value at the specified path, as the document would be after applying the queued operations
+	 * @param path - The JSON path or array of path segments
+	 * @returns The value (strings unescaped, objects and arrays decoded recursively), undefined when the path does not resolve
+	 * @example
+	 * jsonmod('{"a": {"b": [1, "x"]}}').get("a.b") // [1, "x"]
+	 * jsonmod('{"a": 1}').replace("a", "2").get("a") // 2
+	 */
+	get(path: string | Array<string | number>): any;
+
+	/**
+	 * Whether the specified path exists, as the document would be after applying the queued operations
+	 * @param path - The JSON path or array of path segments
+	 */
+	has(path: string | Array<string | number>): boolean;
+
+	/**
+	 * Get the JSON type of the value at the specified path, as the document would be after applying the queued operations
+	 * @param path - The JSON path or array of path segments
+	 * @returns The type, undefined when the path does not resolve
+	 */
+	typeOf(path: string | Array<string | number>): JsonType | undefined;
+
+	/**
+	 * Get the property names of the object (or the indices of the array) at the specified path,
+	 * as the document would be after applying the queued operations
+	 * @param path - The JSON path or array of path segments
+	 * @returns The keys, undefined when the path does not resolve to an object or array
+	 */
+	keys(path: string | Array<string | number>): string[] | number[] | undefined;
+
+	/**
+	 * Set the comment attached to a property or array element, replacing the comments already there.
+	 * A leading comment goes on its own line above the entry, a trailing comment after it on its line.
+	 * Line comments are written as block comments when code follows them on the same line.
+	 * @param path - The path of the property or element
+	 * @param text - The comment text, without the comment delimiters
+	 * @param options - Position and style of the comment
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).setComment("compilerOptions.strict", "Required by the build").apply()
+	 * jsonmod(source).setComment("port", "dev only", { position: "trailing", style: "block" }).apply()
+	 */
+	setComment(path: string | Array<string | number>, text: string, options?: SetCommentOptions): JsonMod;
+
+	/**
+	 * Remove the comments attached to a property or array element
+	 * @param path - The path of the property or element
+	 * @param options - Only remove the comments at one position
+	 * @returns Returns this for chaining
+	 */
+	removeComment(path: string | Array<string | number>, options?: RemoveCommentOptions): JsonMod;
+
+	/**
+	 * Get the comments attached to a property or array element, as the document would be after applying the queued operations
+	 * @param path - The path of the property or element
+	 * @returns The comments, empty when the path does not resolve to a property or element
+	 */
+	getComments(path: string | Array<string | number>): EntryComment[];
+
+	/**
+	 * Get the values selected by a JSONPath expression (or the value at a plain path),
+	 * as the document would be after applying the queued operations
+	 * @param path - The JSONPath expression, JSON path or array of path segments
+	 * @returns The matches in document order (unions and slices with a negative step keep their own order), empty when nothing matches
+	 * @throws {InvalidPathError} When the JSONPath expression or the path is not valid
+	 * @example
+	 * jsonmod(source).query("$.packages[?(@.private == true)].name")
+	 * // [{ path: ["packages", 1, "name"], value: "internal" }]
+	 */
+	query(path: string | Array<string | number>): QueryMatch[];
+
+	/**
+	 * Walk the document, as it would be after applying the queued operations, and queue operations from the visitor.
+	 * The context of each node has helpers queuing an operation for the node.
+	 *
+	 * Operations are applied in order after the walk: deleting an array element shifts the
+	 * indices used by the operations queued after it for the following elements.
+	 * @param visitor - The visitor, see walk()
+	 * @returns Returns this for chaining
+	 * @example
+	 * jsonmod(source).visit({
+	 *   Property(node, ctx) {
+	 *     if (node.name === "version") ctx.replace('"2.0.0"');
+	 *   },
+	 * }).apply()
+	 */
+	visit(visitor: Visitor<VisitContext>): JsonMod;
+
+	/**
+	 * Merge a JSON Merge Patch (RFC 7396) into the document: `null` deletes a property, objects are merged
+	 * recursively and any other value replaces the target. Only the changed values are edited, so the rest
+	 * of the document keeps its text, comments included.
+	 * @param patch - The merge patch, as a value or as JSON text (a string patch is always parsed as JSON text)
+	 * @param options - The path of the value to merge the patch into, the root by default
+	 * @returns Returns this for chaining
+	 * @throws {JsonParseError} When the patch text is not valid
+	 * @example
+	 * jsonmod(source).merge({ server: { port: 8081, debug: null } }).apply()
+	 * jsonmod(source).merge('{"port": 8081}', { path: "server" }).apply()
+	 */
+	merge(patch: any, options?: MergeOptions): JsonMod;
+
+	/**
+	 * Queue a JSON Patch (RFC 6902): its operations are applied in order, with formatting preserved.
+	 *
+	 * A patch is atomic: when one of its operations fails (a path does not resolve, a `test` does not match),
+	 * applying throws a JsonPatchError and none of the patch is applied, whatever the strict option.
+	 * @param patch - The patch document
+	 * @returns Returns this for chaining
+	 * @throws {JsonPatchError} When an operation of the patch is malformed
+	 * @example
+	 * jsonmod(source)
+	 *   .applyPatch([
+	 *     { op: "test", path: "/version", value: "1.0.0" },
+	 *     { op: "replace", path: "/version", value: "2.0.0" },
+	 *     { op: "add", path: "/keywords/-", value: "json" },
+	 *   ])
+	 *   .apply()
+	 */
+	applyPatch(patch: JsonPatchOperation[]): JsonMod;
+
+	/**
+	 * Re-print the document (or the value at `path`) with a consistent layout: one entry per line, short arrays
+	 * on a single line. Comments stay in place relative to their entries, and strings, numbers and keys keep
+	 * their source text.
+	 * @param options - Format options
+	 * @returns Returns this for chaining
+	 * @throws {Error} When the indent option is invalid
+	 * @example
+	 * jsonmod(source).format({ indent: "\t" }).apply()
+	 */
+	format(options?: FormatOptions): JsonMod;
+
+	/**
+	 * Apply all queued operations and return the modified JSON string.
+	 * Operations whose path does not resolve are skipped, unless strict mode is enabled.
+	 * @param options - Overrides the options given to jsonmod()
 	 * @returns The modified JSON string
+	 * @throws {JsonModError} In strict mode, when an operation's path does not resolve
+	 */
+	apply(options?: ApplyOptions): string;
+
+	/**
+	 * Apply all queued operations and report the operations that were skipped
+	 * @param options - Overrides the options given to jsonmod()
+	 * @returns The modified JSON string and the skipped operations
+	 * @throws {JsonModError} In strict mode, when an operation's path does not resolve
+	 * @example
+	 * const { text, skipped } = jsonmod(source).replace("vesion", '"2.0.0"').applyWithReport();
 	 */
-	apply(): string;
+	applyWithReport(options?: ApplyOptions): ApplyReport;
 }
 
 /**
  * Factory function to create a new JsonMod instance
  * @param sourceText - The JSON string to modify
+ * @param options - Options such as strict mode
  * @returns A new JsonMod instance
  * @example
  * jsonmod(source).replace("a", "10").delete("b").apply()
+ * jsonmod(source, { strict: true }).replace("vesion", '"2.0.0"').apply() // throws JsonModError
+ */
+export declare function jsonmod(sourceText: string, options?: JsonModOptions): JsonMod;
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a JSON string, preserving its formatting, see JsonMod#applyPatch()
+ * @param sourceText - The JSON string to patch
+ * @param patch - The patch document
+ * @param options - The options of jsonmod()
+ * @returns The patched JSON string
+ * @throws {JsonPatchError} When the patch is malformed or one of its operations fails; nothing is applied then
+ * @example
+ * applyJsonPatch(source, [{ op: "replace", path: "/version", value: "2.0.0" }])
+ */
+export declare function applyJsonPatch(sourceText: string, patch: JsonPatchOperation[], options?: JsonModOptions): string;
+
+/**
+ * Re-print a JSON string with a consistent layout, keeping its comments, see JsonMod#format()
+ * @param sourceText - The JSON string to format
+ * @param options - Format options, and `json5` to parse the source as JSON5
+ * @returns The formatted JSON string
+ * @throws {JsonModError} When `path` does not resolve
+ * @throws {JsonParseError} When the source is not valid, e.g. when content follows the root value
+ * @example
+ * format(source, { indent: 4 })
+ */
+export declare function format(sourceText: string, options?: FormatOptions & { json5?: boolean }): string;
+
+/**
+ * Walk a document and queue operations from the visitor, see JsonMod#visit()
+ * @param sourceText - The JSON string to modify
+ * @param visitor - The visitor
+ * @param options - The options of jsonmod()
+ * @returns A new JsonMod instance holding the queued operations
  */
-export declare function jsonmod(sourceText: string): JsonMod;
+export declare function visit(sourceText: string, visitor: Visitor<VisitContext>, options?: JsonModOptions): JsonMod;
@@ -1,7 +1,20 @@
 import { Tokenizer } from "./Tokenizer.js";
 import { CSTBuilder } from "./CSTBuilder.js";
-import { resolvePath } from "./PathResolver.js";
-import { parsePath, extractString } from "./helper.js";
+import { resolvePathChain, findPropertyIndex, findPropertyIndices } from "./PathResolver.js";
+import { parsePath, extractString, decodeValue, deepEqual, encodeString } from "./helper.js";
+import { JsonModError, JsonPatchError } from "./errors.js";
+import { parse } from "./cst.js";
+import { walk } from "./walk.js";
+import { isJsonPath, isPathPattern, compilePathPattern, expandPaths } from "./jsonpath.js";
+import { validatePatch, resolvePointer } from "./jsonpatch.js";
+import { formatValue } from "./value-helpers.js";
+import { formatDocument, formatNode } from "./formatter.js";
+import { getContainerLayout, getEntries, getLineIndent, detectEol, reindent, dedent, findTrailingCommentEnd } from "./layout.js";
+
+/**
+ * The operations that only apply to arrays
+ */
+const ARRAY_OPERATIONS = new Set(["push", "unshift", "splice", "moveElement", "sortArray"]);
 
 /**
  * JsonMod - A chainable API for modifying JSON strings while preserving formatting
@@ -11,42 +24,70 @@ export class JsonMod {
 	/**
 	 * Creates a new JsonMod instance
 	 * @param {string} sourceText - The JSON string to modify
+	 * @param {object} [options]
+	 * @param {boolean} [options.strict=false] - Throw a JsonModError when an operation's path does not resolve
+	 * @param {boolean} [options.json5=false] - Parse the source as JSON5
+	 * @param {"preserve"|"always"|"never"} [options.trailingComma="preserve"] - Whether edited objects/arrays end with a
+	 * trailing comma: keep each container's current style, always add one, or never have one
+	 * @param {boolean} [options.keepComments=false] - Keep the comments attached to deleted entries
+	 * @param {"first"|"last"|"all"|"error"} [options.duplicateKeys="first"] - Which property a key defined several
+	 * times in its object designates: the first one, the last one (whose value JSON.parse keeps), the last one
+	 * with the operations writing the key changing every one, or none (a DuplicateKeyError is thrown)
 	 */
-	constructor(sourceText) {
+	constructor(sourceText, options = {}) {
+		if (options.trailingComma !== undefined && !["preserve", "always", "never"].includes(options.trailingComma)) {
+			throw new Error(`Invalid trailingComma option: ${options.trailingComma}`);
+		}
+		if (options.duplicateKeys !== undefined && !["first", "last", "all", "error"].includes(options.duplicateKeys)) {
+			throw new Error(`Invalid duplicateKeys option: ${options.duplicateKeys}`);
+		}
+
 		this.sourceText = sourceText;
+		this.options = options;
 		this.operations = [];
 	}
 
 	/**
 	 * Replace a value at the specified path
 	 * @param {string|string[]} path - The JSON path or array of path segments
-	 * @param {string} value - The new value as a JSON string
+	 * @param {string|((oldValue: any, path: Array<string|number>) => string|undefined)} value - The new value as a
+	 * JSON string, or a function computing it from the decoded old value and the concrete path of each match
+	 * (returning undefined keeps the value)
 	 * @returns {JsonMod} - Returns this for chaining
 	 * @example
 	 * jsonmod(source).replace("user.name", '"Bob"').apply()
 	 * jsonmod(source).replace(["user", "name"], '"Bob"').apply()
+	 * jsonmod(source).replace("$..version", '"2.0.0"').apply() // every match of a JSONPath expression
+	 * jsonmod(source).replace("dependencies.*", (range) => formatValue(range.replace("^", "~"))).apply()
 	 */
 	replace(path, value) {
 		this.operations.push({
 			type: "replace",
 			path: Array.isArray(path) ? path : path,
 			value,
+			results: new Map(),
 		});
 		return this;
 	}
 
 	/**
-	 * Delete a property or array element at the specified path
+	 * Delete a property or array element at the specified path, along with the comments attached to it
+	 * (on the lines right above it or after it on its line)
 	 * @param {string|string[]} path - The JSON path or array of path segments
+	 * @param {object} [options] - Delete options
+	 * @param {boolean} [options.keepComments] - Keep the attached comments. Defaults to the `keepComments` option given to jsonmod()
 	 * @returns {JsonMod} - Returns this for chaining
 	 * @example
 	 * jsonmod(source).delete("user.age").apply()
 	 * jsonmod(source).remove(["user", "age"]).apply()
+	 * jsonmod(source).delete("user.age", { keepComments: true }).apply()
+	 * jsonmod(source).delete("$.items[?(@.enabled == false)]").apply()
 	 */
-	delete(path) {
+	delete(path, options = {}) {
 		this.operations.push({
 			type: "delete",
 			path: Array.isArray(path) ? path : path,
+			keepComments: options.keepComments,
 		});
 		return this;
 	}
@@ -54,10 +95,12 @@ export class JsonMod {
 	/**
 	 * Alias for delete()
 	 * @param {string|string[]} path - The JSON path or array of path segments
+	 * @param {object} [options] - Delete options
+	 * @param {boolean} [options.keepComments] - Keep the comments attached to the deleted entry
 	 * @returns {JsonMod} - Returns this for chaining
 	 */
-	remove(path) {
-		return this.delete(path);
+	remove(path, options) {
+		return this.delete(path, options);
 	}
 
 	/**
@@ -81,296 +124,2216 @@ export class JsonMod {
 	}
 
 	/**
-	 * Apply all queued operations and return the modified JSON string
-	 * @returns {string} - The modified JSON string
+	 * Append elements to an array
+	 * @param {string|Array<string|number>} path - The path of the array
+	 * @param {...string} values - The elements to append, as JSON strings
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).push("keywords", '"json"', '"jsonc"').apply()
 	 */
-	apply() {
-		if (this.operations.length === 0) {
-			return this.sourceText;
-		}
+	push(path, ...values) {
+		this.operations.push({
+			type: "push",
+			path,
+			items: values,
+		});
+		return this;
+	}
 
-		let result = this.sourceText;
+	/**
+	 * Prepend elements to an array
+	 * @param {string|Array<string|number>} path - The path of the array
+	 * @param {...string} values - The elements to prepend, as JSON strings
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).unshift("plugins", '"first-plugin"').apply()
+	 */
+	unshift(path, ...values) {
+		this.operations.push({
+			type: "unshift",
+			path,
+			items: values,
+		});
+		return this;
+	}
 
-		// Apply operations sequentially to avoid conflicts
-		for (const op of this.operations) {
-			switch (op.type) {
-				case "replace":
-					result = this._applySingleReplace(result, op);
-					break;
-				case "delete":
-					result = this._applySingleDelete(result, op);
-					break;
-				case "insert":
-					result = this._applySingleInsert(result, op);
-					break;
-			}
-		}
+	/**
+	 * Remove and/or insert elements of an array, like Array.prototype.splice(). Removed elements take their comments
+	 * with them (unless the keepComments option is set), the others keep theirs.
+	 * @param {string|Array<string|number>} path - The path of the array
+	 * @param {number} start - The index of the first element to remove, counted from the end when negative
+	 * @param {number} [deleteCount] - The number of elements to remove, all the elements from `start` by default
+	 * @param {...string} items - The elements to insert at `start`, as JSON strings
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).splice("files", 1, 2, '"src"').apply()
+	 */
+	splice(path, start, deleteCount, ...items) {
+		this.operations.push({
+			type: "splice",
+			path,
+			start,
+			deleteCount,
+			items,
+		});
+		return this;
+	}
 
-		return result;
+	/**
+	 * Move an element of an array to another index, with its comments and formatting
+	 * @param {string|Array<string|number>} path - The path of the array
+	 * @param {number} from - The index of the element
+	 * @param {number} to - The index of the element once moved
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).moveElement("extends", 2, 0).apply()
+	 */
+	moveElement(path, from, to) {
+		this.operations.push({
+			type: "moveElement",
+			path,
+			from,
+			to,
+		});
+		return this;
 	}
 
 	/**
-	 * Internal method to apply a single replace operation
-	 * @private
+	 * Sort the elements of an array. Each element moves with its comments and formatting, while the commas, line
+	 * breaks and indentation between elements stay in place.
+	 * @param {string|Array<string|number>} path - The path of the array
+	 * @param {(a: any, b: any) => number} [comparator] - Compares two decoded elements; by default numbers come
+	 * first in ascending order, then strings by UTF-16 code units, then the other values in their current order
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).sortArray("keywords").apply()
+	 * jsonmod(source).sortArray("contributors", (a, b) => a.name.localeCompare(b.name)).apply()
 	 */
-	_applySingleReplace(sourceText, op) {
-		const tokenizer = new Tokenizer(sourceText);
-		const tokens = tokenizer.tokenize();
-		const builder = new CSTBuilder(tokens);
-		const root = builder.build();
+	sortArray(path, comparator) {
+		this.operations.push({
+			type: "sortArray",
+			path,
+			comparator,
+		});
+		return this;
+	}
 
-		const node = resolvePath(root, op.path, sourceText);
-		if (!node) {
-			return sourceText;
-		}
+	/**
+	 * Set a value at the specified path, creating it when it does not exist.
+	 * Replaces the value when the path exists, inserts it when only the last segment is missing,
+	 * and creates the missing intermediate objects/arrays (an array when the next segment is a number).
+	 * @param {string|Array<string|number>} path - The JSON path or array of path segments
+	 * @param {string} value - The new value as a JSON string
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).set("compilerOptions.paths.foo", '["./foo"]').apply()
+	 * jsonmod(source).set("a.b[0].c", "1").apply()
+	 */
+	set(path, value) {
+		this.operations.push({
+			type: "set",
+			path,
+			value,
+		});
+		return this;
+	}
 
-		return sourceText.slice(0, node.start) + op.value + sourceText.slice(node.end);
+	/**
+	 * Rename a property, rewriting only its key: the quoting style of the key, the value and the comments are kept
+	 * @param {string|Array<string|number>} path - The path of the property
+	 * @param {string} newKey - The new property name
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).rename("compilerOptions.outdir", "outDir").apply()
+	 */
+	rename(path, newKey) {
+		this.operations.push({
+			type: "rename",
+			path,
+			newKey,
+		});
+		return this;
 	}
 
 	/**
-	 * Internal method to apply a single delete operation
-	 * @private
+	 * Sort the properties of an object. Each property moves with its comments and the formatting of its value,
+	 * while the commas, line breaks and indentation between properties stay in place, so the object keeps its layout
+	 * and its trailing comma.
+	 * @param {string|Array<string|number>} path - The path of the object, "" or [] for the root
+	 * @param {object} [options]
+	 * @param {(a: string, b: string) => number} [options.comparator] - Compares two keys, by UTF-16 code units by default
+	 * @param {boolean} [options.deep=false] - Also sort the objects nested in the value, arrays included
+	 * @param {string[]} [options.order] - Keys placed first, in this order; the other keys follow, sorted
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).sortKeys("dependencies").apply()
+	 * jsonmod(source).sortKeys("", { order: ["name", "version"] }).apply()
 	 */
-	_applySingleDelete(sourceText, op) {
-		const tokenizer = new Tokenizer(sourceText);
-		const tokens = tokenizer.tokenize();
-		const builder = new CSTBuilder(tokens);
-		const root = builder.build();
+	sortKeys(path, options = {}) {
+		this.operations.push({
+			type: "sortKeys",
+			path,
+			comparator: options.comparator,
+			deep: Boolean(options.deep),
+			order: options.order || [],
+		});
+		return this;
+	}
 
-		const pathParts = parsePath(op.path);
-		if (pathParts.length === 0) {
-			return sourceText;
-		}
+	/**
+	 * Move a value to another path. The source text of the value, inner comments and layout included,
+	 * is re-indented to its destination, which is written like set() does: an existing value is replaced,
+	 * a missing one is created. The entry at `from` is then deleted. Into an array, the value is inserted at
+	 * the destination index of the array without the moved value, as with a JSON Patch move.
+	 * @param {string|Array<string|number>} from - The path of the value to move
+	 * @param {string|Array<string|number>} to - The destination path
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).move("compilerOptions.paths", "paths").apply()
+	 */
+	move(from, to) {
+		this.operations.push({
+			type: "move",
+			path: from,
+			to,
+		});
+		return this;
+	}
 
-		const parentPath = pathParts.slice(0, -1);
-		const lastKey = pathParts[pathParts.length - 1];
-		const parentNode = parentPath.length > 0 ? resolvePath(root, parentPath, sourceText) : root;
+	/**
+	 * Copy a value to another path. The source text of the value, inner comments and layout included,
+	 * is re-indented to its destination, which is written like set() does: an existing value is replaced,
+	 * a missing one is created. Into an array, the value is inserted at the destination index.
+	 * @param {string|Array<string|number>} from - The path of the value to copy
+	 * @param {string|Array<string|number>} to - The destination path
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).copy("env.production", "env.staging").apply()
+	 */
+	copy(from, to) {
+		this.operations.push({
+			type: "copy",
+			path: from,
+			to,
+		});
+		return this;
+	}
 
-		if (!parentNode) {
-			return sourceText;
-		}
+	/**
+	 * Get the decoded value at the specified path, as the document would be after applying the queued operations
+	 * @param {string|Array<string|number>} path - The JSON path or array of path segments
+	 * @returns {any} - The value (strings unescaped, objects and arrays decoded recursively), undefined when the path
+	 * does not resolve
+	 * @example
+	 * jsonmod('{"a": {"b": [1, "x"]}}').get("a.b") // [1, "x"]
+	 * jsonmod('{"a": 1}').replace("a", "2").get("a") // 2
+	 */
+	get(path) {
+		const text = this._getCurrentText();
+		const node = this._resolveNode(text, this._getPathParts(path));
+		return node ? this._decode(node, text) : undefined;
+	}
 
-		return this._deleteFromParent(sourceText, parentNode, lastKey, sourceText);
+	/**
+	 * Whether the specified path exists, as the document would be after applying the queued operations
+	 * @param {string|Array<string|number>} path - The JSON path or array of path segments
+	 * @returns {boolean}
+	 * @example
+	 * jsonmod('{"a": null}').has("a") // true
+	 */
+	has(path) {
+		return this._resolveNode(this._getCurrentText(), this._getPathParts(path)) !== null;
 	}
 
 	/**
-	 * Internal method to apply a single insert operation
-	 * @private
+	 * Get the JSON type of the value at the specified path, as the document would be after applying the queued operations
+	 * @param {string|Array<string|number>} path - The JSON path or array of path segments
+	 * @returns {"object"|"array"|"string"|"number"|"boolean"|"null"|undefined} - undefined when the path does not resolve
+	 * @example
+	 * jsonmod('{"a": [1]}').typeOf("a") // "array"
 	 */
-	_applySingleInsert(sourceText, op) {
-		const tokenizer = new Tokenizer(sourceText);
-		const tokens = tokenizer.tokenize();
-		const builder = new CSTBuilder(tokens);
-		const root = builder.build();
+	typeOf(path) {
+		const node = this._resolveNode(this._getCurrentText(), this._getPathParts(path));
+		return node ? node.type.toLowerCase() : undefined;
+	}
 
-		const node = resolvePath(root, op.path, sourceText);
-		if (!node) {
-			return sourceText;
+	/**
+	 * Get the property names of the object (or the indices of the array) at the specified path,
+	 * as the document would be after applying the queued operations
+	 * @param {string|Array<string|number>} path - The JSON path or array of path segments
+	 * @returns {Array<string>|Array<number>|undefined} - undefined when the path does not resolve to an object or array
+	 * @example
+	 * jsonmod('{"a": 1, "b": 2}').keys("") // ["a", "b"]
+	 */
+	keys(path) {
+		const text = this._getCurrentText();
+		const node = this._resolveNode(text, this._getPathParts(path));
+		if (node && node.type === "Object") {
+			return [...new Set(node.properties.map((prop) => extractString(prop.key, text)))];
 		}
-
-		return this._insertIntoNode(sourceText, node, op, sourceText);
+		if (node && node.type === "Array") {
+			return node.elements.map((_, index) => index);
+		}
+		return undefined;
 	}
 
-	_getDeleteStart(parentNode, key, sourceText) {
-		if (parentNode.type === "Object") {
-			for (const prop of parentNode.properties) {
-				const keyStr = extractString(prop.key, sourceText);
-				if (keyStr === key) {
-					return prop.key.start;
-				}
-			}
-		} else if (parentNode.type === "Array") {
-			if (typeof key === "number" && key >= 0 && key < parentNode.elements.length) {
-				return parentNode.elements[key].start;
-			}
+	/**
+	 * Get the nodes matching a JSONPath expression (or a single path), as the document would be after applying
+	 * the queued operations
+	 * @param {string|Array<string|number>} path - The JSONPath expression, or a path
+	 * @returns {Array<{ path: Array<string|number>, value: any }>} - The concrete path and decoded value of each match,
+	 * in document order, except for unions and slices with a negative step which keep their own order
+	 * @example
+	 * jsonmod(source).query("$..version") // [{ path: ["version"], value: "1.0.0" }, { path: ["deps", "a", "version"], value: "2.0.0" }]
+	 * jsonmod(source).query("$.items[?(@.enabled == false)]")
+	 */
+	query(path) {
+		const text = this._getCurrentText();
+
+		if (isPathPattern(path)) {
+			const matches = expandPaths(parseTree(text, this.options), compilePathPattern(path), text, this.options.duplicateKeys);
+			return matches.map((match) => ({ path: match.path, value: this._decode(match.node, text) }));
 		}
-		return 0;
-	}
 
-	_deleteFromParent(sourceText, parentNode, key, originalSource) {
-		if (parentNode.type === "Object") {
-			return this._deleteObjectProperty(sourceText, parentNode, key, originalSource);
-		} else if (parentNode.type === "Array") {
-			return this._deleteArrayElement(sourceText, parentNode, key, originalSource);
+		const pathParts = this._getPathParts(path);
+		const chain = this._resolveChain(parseTree(text, this.options), pathParts, text);
+		if (chain.length !== pathParts.length + 1) {
+			return [];
 		}
-		return sourceText;
+		// Negative indices are reported from the start of their array
+		const concretePath = pathParts.map((part, i) => (typeof part === "number" && part < 0 ? chain[i].elements.length + part : part));
+		return [{ path: concretePath, value: this._decode(chain[chain.length - 1], text) }];
 	}
 
-	_deleteObjectProperty(sourceText, objectNode, key, originalSource) {
-		let propIndex = -1;
-		for (let i = 0; i < objectNode.properties.length; i++) {
-			const keyStr = extractString(objectNode.properties[i].key, originalSource);
-			if (keyStr === key) {
-				propIndex = i;
-				break;
-			}
+	/**
+	 * Set the comment attached to a property or array element, replacing the comments already there.
+	 * A leading comment goes on its own line above the entry, a trailing comment after it on its line.
+	 * Line comments are written as block comments when code follows them on the same line.
+	 * @param {string|Array<string|number>} path - The path of the property or element
+	 * @param {string} text - The comment text, without the comment delimiters
+	 * @param {object} [options]
+	 * @param {"leading"|"trailing"} [options.position="leading"] - Where to put the comment
+	 * @param {"line"|"block"} [options.style="line"] - Write a line (`//`) or a block comment
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).setComment("compilerOptions.strict", "Required by the build").apply()
+	 * jsonmod(source).setComment("port", "dev only", { position: "trailing", style: "block" }).apply()
+	 */
+	setComment(path, text, options = {}) {
+		const { position = "leading", style = "line" } = options;
+		if (position !== "leading" && position !== "trailing") {
+			throw new Error(`Invalid comment position: ${position}`);
+		}
+		if (style !== "line" && style !== "block") {
+			throw new Error(`Invalid comment style: ${style}`);
+		}
+		if (style === "block" && text.includes("*/")) {
+			throw new Error('A block comment cannot contain "*/"');
+		}
+		if (style === "line" && position === "trailing" && /[\r\n]/.test(text)) {
+			throw new Error("A trailing line comment cannot span multiple lines");
 		}
 
-		if (propIndex === -1) return sourceText;
+		this.operations.push({
+			type: "setComment",
+			path,
+			text,
+			position,
+			style,
+		});
+		return this;
+	}
 
-		const prop = objectNode.properties[propIndex];
-		let deleteStart = prop.key.start;
-		let deleteEnd = prop.value.end;
+	/**
+	 * Remove the comments attached to a property or array element
+	 * @param {string|Array<string|number>} path - The path of the property or element
+	 * @param {object} [options]
+	 * @param {"leading"|"trailing"} [options.position] - Only remove the comments at this position, defaults to both
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).removeComment("compilerOptions.strict").apply()
+	 */
+	removeComment(path, options = {}) {
+		this.operations.push({
+			type: "removeComment",
+			path,
+			position: options.position,
+		});
+		return this;
+	}
 
-		// Handle comma and whitespace
-		if (propIndex < objectNode.properties.length - 1) {
-			let pos = deleteEnd;
-			while (
-				pos < sourceText.length &&
-				(sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")
-			) {
-				pos++;
-			}
-			if (sourceText[pos] === ",") {
-				deleteEnd = pos + 1;
-				while (
-					deleteEnd < sourceText.length &&
-					(sourceText[deleteEnd] === " " ||
-						sourceText[deleteEnd] === "\t" ||
-						sourceText[deleteEnd] === "\n" ||
-						sourceText[deleteEnd] === "\r")
-				) {
-					deleteEnd++;
-				}
-			}
-		} else if (propIndex > 0) {
-			let pos = deleteStart - 1;
-			while (pos >= 0 && (sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")) {
-				pos--;
-			}
-			if (sourceText[pos] === ",") {
-				let commaPos = pos;
-				pos--;
-				while (
-					pos >= 0 &&
-					(sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")
-				) {
-					pos--;
-				}
-				deleteStart = pos + 1;
-			}
+	/**
+	 * Get the comments attached to a property or array element, as the document would be after applying the queued operations
+	 * @param {string|Array<string|number>} path - The path of the property or element
+	 * @returns {Array<{ position: "leading"|"trailing", style: "line"|"block", text: string }>} - The comments,
+	 * empty when the path does not resolve to a property or element
+	 * @example
+	 * jsonmod('{\n  // Build target\n  "target": "es2020"\n}').getComments("target")
+	 * // [{ position: "leading", style: "line", text: "Build target" }]
+	 */
+	getComments(path) {
+		const pathParts = this._getPathParts(path);
+		if (pathParts.length === 0) {
+			return [];
 		}
 
-		return sourceText.slice(0, deleteStart) + sourceText.slice(deleteEnd);
-	}
+		const text = this._getCurrentText();
+		const containerNode = this._resolveNode(text, pathParts.slice(0, -1));
+		if (!containerNode) {
+			return [];
+		}
 
-	_deleteArrayElement(sourceText, arrayNode, index, originalSource) {
-		if (typeof index !== "number" || index < 0 || index >= arrayNode.elements.length) {
-			return sourceText;
+		const index = this._findEntryIndex(text, containerNode, pathParts[pathParts.length - 1]);
+		if (index === -1) {
+			return [];
 		}
 
-		const element = arrayNode.elements[index];
-		let deleteStart = element.start;
-		let deleteEnd = element.end;
+		const entry = getEntries(containerNode)[index];
+		return [
+			...entry.leadingComments.map((comment) => readComment(text, comment, "leading")),
+			...entry.trailingComments.map((comment) => readComment(text, comment, "trailing")),
+		];
+	}
 
-		// Handle comma and whitespace
-		if (index < arrayNode.elements.length - 1) {
-			let pos = deleteEnd;
-			while (
-				pos < sourceText.length &&
-				(sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")
-			) {
-				pos++;
-			}
-			if (sourceText[pos] === ",") {
-				deleteEnd = pos + 1;
-				while (
-					deleteEnd < sourceText.length &&
-					(sourceText[deleteEnd] === " " ||
-						sourceText[deleteEnd] === "\t" ||
-						sourceText[deleteEnd] === "\n" ||
-						sourceText[deleteEnd] === "\r")
-				) {
-					deleteEnd++;
-				}
-			}
-		} else if (index > 0) {
-			let pos = deleteStart - 1;
-			while (pos >= 0 && (sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")) {
-				pos--;
-			}
-			if (sourceText[pos] === ",") {
-				let commaPos = pos;
-				pos--;
-				while (
-					pos >= 0 &&
-					(sourceText[pos] === " " || sourceText[pos] === "\t" || sourceText[pos] === "\n" || sourceText[pos] === "\r")
-				) {
-					pos--;
-				}
-				deleteStart = pos + 1;
-			}
-		}
+	/**
+	 * Walk the document, as it would be after applying the queued operations, and queue operations from the visitor.
+	 * The visitor is the one of `walk()`; its context also has `replace(value)`, `delete(options)`,
+	 * `insert(keyOrPosition, value)`, `setComment(text, options)` and `removeComment(options)`,
+	 * which queue the operation for the visited node.
+	 *
+	 * Operations are applied in order after the walk: deleting an array element shifts the
+	 * indices used by the operations queued after it for the following elements.
+	 * @param {Function|object} visitor - The visitor
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).visit({
+	 *   Property(node, ctx) {
+	 *     if (node.name === "version") ctx.replace('"2.0.0"');
+	 *   },
+	 * }).apply()
+	 */
+	visit(visitor) {
+		const text = this._getCurrentText();
+		walk(parse(text, this.options), visitor, ({ path }) => ({
+			replace: (value) => {
+				this.replace(path, value);
+			},
+			delete: (options) => {
+				this.delete(path, options);
+			},
+			insert: (keyOrPosition, value) => {
+				this.insert(path, keyOrPosition, value);
+			},
+			setComment: (commentText, options) => {
+				this.setComment(path, commentText, options);
+			},
+			removeComment: (options) => {
+				this.removeComment(path, options);
+			},
+		}));
+		return this;
+	}
 
-		return sourceText.slice(0, deleteStart) + sourceText.slice(deleteEnd);
+	/**
+	 * Queue a JSON Patch (RFC 6902): its operations are applied in order, with formatting preserved.
+	 *
+	 * A patch is atomic: when one of its operations fails (a path does not resolve, a `test` does not match),
+	 * applying throws a JsonPatchError and none of the patch is applied, whatever the strict option.
+	 * @param {Array<object>} patch - The patch document: `add`, `remove`, `replace`, `move`, `copy` and `test`
+	 * operations whose paths are JSON Pointers
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @throws {JsonPatchError} When an operation of the patch is malformed
+	 * @example
+	 * jsonmod(source)
+	 *   .applyPatch([
+	 *     { op: "test", path: "/version", value: "1.0.0" },
+	 *     { op: "replace", path: "/version", value: "2.0.0" },
+	 *     { op: "add", path: "/keywords/-", value: "json" },
+	 *   ])
+	 *   .apply()
+	 */
+	applyPatch(patch) {
+		validatePatch(patch);
+		this.operations.push({
+			type: "patch",
+			path: "",
+			patch,
+		});
+		return this;
 	}
 
-	_insertIntoNode(sourceText, node, patch, originalSource) {
-		if (node.type === "Object") {
-			return this._insertObjectProperty(sourceText, node, patch, originalSource);
-		} else if (node.type === "Array") {
-			return this._insertArrayElement(sourceText, node, patch, originalSource);
-		}
-		return sourceText;
+	/**
+	 * Merge a JSON Merge Patch (RFC 7396) into the document: `null` deletes a property, objects are merged
+	 * recursively and any other value replaces the target. Only the changed values are edited, so the rest
+	 * of the document keeps its text, comments included.
+	 * @param {any} patch - The merge patch, as a value or as JSON text (a string patch is always parsed as JSON text)
+	 * @param {object} [options]
+	 * @param {string|Array<string|number>} [options.path=""] - The path of the value to merge the patch into
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @throws {import('./errors.js').JsonParseError} When the patch text is not valid
+	 * @example
+	 * jsonmod(source).merge({ server: { port: 8081, debug: null } }).apply()
+	 * jsonmod(source).merge('{"port": 8081}', { path: "server" }).apply()
+	 */
+	merge(patch, options = {}) {
+		this.operations.push({
+			type: "merge",
+			path: options.path !== undefined ? options.path : "",
+			patch: typeof patch === "string" ? decodeValue(parseTree(patch, this.options), patch) : patch,
+		});
+		return this;
 	}
 
-	_insertObjectProperty(sourceText, objectNode, patch, originalSource) {
-		const key = patch.keyOrPosition;
-		if (typeof key !== "string") {
-			throw new Error("Insert into object requires a string key");
+	/**
+	 * Re-print the document (or the value at `path`) with a consistent layout: one entry per line indented with
+	 * `indent`, short arrays on a single line. Comments stay in place relative to their entries, and strings,
+	 * numbers and keys keep their source text.
+	 * @param {object} [options]
+	 * @param {number|string} [options.indent=2] - The number of spaces of an indentation level, or the string to use
+	 * (e.g. "\t")
+	 * @param {string} [options.eol] - The line ending, the one of the document by default
+	 * @param {number} [options.maxInlineWidth=80] - The maximum width of a line holding an array printed on a single
+	 * line, 0 to print every non-empty array on several lines. Arrays holding comments or non-empty objects are
+	 * always printed on several lines.
+	 * @param {boolean} [options.keepBlankLines=true] - Keep a blank line where the document has some between entries
+	 * @param {string|Array<string|number>} [options.path=""] - The path of the value to format, the whole document by
+	 * default
+	 * @returns {JsonMod} - Returns this for chaining
+	 * @example
+	 * jsonmod(source).format({ indent: "\t" }).apply()
+	 * jsonmod(source).set("a", "[1, 2]").format({ path: "a" }).apply()
+	 */
+	format(options = {}) {
+		const { indent } = options;
+		if (indent !== undefined && !(Number.isInteger(indent) && indent >= 0) && !/^[ \t]*$/.test(String(indent))) {
+			throw new Error(`Invalid indent option: ${JSON.stringify(indent)}`);
 		}
 
-		// Check if key already exists
-		for (const prop of objectNode.properties) {
-			const keyStr = extractString(prop.key, originalSource);
-			if (keyStr === key) {
-				throw new Error(`Key "${key}" already exists in object`);
-			}
-		}
+		this.operations.push({
+			type: "format",
+			path: options.path !== undefined ? options.path : "",
+			options,
+		});
+		return this;
+	}
 
-		const newEntry = `"${key}": ${patch.value}`;
+	/**
+	 * The text of the document after applying the queued operations, used by the read methods
+	 * @private
+	 * @returns {string}
+	 */
+	_getCurrentText() {
+		return this.operations.length > 0 ? this.applyWithReport({ strict: false }).text : this.sourceText;
+	}
 
-		if (objectNode.properties.length === 0) {
-			const insertPos = objectNode.start + 1;
-			return sourceText.slice(0, insertPos) + newEntry + sourceText.slice(insertPos);
-		} else {
-			const lastProp = objectNode.properties[objectNode.properties.length - 1];
-			const insertPos = lastProp.value.end;
-			return sourceText.slice(0, insertPos) + ", " + newEntry + sourceText.slice(insertPos);
+	/**
+	 * Resolve a path as far as possible, choosing among duplicate keys according to the `duplicateKeys` option
+	 * @private
+	 * @returns {Array<object>} - The nodes visited, starting with the root
+	 * @throws {DuplicateKeyError} With `duplicateKeys: "error"`, when the path goes through a duplicate key
+	 */
+	_resolveChain(root, pathParts, sourceText) {
+		return resolvePathChain(root, pathParts, sourceText, this.options.duplicateKeys);
+	}
+
+	/**
+	 * Count the properties using the last key of a path in its object: more than one when the key is duplicated
+	 * @private
+	 * @returns {number} - The number of properties, 1 when the path does not designate a property
+	 */
+	_countProperties(sourceText, root, pathParts) {
+		const chain = this._resolveChain(root, pathParts.slice(0, -1), sourceText);
+		const node = chain.length === pathParts.length ? chain[chain.length - 1] : null;
+		if (!node || node.type !== "Object") {
+			return 1;
 		}
+		return Math.max(findPropertyIndices(node, pathParts[pathParts.length - 1], sourceText).length, 1);
 	}
 
-	_insertArrayElement(sourceText, arrayNode, patch, originalSource) {
-		const position = typeof patch.keyOrPosition === "number" ? patch.keyOrPosition : arrayNode.elements.length;
+	/**
+	 * Decode a node, choosing among duplicate keys according to the `duplicateKeys` option
+	 * @private
+	 * @throws {DuplicateKeyError} With `duplicateKeys: "error"`, when the value holds a duplicate key
+	 */
+	_decode(node, sourceText) {
+		return decodeValue(node, sourceText, this.options.duplicateKeys);
+	}
 
-		if (position < 0 || position > arrayNode.elements.length) {
-			throw new Error(`Invalid position ${position} for array of length ${arrayNode.elements.length}`);
-		}
+	/**
+	 * Resolve a path against a document
+	 * @private
+	 * @param {string} sourceText - The document
+	 * @param {Array<string|number>} pathParts - The path segments
+	 * @returns {object|null} - The node at the path, null when the path does not resolve
+	 */
+	_resolveNode(sourceText, pathParts) {
+		const chain = this._resolveChain(parseTree(sourceText, this.options), pathParts, sourceText);
+		return chain.length === pathParts.length + 1 ? chain[chain.length - 1] : null;
+	}
 
-		if (arrayNode.elements.length === 0) {
-			const insertPos = arrayNode.start + 1;
-			return sourceText.slice(0, insertPos) + patch.value + sourceText.slice(insertPos);
-		} else if (position === 0) {
-			const insertPos = arrayNode.elements[0].start;
-			return sourceText.slice(0, insertPos) + patch.value + ", " + sourceText.slice(insertPos);
-		} else if (position >= arrayNode.elements.length) {
-			const lastElement = arrayNode.elements[arrayNode.elements.length - 1];
-			const insertPos = lastElement.end;
-			return sourceText.slice(0, insertPos) + ", " + patch.value + sourceText.slice(insertPos);
-		} else {
-			const insertPos = arrayNode.elements[position].start;
-			return sourceText.slice(0, insertPos) + patch.value + ", " + sourceText.slice(insertPos);
-		}
+	/**
+	 * Apply all queued operations and return the modified JSON string
+	 *
+	 * The document is parsed once and every operation is turned into text edits against that parse.
+	 * Edits are collected and applied together at the end; the document is only re-parsed when an
+	 * operation depends on text produced by a previous one (e.g. it resolves through a replaced value,
+	 * or looks up a key that was just inserted or deleted). Entries deleted from or appended to the
+	 * same container are planned from the same parse.
+	 *
+	 * Operations whose path does not resolve are skipped, unless strict mode is enabled.
+	 *
+	 * @param {object} [options]
+	 * @param {boolean} [options.strict] - Throw a JsonModError when an operation's path does not resolve,
+	 * defaults to the `strict` option given to the constructor
+	 * @returns {string} - The modified JSON string
+	 * @throws {JsonModError} In strict mode, when an operation's path does not resolve
+	 */
+	apply(options = {}) {
+		return this.applyWithReport(options).text;
 	}
-}
 
-/**
- * Factory function to create a new JsonMod instance
+	/**
+	 * Apply all queued operations and report the operations that were skipped
+	 * @param {object} [options]
+	 * @param {boolean} [options.strict] - Throw a JsonModError when an operation's path does not resolve,
+	 * defaults to the `strict` option given to the constructor
+	 * @returns {{ text: string, skipped: Array<object> }} - The modified JSON string and the skipped operations
+	 * @throws {JsonModError} In strict mode, when an operation's path does not resolve
+	 * @example
+	 * const { text, skipped } = jsonmod(source).replace("vesion", '"2.0.0"').applyWithReport();
+	 * // skipped: [{ operationIndex: 0, operation: "replace", path: "vesion", resolvedPath: [], nodeType: "Object", message: "..." }]
+	 */
+	applyWithReport(options = {}) {
+		const strict = options.strict !== undefined ? options.strict : Boolean(this.options.strict);
+		const skipped = [];
+
+		if (this.operations.length === 0) {
+			return { text: this.sourceText, skipped };
+		}
+
+		let text = this.sourceText;
+		let root = parseTree(text, this.options);
+		let pending = [];
+
+		const flush = () => {
+			text = applyEdits(text, pending);
+			root = parseTree(text, this.options);
+			pending = [];
+		};
+
+		const skip = (error) => {
+			if (strict) {
+				throw error;
+			}
+
+			const { operationIndex, operation, path, resolvedPath, nodeType, message } = error;
+			skipped.push({ operationIndex, operation, path, resolvedPath, nodeType, message });
+		};
+
+		const run = (op, index, reported = op) => {
+			let plan = this._planOperation(text, root, op);
+
+			if (this._readsPendingEdits(pending, plan.chain, plan.keys || this._getPathParts(op.path), plan.reads)) {
+				flush();
+				plan = this._planOperation(text, root, op);
+			}
+
+			let edits = plan.createEdits();
+
+			if (edits && !this._addPendingEdits(edits, pending)) {
+				flush();
+				plan = this._planOperation(text, root, op);
+				edits = plan.createEdits();
+				if (edits) pending.push(...edits);
+			}
+
+			if (!edits) {
+				skip(this._createSkipError(index, reported, plan.chain));
+			}
+		};
+
+		// With duplicateKeys: "all", a delete runs once per property using its key, each run removing the last one left
+		const runDelete = (op, index, reported = op) => {
+			const count = () => (this.options.duplicateKeys === "all" ? this._countProperties(text, root, this._getPathParts(op.path)) : 1);
+			if (count() > 1 && pending.length > 0) {
+				flush();
+			}
+			for (let i = count(); i > 0; i--) {
+				run(op, index, reported);
+			}
+		};
+
+		// move/copy: read the value on the current document, write it with a set (an insert into arrays) and delete the source of a move
+		const transfer = (op, index) => {
+			const from = this._getPathParts(op.path);
+			const to = this._getPathParts(op.to);
+			let chain = this._resolveChain(root, from, text);
+			let arrayChain = this._resolveChain(root, to.slice(0, -1), text);
+			const resolved = () => chain.length === from.length + 1;
+			// An index in the destination is checked against the length of its array, as a -1 index would read it
+			if (
+				this._readsPendingEdits(pending, chain, from, resolved() ? chain[chain.length - 1] : undefined) ||
+				this._readsPendingEdits(pending, arrayChain, [...to.slice(0, -1), -1])
+			) {
+				flush();
+				chain = this._resolveChain(root, from, text);
+				arrayChain = this._resolveChain(root, to.slice(0, -1), text);
+			}
+			if (!resolved()) {
+				skip(this._createSkipError(index, op, chain));
+				return;
+			}
+			if (op.type === "move" && isPathPrefix(from, to)) {
+				if (from.length < to.length) {
+					skip(this._createSkipError(index, op, chain));
+				}
+				return;
+			}
+
+			const node = chain[chain.length - 1];
+			const value = dedent(text.slice(node.start, node.end), getLineIndent(text, node.start));
+			const destination = { type: op.type, path: op.to };
+
+			// Into an array, the value is inserted at the index it has once a moved value is removed, as in JSON Patch
+			const array = arrayChain.length === to.length ? arrayChain[arrayChain.length - 1] : null;
+			if (array && array.type === "Array" && typeof to[to.length - 1] === "number") {
+				const removed = op.type === "move" && isPathPrefix(to.slice(0, -1), from) && from.length === to.length ? 1 : 0;
+				if (to[to.length - 1] > array.elements.length - removed) {
+					skip(this._createSkipError(index, destination, arrayChain));
+					return;
+				}
+				if (op.type === "move") {
+					runDelete({ type: "delete", path: from }, index, op);
+				}
+				run({ type: "insert", path: to.slice(0, -1), keyOrPosition: to[to.length - 1], value }, index, destination);
+				return;
+			}
+
+			run({ type: "set", path: to, value }, index, destination);
+
+			// Moving a value over one of its ancestors already removed it
+			if (op.type === "move" && !isPathPrefix(to, from)) {
+				runDelete({ type: "delete", path: from }, index, op);
+			}
+		};
+
+		// push/unshift/splice: the elements are removed and the items inserted by one plan, except that items appended
+		// after removing the end of the array are inserted once it is removed
+		const splice = (op, index) => {
+			let plan = this._planSplice(text, root, op);
+			if (this._readsPendingEdits(pending, plan.chain, plan.keys)) {
+				flush();
+				plan = this._planSplice(text, root, op);
+			}
+
+			if (plan.appendsAfterRemoval) {
+				const { path, start, end } = plan.appendsAfterRemoval;
+				run({ type: "splice", path, start, deleteCount: end - start, items: [] }, index, op);
+				run({ type: "splice", path, start, deleteCount: 0, items: op.items }, index, op);
+				return;
+			}
+			run(op, index);
+		};
+
+		this.operations.forEach((op, index) => {
+			if (op.type === "push" || op.type === "unshift" || op.type === "splice") {
+				splice(op, index);
+				return;
+			}
+
+			if (op.type === "patch") {
+				if (pending.length > 0) {
+					flush();
+				}
+				text = op.patch.reduce((current, operation, i) => this._applyPatchOperation(current, operation, i), text);
+				root = parseTree(text, this.options);
+				return;
+			}
+
+			if (op.type === "move" || op.type === "copy") {
+				transfer(op, index);
+				return;
+			}
+
+			if (op.type === "merge") {
+				if (pending.length > 0) {
+					flush();
+				}
+				for (const edit of this._expandMerge(text, root, this._getPathParts(op.path), op.patch)) {
+					run(edit, index, { ...edit, type: "merge" });
+				}
+				return;
+			}
+
+			if (!isPathPattern(op.path)) {
+				(op.type === "delete" ? runDelete : run)(op, index);
+				return;
+			}
+
+			// Compute the whole selection against one parse holding the result of the previous operations
+			if (pending.length > 0) {
+				flush();
+			}
+
+			const paths = this._expandPathPattern(text, root, op);
+			if (paths.length === 0) {
+				const kind = isJsonPath(op.path) ? "JSONPath" : "wildcard path";
+				skip(
+					new JsonModError(`Cannot ${op.type} ${JSON.stringify(op.path)}: no node matches the ${kind}`, {
+						operationIndex: index,
+						operation: op.type,
+						path: op.path,
+						resolvedPath: [],
+						nodeType: root.type,
+					}),
+				);
+				return;
+			}
+
+			for (const path of paths) {
+				(op.type === "delete" ? runDelete : run)({ ...op, path }, index);
+			}
+		});
+
+		return { text: applyEdits(text, pending), skipped };
+	}
+
+	/**
+	 * Apply one operation of a JSON Patch, mapped onto the edits of the other operations
+	 * @private
+	 * @returns {string} - The patched text
+	 * @throws {JsonPatchError} When the operation cannot be applied
+	 */
+	_applyPatchOperation(sourceText, operation, index) {
+		const root = parseTree(sourceText, this.options);
+		const fail = (reason, path = operation.path) =>
+			new JsonPatchError(`Cannot ${operation.op} ${JSON.stringify(path)}: ${reason}`, {
+				operationIndex: index,
+				operation: operation.op,
+				path,
+			});
+		const resolve = (pointer, append) => {
+			const target = resolvePointer(root, sourceText, pointer, append, this.options.duplicateKeys);
+			if (target.reason) throw fail(target.reason, pointer);
+			return target.parts;
+		};
+		const edit = (op) => applyEdits(sourceText, this._planOperation(sourceText, root, op).createEdits());
+
+		switch (operation.op) {
+			case "add":
+				return this._addPatchValue(sourceText, root, resolve(operation.path, true), formatValue(operation.value));
+			case "remove": {
+				const parts = resolve(operation.path);
+				if (parts.length === 0) throw fail("the root value cannot be removed");
+				return edit({ type: "delete", path: parts });
+			}
+			case "replace":
+				return edit({ type: "replace", path: resolve(operation.path), value: formatValue(operation.value) });
+			case "test": {
+				const node = this._resolveChain(root, resolve(operation.path), sourceText).pop();
+				if (!deepEqual(this._decode(node, sourceText), operation.value)) {
+					throw fail(`the value is not equal to ${JSON.stringify(operation.value)}`);
+				}
+				return sourceText;
+			}
+		}
+
+		// move and copy reuse the source text of the value
+		const from = resolve(operation.from);
+		const node = this._resolveChain(root, from, sourceText).pop();
+		const value = dedent(sourceText.slice(node.start, node.end), getLineIndent(sourceText, node.start));
+
+		if (operation.op === "copy") {
+			return this._addPatchValue(sourceText, root, resolve(operation.path, true), value);
+		}
+		if (operation.path === operation.from) {
+			return sourceText;
+		}
+		if (operation.path.startsWith(operation.from + "/")) {
+			throw fail(`a value cannot be moved into itself`);
+		}
+
+		// The destination is resolved once the value is removed
+		const removed = edit({ type: "delete", path: from });
+		const removedRoot = parseTree(removed, this.options);
+		const target = resolvePointer(removedRoot, removed, operation.path, true, this.options.duplicateKeys);
+		if (target.reason) throw fail(target.reason);
+		return this._addPatchValue(removed, removedRoot, target.parts, value);
+	}
+
+	/**
+	 * Add a value for a JSON Patch `add`: replaces the document or an existing property,
+	 * inserts a missing property, or inserts an array element at its index
+	 * @private
+	 * @returns {string} - The patched text
+	 */
+	_addPatchValue(sourceText, root, parts, value) {
+		const parentParts = parts.slice(0, -1);
+		const parentNode = parts.length > 0 ? this._resolveChain(root, parentParts, sourceText).pop() : null;
+		const op =
+			parentNode && parentNode.type === "Array"
+				? { type: "insert", path: parentParts, keyOrPosition: parts[parts.length - 1], value }
+				: { type: "set", path: parts, value };
+		return applyEdits(sourceText, this._planOperation(sourceText, root, op).createEdits());
+	}
+
+	/**
+	 * Turn a merge patch into the replace, set and delete operations changing the values it touches.
+	 * Properties missing from the document are created with set(), one value at a time, so that the objects
+	 * created on the way follow the layout of the document.
+	 * @private
+	 * @returns {Array<object>}
+	 */
+	_expandMerge(sourceText, root, pathParts, patch) {
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		const node = chain.length === pathParts.length + 1 ? chain[chain.length - 1] : null;
+
+		if (!isPlainObject(patch)) {
+			if (node && deepEqual(this._decode(node, sourceText), patch)) {
+				return [];
+			}
+			return [{ type: node ? "replace" : "set", path: pathParts, value: formatValue(patch) }];
+		}
+
+		const ops = [];
+		const entries = Object.entries(patch).filter(([, value]) => value !== null);
+
+		if (!node || node.type !== "Object") {
+			// The target becomes an object holding the patch without its nulls: nothing below it resolves,
+			// so its values are all created with set()
+			if (node || entries.length === 0) {
+				ops.push({ type: node ? "replace" : "set", path: pathParts, value: "{}" });
+			}
+			for (const [key, value] of entries) {
+				ops.push(...this._expandMerge(sourceText, root, [...pathParts, key], value));
+			}
+			return ops;
+		}
+
+		for (const [key, value] of Object.entries(patch)) {
+			if (value !== null) {
+				ops.push(...this._expandMerge(sourceText, root, [...pathParts, key], value));
+			} else if (this._findEntryIndex(sourceText, node, key) !== -1) {
+				ops.push({ type: "delete", path: [...pathParts, key] });
+			}
+		}
+		return ops;
+	}
+
+	/**
+	 * Expand the JSONPath or wildcard path of an operation into the concrete paths it applies to, in reverse
+	 * document order: deleting or inserting an entry only shifts the indices of the entries after it, which were
+	 * already handled.
+	 * Matches nested in another match are dropped for replace and delete, as they are replaced or deleted with it.
+	 * For set, the plain segments ending the path are appended to the matches of the segments before them,
+	 * so that `set("deps.*.version", ...)` also creates the missing members.
+	 * @private
+	 * @returns {Array<Array<string|number>>}
+	 */
+	_expandPathPattern(sourceText, root, op) {
+		let segments = compilePathPattern(op.path);
+		let tail = [];
+
+		if (op.type === "set") {
+			let split = segments.length;
+			while (split > 0 && isPlainSegment(segments[split - 1])) {
+				split--;
+			}
+			tail = segments.slice(split).map((segment) => {
+				const selector = segment.selectors[0];
+				return selector.type === "name" ? selector.name : selector.index;
+			});
+			segments = segments.slice(0, split);
+		}
+
+		let matches = expandPaths(root, segments, sourceText, this.options.duplicateKeys);
+
+		if (op.type === "replace" || op.type === "delete") {
+			matches = matches.filter(
+				(match) => !matches.some((other) => other !== match && other.node.start <= match.node.start && match.node.end <= other.node.end),
+			);
+		}
+
+		return matches
+			.sort((a, b) => b.node.start - a.node.start)
+			.map((match) => [...match.path, ...tail]);
+	}
+
+	/**
+	 * Describe why an operation could not be applied
+	 * @private
+	 * @param {number} index - The index of the operation
+	 * @param {object} op - The operation
+	 * @param {Array<object>} chain - The nodes the operation resolved through
+	 * @returns {JsonModError}
+	 */
+	_createSkipError(index, op, chain) {
+		const pathParts = this._getPathParts(op.path);
+		const depth = chain.length - 1;
+		const node = chain[depth];
+		const isContainer = node.type === "Object" || node.type === "Array";
+
+		const renamesElement = op.type === "rename" && node.type === "Array" && depth === pathParts.length - 1;
+
+		const missing = pathParts.slice(depth);
+		const unreachable = op.type === "set" && isContainer && missing.length > 0 && this._findUnreachableIndex(node, missing);
+
+		let reason;
+		if (unreachable) {
+			const array = unreachable.length > 0 ? `Array of length ${unreachable.length}` : "an empty array";
+			reason = `index ${unreachable.index} is out of bounds for ${array}`;
+		} else if (depth < pathParts.length && !renamesElement) {
+			const segment = pathParts[depth];
+			const target = typeof segment === "number" ? `index ${segment}` : `property "${segment}"`;
+			reason = isContainer ? `${target} not found in ${node.type}` : `${node.type} cannot contain ${target}`;
+		} else if (op.type === "delete") {
+			reason = "the root value cannot be deleted";
+		} else if (op.type === "move") {
+			reason = "a value cannot be moved into itself";
+		} else if (op.type === "setComment" || op.type === "removeComment") {
+			reason = "comments can only be attached to properties and elements";
+		} else if (op.type === "rename") {
+			reason = "only object properties can be renamed";
+		} else if (op.type === "sortKeys" && !op.deep) {
+			reason = `${node.type} is not an object`;
+		} else if (op.type === "moveElement" && node.type === "Array") {
+			const index = isArrayIndex(op.from, node.elements.length) ? op.to : op.from;
+			reason = `index ${index} is out of bounds for Array of length ${node.elements.length}`;
+		} else if (ARRAY_OPERATIONS.has(op.type)) {
+			reason = `${node.type} is not an array`;
+		} else {
+			reason = `${node.type} is not an object or array`;
+		}
+
+		const resolvedPath = pathParts.slice(0, depth);
+		const location = resolvedPath.length > 0 ? ` at ${JSON.stringify(resolvedPath)}` : "";
+
+		return new JsonModError(`Cannot ${op.type} ${JSON.stringify(op.path)}: ${reason}${location}`, {
+			operationIndex: index,
+			operation: op.type,
+			path: op.path,
+			resolvedPath,
+			nodeType: node.type,
+		});
+	}
+
+	/**
+	 * Resolve a single operation against a parsed document
+	 * @private
+	 * @returns {{ chain: Array<object>, keys?: Array<string|number>, reads?: object, createEdits: () => Array<object> | null }}
+	 * The nodes the operation resolved through, the keys it looks up in them when they are not those of its path,
+	 * and a function computing its edits (null when it cannot be applied). Operations reading the whole content of
+	 * a node, not only the chain, also give that node as `reads`.
+	 */
+	_planOperation(sourceText, root, op) {
+		switch (op.type) {
+			case "replace":
+				return this._planReplace(sourceText, root, op);
+			case "delete":
+				return this._planDelete(sourceText, root, op);
+			case "insert":
+				return this._planInsert(sourceText, root, op);
+			case "set":
+				return this._planSet(sourceText, root, op);
+			case "setComment":
+			case "removeComment":
+				return this._planComment(sourceText, root, op);
+			case "rename":
+				return this._planRename(sourceText, root, op);
+			case "sortKeys":
+				return this._planSortKeys(sourceText, root, op);
+			case "moveElement":
+			case "sortArray":
+				return this._planReorder(sourceText, root, op);
+			case "format":
+				return this._planFormat(sourceText, root, op);
+			case "push":
+			case "unshift":
+			case "splice":
+				return this._planSplice(sourceText, root, op);
+		}
+		throw new Error(`Unknown operation type: ${op.type}`);
+	}
+
+	/**
+	 * Whether an operation depends on the pending edits, which are then applied and the document re-parsed first:
+	 * it resolves through a node whose text they replace (`owner`), looks up a key whose entry they insert, delete
+	 * or rename in a `container`, or reads the text of a node holding some of them. Elements appended to an array
+	 * leave the indices of the other elements valid; the other changes of an array shift them all.
+	 * @private
+	 * @param {Array<object>} pending - The pending edits
+	 * @param {Array<object>} chain - The nodes the operation resolved through
+	 * @param {Array<string|number|Array<string|number>>} keys - The key the operation looks up in each node of the chain,
+	 * several for a rename
+	 * @param {object} [readNode] - The node whose text or value the operation reads
+	 */
+	_readsPendingEdits(pending, chain, keys, readNode) {
+		if (pending.length === 0) {
+			return false;
+		}
+
+		const nodes = new Set(chain);
+		const looksUp = (edit) => {
+			const looked = [].concat(keys[chain.indexOf(edit.container)]);
+			if (edit.container.type !== "Array") {
+				return looked.some((key) => edit.keys.includes(key));
+			}
+			return !edit.append || looked.some((key) => typeof key === "number" && !(key >= 0 && key < edit.container.elements.length));
+		};
+
+		return pending.some(
+			(edit) =>
+				nodes.has(edit.owner) ||
+				(nodes.has(edit.container) && looksUp(edit)) ||
+				(readNode && readNode.start <= edit.start && edit.end <= readNode.end),
+		);
+	}
+
+	/**
+	 * Add the edits of an operation to the pending edits, unless they overlap or touch some of them, in which case
+	 * their order would be ambiguous (deletions next to each other do not conflict). An entry appended after
+	 * the entries already appended to a container joins them, and an edit repeating a pending edit of the same
+	 * container, such as the comma fix of its last entry, is dropped.
+	 * @private
+	 * @returns {boolean} - Whether the edits were added
+	 */
+	_addPendingEdits(edits, pending) {
+		const joined = (edit) =>
+			edit.append && pending.find((other) => other.append && other.container === edit.container && other.start === edit.start);
+		const repeated = (edit) => edit.container && pending.some((other) => other.container === edit.container && isSameEdit(edit, other));
+		const conflicts = (edit, other) =>
+			edit.start <= other.end &&
+			other.start <= edit.end &&
+			!(edit.text === "" && other.text === "" && (edit.end === other.start || other.end === edit.start));
+
+		const added = edits.filter((edit) => !joined(edit) && !repeated(edit));
+		if (added.some((edit) => pending.some((other) => conflicts(edit, other)))) {
+			return false;
+		}
+
+		for (const edit of edits) {
+			const target = joined(edit);
+			if (target) {
+				const { lead, entries, separator } = target.append;
+				target.append = { ...target.append, entries: [...entries, ...edit.append.entries] };
+				target.text = lead + target.append.entries.join("," + separator) + edit.append.trailing;
+				target.keys = [...target.keys, ...edit.keys];
+			}
+		}
+		pending.push(...added);
+		return true;
+	}
+
+	/**
+	 * Internal method to plan a single replace operation
+	 * @private
+	 */
+	_planReplace(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		if (chain.length !== pathParts.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const nodes = this._findWrittenNodes(sourceText, chain, pathParts);
+		return {
+			chain,
+			createEdits: () =>
+				nodes.flatMap((node, occurrence) => {
+					const value =
+						typeof op.value === "function" ? this._computeReplacement(sourceText, node, op, pathParts, occurrence) : op.value;
+					return value === undefined ? [] : [this._replaceNode(sourceText, node, value)];
+				}),
+		};
+	}
+
+	/**
+	 * Find the values a replace or a set writes at a resolved path: with duplicateKeys: "all", the value of every
+	 * property using the key, otherwise the resolved node
+	 * @private
+	 * @returns {Array<object>}
+	 */
+	_findWrittenNodes(sourceText, chain, pathParts) {
+		const parentNode = chain[chain.length - 2];
+		if (this.options.duplicateKeys === "all" && parentNode && parentNode.type === "Object") {
+			return findPropertyIndices(parentNode, pathParts[pathParts.length - 1], sourceText).map((i) => parentNode.properties[i].value);
+		}
+		return [chain[chain.length - 1]];
+	}
+
+	/**
+	 * Call the function of a replace for a matched value. The result is kept on the operation, so that the function
+	 * runs once per value even when the operation is planned again, or applied again by the read methods.
+	 * @private
+	 * @returns {string|undefined} - The new value, undefined to keep the value
+	 */
+	_computeReplacement(sourceText, node, op, pathParts, occurrence) {
+		const key = `${JSON.stringify(pathParts)}#${occurrence}`;
+		const source = sourceText.slice(node.start, node.end);
+		const cached = op.results.get(key);
+		if (cached && cached.source === source) {
+			return cached.value;
+		}
+
+		const value = op.value(this._decode(node, sourceText), pathParts);
+		op.results.set(key, { source, value });
+		return value;
+	}
+
+	/**
+	 * Internal method to plan a single delete operation
+	 * @private
+	 */
+	_planDelete(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		if (pathParts.length === 0) {
+			return { chain: [root], createEdits: () => null };
+		}
+
+		const parentPath = pathParts.slice(0, -1);
+		const lastKey = pathParts[pathParts.length - 1];
+		const chain = this._resolveChain(root, parentPath, sourceText);
+		if (chain.length !== parentPath.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const parentNode = chain[chain.length - 1];
+		const keepComments = op.keepComments !== undefined ? op.keepComments : Boolean(this.options.keepComments);
+		return {
+			chain,
+			createEdits: () => changesEntries(this._deleteFromParent(sourceText, parentNode, lastKey, keepComments), parentNode, [lastKey]),
+		};
+	}
+
+	/**
+	 * Internal method to plan a single setComment/removeComment operation
+	 * @private
+	 */
+	_planComment(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		if (pathParts.length === 0) {
+			return { chain: [root], createEdits: () => null };
+		}
+
+		const parentPath = pathParts.slice(0, -1);
+		const chain = this._resolveChain(root, parentPath, sourceText);
+		if (chain.length !== parentPath.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const containerNode = chain[chain.length - 1];
+		return {
+			chain,
+			createEdits: () => {
+				const indices = this._findEntryIndices(sourceText, containerNode, pathParts[pathParts.length - 1]);
+				if (indices.length === 0) return null;
+
+				const edits = indices.flatMap((index) =>
+					op.type === "setComment"
+						? this._setEntryComment(sourceText, containerNode, index, op)
+						: this._removeEntryComments(sourceText, containerNode, index, op.position),
+				);
+				return changesEntries(edits, containerNode, [pathParts[pathParts.length - 1]]);
+			},
+		};
+	}
+
+	/**
+	 * Internal method to plan a single rename operation
+	 * @private
+	 */
+	_planRename(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		if (pathParts.length === 0) {
+			return { chain: [root], createEdits: () => null };
+		}
+
+		const parentPath = pathParts.slice(0, -1);
+		const chain = this._resolveChain(root, parentPath, sourceText);
+		if (chain.length !== parentPath.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const objectNode = chain[chain.length - 1];
+		const lastKey = pathParts[pathParts.length - 1];
+		return {
+			chain,
+			keys: [...parentPath, [lastKey, op.newKey]],
+			createEdits: () => {
+				if (objectNode.type !== "Object") return null;
+
+				const indices = this._findEntryIndices(sourceText, objectNode, lastKey);
+				if (indices.length === 0) return null;
+
+				if (lastKey === op.newKey) return [];
+				if (objectNode.properties.some((prop) => extractString(prop.key, sourceText) === op.newKey)) {
+					throw new Error(`Key "${op.newKey}" already exists in object`);
+				}
+
+				const edits = indices.map((index) => {
+					// Keep the quoting style of the renamed key
+					const key = objectNode.properties[index].key;
+					const style = key.type === "Identifier" ? "identifier" : sourceText[key.start] === "'" ? "single" : "double";
+					return { start: key.start, end: key.end, text: this._formatKey(op.newKey, style) };
+				});
+				return changesEntries(edits, objectNode, [lastKey, op.newKey]);
+			},
+		};
+	}
+
+	/**
+	 * Internal method to plan a single sortKeys operation
+	 * @private
+	 */
+	_planSortKeys(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		if (chain.length !== pathParts.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const node = chain[chain.length - 1];
+		const sortable = node.type === "Object" || (op.deep && node.type === "Array");
+		return {
+			chain,
+			reads: node,
+			createEdits: () => {
+				if (!sortable) return null;
+				return this._sortKeysEdits(sourceText, node, op).map((edit) => ({ ...edit, owner: node }));
+			},
+		};
+	}
+
+	/**
+	 * Compute the edits sorting the properties of an object, and with `deep` of the objects nested in a node
+	 * @private
+	 * @returns {Array<{ start: number, end: number, text: string }>} - Non-overlapping edits
+	 */
+	_sortKeysEdits(sourceText, node, op) {
+		const nested = (child) => {
+			const isContainer = child.type === "Object" || child.type === "Array";
+			return op.deep && isContainer ? this._sortKeysEdits(sourceText, child, op) : [];
+		};
+
+		if (node.type === "Array") {
+			return node.elements.flatMap(nested);
+		}
+
+		const keys = node.properties.map((prop) => extractString(prop.key, sourceText));
+		const compare = op.comparator || ((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+		const rank = (key) => (op.order.includes(key) ? op.order.indexOf(key) : op.order.length);
+		const sorted = keys.map((key, index) => index).sort((a, b) => rank(keys[a]) - rank(keys[b]) || compare(keys[a], keys[b]));
+
+		if (sorted.every((from, to) => from === to)) {
+			return node.properties.flatMap((prop) => nested(prop.value));
+		}
+		return this._reorderEntries(sourceText, node, sorted, (index) => nested(node.properties[index].value));
+	}
+
+	/**
+	 * Compute the edits reordering the entries of a container.
+	 *
+	 * The entries are laid out in slots: the range from an entry's leading comments to the end of its value, and the
+	 * range of its trailing comments after the comma. The entries are written into the slots in their new order,
+	 * re-indented to the line of their slot, leaving the commas and the whitespace between slots untouched.
+	 * @private
+	 * @param {string} sourceText
+	 * @param {object} containerNode - The object or array
+	 * @param {number[]} order - The index of the entry written into each slot
+	 * @param {(index: number) => Array<{ start: number, end: number, text: string }>} [getInnerEdits] - Edits to apply
+	 * within an entry before moving it
+	 * @returns {Array<{ start: number, end: number, text: string }>} - Non-overlapping edits
+	 */
+	_reorderEntries(sourceText, containerNode, order, getInnerEdits = () => []) {
+		const slots = getEntries(containerNode).map((entry, index) => {
+			const start = entry.leadingComments.length > 0 ? entry.leadingComments[0].start : entry.start;
+			const trailingStart = entry.comma ? entry.comma.end : entry.end;
+			const trailingEnd = entry.trailingComments.reduce((end, comment) => Math.max(end, comment.end), trailingStart);
+			const innerEdits = getInnerEdits(index).map((edit) => ({ ...edit, start: edit.start - start, end: edit.end - start }));
+			return {
+				start,
+				end: entry.end,
+				trailingStart,
+				trailingEnd,
+				text: dedent(applyEdits(sourceText.slice(start, entry.end), innerEdits), getLineIndent(sourceText, start)),
+				comments: entry.trailingComments,
+			};
+		});
+
+		const eol = detectEol(sourceText);
+		return slots.flatMap((slot, index) => {
+			const entry = slots[order[index]];
+			const edits = [{ start: slot.start, end: slot.end, text: reindent(entry.text, getLineIndent(sourceText, slot.start), eol) }];
+
+			// A line comment can only trail an entry at the end of a line
+			const atLineEnd = sourceText.slice(slot.trailingEnd, findLineEnd(sourceText, slot.trailingEnd)).trim() === "";
+			const comments = entry.comments.map((comment) => {
+				const { style, text } = readComment(sourceText, comment, "trailing");
+				return style === "line" && !atLineEnd ? formatComment(text, "block", "", eol) : sourceText.slice(comment.start, comment.end);
+			});
+			const trailing = comments.length > 0 ? sourceText.slice(entry.trailingStart, entry.comments[0].start) + comments.join(" ") : "";
+			if (trailing || slot.trailingEnd > slot.trailingStart) {
+				edits.push({ start: slot.trailingStart, end: slot.trailingEnd, text: trailing });
+			}
+
+			return edits;
+		});
+	}
+
+	/**
+	 * Internal method to plan a single moveElement or sortArray operation
+	 * @private
+	 */
+	_planReorder(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		if (chain.length !== pathParts.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const node = chain[chain.length - 1];
+		return {
+			chain,
+			reads: node,
+			createEdits: () => {
+				if (node.type !== "Array") return null;
+
+				const length = node.elements.length;
+				const order = node.elements.map((element, index) => index);
+				if (op.type === "moveElement") {
+					if (!isArrayIndex(op.from, length) || !isArrayIndex(op.to, length)) return null;
+					order.splice(op.to, 0, ...order.splice(op.from, 1));
+				} else {
+					const values = node.elements.map((element) => this._decode(element, sourceText));
+					const compare = op.comparator || compareValues;
+					order.sort((a, b) => compare(values[a], values[b]));
+				}
+
+				if (order.every((from, to) => from === to)) return [];
+				return this._reorderEntries(sourceText, node, order).map((edit) => ({ ...edit, owner: node }));
+			},
+		};
+	}
+
+	/**
+	 * Internal method to plan a single format operation
+	 * @private
+	 */
+	_planFormat(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		if (chain.length !== pathParts.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const node = chain[chain.length - 1];
+		return {
+			chain,
+			createEdits: () => {
+				const tokens = new Tokenizer(sourceText, { json5: this.options.json5 }).tokenize();
+				const options = { ...op.options, trailingComma: this._trailingComma };
+				if (pathParts.length === 0) {
+					return [{ start: 0, end: sourceText.length, text: formatDocument(sourceText, tokens, node, options), owner: node }];
+				}
+				return [{ start: node.start, end: node.end, text: formatNode(sourceText, tokens, node, options), owner: node }];
+			},
+		};
+	}
+
+	/**
+	 * Internal method to plan a single insert operation
+	 * @private
+	 */
+	_planInsert(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		if (chain.length !== pathParts.length + 1) {
+			return { chain, createEdits: () => null };
+		}
+
+		const node = chain[chain.length - 1];
+		const parentNode = chain.length > 1 ? chain[chain.length - 2] : null;
+		return {
+			chain,
+			keys: [...pathParts, op.keyOrPosition],
+			createEdits: () => changesEntries(this._insertIntoNode(sourceText, node, op, parentNode), node, [op.keyOrPosition]),
+		};
+	}
+
+	/**
+	 * Internal method to plan a single push, unshift or splice operation: one set of edits removes the elements
+	 * and inserts the items before the element following them. Items appended after removing the end of the array
+	 * are planned separately, once the elements are removed: the plan then gives the range to remove first
+	 * as `appendsAfterRemoval`.
+	 * @private
+	 */
+	_planSplice(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		// Elements appended to the array do not change where a push or an unshift inserts, while a splice reads its length
+		const keys = [...pathParts, op.type === "push" ? undefined : op.type === "unshift" ? 0 : -1];
+		const node = chain[chain.length - 1];
+		if (chain.length !== pathParts.length + 1 || node.type !== "Array") {
+			return { chain, keys, createEdits: () => null };
+		}
+
+		const parentNode = chain.length > 1 ? chain[chain.length - 2] : null;
+		const { start, end } = getSpliceRange(op, node.elements.length);
+		return {
+			chain,
+			keys,
+			appendsAfterRemoval: start < end && end === node.elements.length && op.items.length > 0 ? { path: pathParts, start, end } : null,
+			createEdits: () => {
+				const edits = start < end ? this._deleteEntries(sourceText, node, start, end, Boolean(this.options.keepComments)) : [];
+				if (op.items.length > 0) {
+					// Both fix the trailing comma of the last element the same way
+					const inserted = this._insertArrayElement(sourceText, node, { keyOrPosition: end, values: op.items }, parentNode);
+					edits.push(...inserted.filter((edit) => !edits.some((other) => isSameEdit(edit, other))));
+				}
+				return changesEntries(edits, node, []);
+			},
+		};
+	}
+
+	/**
+	 * Internal method to plan a single set operation
+	 * @private
+	 */
+	_planSet(sourceText, root, op) {
+		const pathParts = this._getPathParts(op.path);
+
+		// Walk down as far as the existing document allows
+		const chain = this._resolveChain(root, pathParts, sourceText);
+		const depth = chain.length - 1;
+		const node = chain[depth];
+		const parentNode = depth > 0 ? chain[depth - 1] : null;
+
+		if (depth === pathParts.length) {
+			const nodes = this._findWrittenNodes(sourceText, chain, pathParts);
+			return { chain, createEdits: () => nodes.map((written) => this._replaceNode(sourceText, written, op.value)) };
+		}
+
+		const key = pathParts[depth];
+		if (node.type === "Object" ? typeof key !== "string" : node.type !== "Array" || typeof key !== "number") {
+			return { chain, createEdits: () => null };
+		}
+		if (this._findUnreachableIndex(node, pathParts.slice(depth))) {
+			return { chain, createEdits: () => null };
+		}
+
+		return {
+			chain,
+			createEdits: () => {
+				const layout = getContainerLayout(node, sourceText, parentNode);
+				const keyStyle = this._detectKeyStyle(sourceText, node);
+				const trailing = layout.multiline && this._wantsTrailingComma(node, parentNode) ? "," : "";
+				const value = this._buildMissingValue(pathParts.slice(depth + 1), op.value, layout, keyStyle, trailing);
+				return changesEntries(this._insertIntoNode(sourceText, node, { keyOrPosition: key, value }, parentNode), node, [key]);
+			},
+		};
+	}
+
+	/**
+	 * Find the first index a set cannot create: past the end of the array it is inserted into,
+	 * or other than 0 in an array the set creates
+	 * @private
+	 * @param {object} node - The deepest existing node
+	 * @param {Array<string|number>} missing - The path segments missing below it
+	 * @returns {{ index: number, length: number } | null} - The index and the length of its array, null when all can be created
+	 */
+	_findUnreachableIndex(node, missing) {
+		for (let i = 0; i < missing.length; i++) {
+			const length = i === 0 && node.type === "Array" ? node.elements.length : 0;
+			if (typeof missing[i] === "number" && missing[i] > length) {
+				return { index: missing[i], length };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Wrap a value into the objects/arrays described by the missing path segments.
+	 * The created containers are expanded one-entry-per-line when the container they are inserted into is.
+	 * @private
+	 */
+	_buildMissingValue(segments, value, layout, keyStyle, trailing) {
+		let result = value;
+		for (let i = segments.length - 1; i >= 0; i--) {
+			const segment = segments[i];
+			const entry = typeof segment === "number" ? result : `${this._formatKey(segment, keyStyle)}: ${result}`;
+			const [open, close] = typeof segment === "number" ? ["[", "]"] : ["{", "}"];
+
+			if (layout.multiline) {
+				result = open + layout.eol + layout.unit + reindent(entry, layout.unit, layout.eol) + trailing + layout.eol + close;
+			} else {
+				result = open + entry + close;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Normalize a path into an array of segments
+	 * @private
+	 */
+	_getPathParts(path) {
+		if (isPathPattern(path)) {
+			const kind = isJsonPath(path) ? "JSONPath" : "Wildcard path";
+			throw new Error(`${kind} ${JSON.stringify(path)} can select several nodes, use query() to read them`);
+		}
+		return Array.isArray(path) ? path : parsePath(path);
+	}
+
+	/**
+	 * Replace the text of a node, re-indenting multi-line values to the line where the node starts
+	 * @private
+	 */
+	_replaceNode(sourceText, node, value) {
+		const text = reindent(value, getLineIndent(sourceText, node.start), detectEol(sourceText));
+		return { start: node.start, end: node.end, text, owner: node };
+	}
+
+	_getDeleteStart(parentNode, key, sourceText) {
+		if (parentNode.type === "Object") {
+			for (const prop of parentNode.properties) {
+				const keyStr = extractString(prop.key, sourceText);
+				if (keyStr === key) {
+					return prop.key.start;
+				}
+			}
+		} else if (parentNode.type === "Array") {
+			if (typeof key === "number" && key >= 0 && key < parentNode.elements.length) {
+				return parentNode.elements[key].start;
+			}
+		}
+		return 0;
+	}
+
+	_deleteFromParent(sourceText, parentNode, key, keepComments) {
+		const index = this._findEntryIndex(sourceText, parentNode, key);
+		if (index === -1) return null;
+
+		return this._deleteEntries(sourceText, parentNode, index, index + 1, keepComments);
+	}
+
+	/**
+	 * Find the index of the property (in an object) or element (in an array) designated by a path segment.
+	 * A negative index counts from the end of the array.
+	 * @private
+	 * @returns {number} - The index of the entry, -1 when there is none
+	 */
+	_findEntryIndex(sourceText, containerNode, key) {
+		if (containerNode.type === "Object") {
+			return findPropertyIndex(containerNode, key, sourceText, this.options.duplicateKeys);
+		}
+		if (containerNode.type === "Array" && typeof key === "number") {
+			const index = key < 0 ? containerNode.elements.length + key : key;
+			return index >= 0 && index < containerNode.elements.length ? index : -1;
+		}
+		return -1;
+	}
+
+	/**
+	 * Find the entries an operation on a key or index changes: with duplicateKeys: "all", every property using the key
+	 * @private
+	 * @returns {number[]} - The indices of the entries, empty when there is none
+	 */
+	_findEntryIndices(sourceText, containerNode, key) {
+		if (this.options.duplicateKeys === "all" && containerNode.type === "Object") {
+			return findPropertyIndices(containerNode, key, sourceText);
+		}
+		const index = this._findEntryIndex(sourceText, containerNode, key);
+		return index === -1 ? [] : [index];
+	}
+
+	/**
+	 * Compute the edits removing consecutive entries, each with its comma and the whitespace separating it from its
+	 * siblings. The comments attached to the entries are removed with them, unless `keepComments` is set.
+	 * Removing the last entry keeps or drops the comma of the new last entry according to the trailing comma policy.
+	 * The edits are those of removing the entries one at a time, from the last one.
+	 * @private
+	 * @param {string} sourceText
+	 * @param {object} containerNode - The object/array
+	 * @param {number} from - The index of the first entry to remove
+	 * @param {number} to - The index after the last entry to remove
+	 * @param {boolean} keepComments
+	 */
+	_deleteEntries(sourceText, containerNode, from, to, keepComments) {
+		const entries = getEntries(containerNode);
+		const ranges = entries.slice(from, to).map((entry) => {
+			let start = entry.start;
+			let end = entry.comma ? Math.max(entry.comma.end, entry.end) : entry.end;
+			if (!keepComments) {
+				if (entry.leadingComments.length > 0) {
+					start = entry.leadingComments[0].start;
+				}
+				for (const comment of entry.trailingComments) {
+					end = Math.max(end, comment.end);
+				}
+			}
+			return { start, end };
+		});
+		const edits = [];
+
+		if (to < entries.length) {
+			// Remove each entry, its comma and the whitespace up to the next entry
+			for (const { start, end } of ranges) {
+				let deleteEnd = end;
+				while (deleteEnd < sourceText.length && isWhitespace(sourceText[deleteEnd])) {
+					deleteEnd++;
+				}
+				edits.push({ start, end: deleteEnd, text: "" });
+			}
+
+			const fix = this._fixTrailingComma(entries[entries.length - 1]);
+			if (fix) edits.push(fix);
+			return edits;
+		}
+
+		// Remove each entry and the whitespace (and now blank lines) before it,
+		// but not the comments trailing the previous entry
+		for (const { start, end } of ranges) {
+			let deleteStart = start;
+			while (deleteStart > 0 && isWhitespace(sourceText[deleteStart - 1])) {
+				deleteStart--;
+			}
+			edits.push({ start: deleteStart, end, text: "" });
+		}
+
+		// Removing every entry collapses the container to {} or [], unless comments are left inside it
+		const innerStart = containerNode.start + 1;
+		const innerEnd = containerNode.end - 1;
+		if (from === 0) {
+			let rest = "";
+			let pos = innerStart;
+			for (const edit of edits) {
+				rest += sourceText.slice(pos, edit.start);
+				pos = edit.end;
+			}
+			if ((rest + sourceText.slice(pos, innerEnd)).trim() === "") {
+				return [{ start: innerStart, end: innerEnd, text: "" }];
+			}
+		}
+
+		// The entry before the removed ones becomes the last one
+		const previous = from > 0 ? entries[from - 1] : null;
+		const last = entries[entries.length - 1];
+		const keepComma = this._trailingComma === "always" || (this._trailingComma === "preserve" && last.comma !== null);
+		if (previous && previous.comma && !keepComma) {
+			edits.push({ start: previous.comma.start, end: previous.comma.end, text: "" });
+		} else if (previous && !previous.comma && keepComma) {
+			edits.push({ start: previous.end, end: previous.end, text: "," });
+		}
+
+		return edits;
+	}
+
+	/**
+	 * Compute the edit writing the leading or trailing comment of an entry, replacing the comments already there
+	 * @private
+	 */
+	_setEntryComment(sourceText, containerNode, index, op) {
+		const entry = getEntries(containerNode)[index];
+		const layout = getContainerLayout(containerNode, sourceText);
+		const indent = getLineIndent(sourceText, entry.start);
+
+		if (op.position === "leading") {
+			const start = entry.leadingComments.length > 0 ? entry.leadingComments[0].start : entry.start;
+			// On a single line, the entry follows the comment on the same line
+			const style = layout.multiline ? op.style : "block";
+			const separator = layout.multiline ? layout.eol + indent : " ";
+			const text = formatComment(op.text, style, indent, layout.eol) + separator;
+			return [{ start, end: entry.start, text }];
+		}
+
+		const { start, end } = this._getTrailingCommentRange(entry);
+		const restOfLine = sourceText.slice(end, findLineEnd(sourceText, end));
+		const style = restOfLine.trim() === "" ? op.style : "block";
+		const text = (entry.comma ? "," : "") + " " + formatComment(op.text, style, indent, layout.eol);
+		return [{ start, end, text }];
+	}
+
+	/**
+	 * Compute the edits removing the leading and/or trailing comments of an entry
+	 * @private
+	 */
+	_removeEntryComments(sourceText, containerNode, index, position) {
+		const entry = getEntries(containerNode)[index];
+		const edits = [];
+
+		if (position !== "trailing" && entry.leadingComments.length > 0) {
+			edits.push({ start: entry.leadingComments[0].start, end: entry.start, text: "" });
+		}
+		if (position !== "leading" && entry.trailingComments.length > 0) {
+			const { start, end } = this._getTrailingCommentRange(entry);
+			edits.push({ start, end, text: entry.comma ? "," : "" });
+		}
+
+		return edits;
+	}
+
+	/**
+	 * The range from the end of an entry to the end of its comma and trailing comments,
+	 * which are written back as the comma followed by the new comment
+	 * @private
+	 */
+	_getTrailingCommentRange(entry) {
+		let end = entry.comma ? entry.comma.end : entry.end;
+		for (const comment of entry.trailingComments) {
+			end = Math.max(end, comment.end);
+		}
+		return { start: entry.end, end };
+	}
+
+	/**
+	 * The trailing comma policy: "preserve" (default), "always" or "never"
+	 * @private
+	 */
+	get _trailingComma() {
+		return this.options.trailingComma || "preserve";
+	}
+
+	/**
+	 * Whether the last entry of a container should be followed by a comma after inserting into it.
+	 * With the "preserve" policy, the container keeps its current style; an empty container follows its parent.
+	 * @private
+	 */
+	_wantsTrailingComma(containerNode, parentNode) {
+		if (this._trailingComma !== "preserve") {
+			return this._trailingComma === "always";
+		}
+
+		const entries = getEntries(containerNode);
+		if (entries.length > 0) {
+			return entries[entries.length - 1].comma !== null;
+		}
+
+		const isContainer = parentNode && (parentNode.type === "Object" || parentNode.type === "Array");
+		const parentEntries = isContainer ? getEntries(parentNode) : [];
+		return parentEntries.length > 0 && parentEntries[parentEntries.length - 1].comma !== null;
+	}
+
+	/**
+	 * Compute the edit adding or removing the comma after the last entry of a container,
+	 * so that it follows the "always" or "never" trailing comma policy
+	 * @private
+	 */
+	_fixTrailingComma(lastEntry) {
+		if (this._trailingComma === "never" && lastEntry.comma) {
+			return { start: lastEntry.comma.start, end: lastEntry.comma.end, text: "" };
+		}
+		if (this._trailingComma === "always" && !lastEntry.comma) {
+			return { start: lastEntry.end, end: lastEntry.end, text: "," };
+		}
+		return null;
+	}
+
+	_insertIntoNode(sourceText, node, patch, parentNode) {
+		if (node.type === "Object") {
+			return this._insertObjectProperty(sourceText, node, patch, parentNode);
+		} else if (node.type === "Array") {
+			return this._insertArrayElement(sourceText, node, patch, parentNode);
+		}
+		return null;
+	}
+
+	_insertObjectProperty(sourceText, objectNode, patch, parentNode) {
+		const key = patch.keyOrPosition;
+		if (typeof key !== "string") {
+			throw new Error("Insert into object requires a string key");
+		}
+
+		// Check if key already exists
+		for (const prop of objectNode.properties) {
+			const keyStr = extractString(prop.key, sourceText);
+			if (keyStr === key) {
+				throw new Error(`Key "${key}" already exists in object`);
+			}
+		}
+
+		const layout = getContainerLayout(objectNode, sourceText, parentNode);
+		const formattedKey = this._formatKey(key, this._detectKeyStyle(sourceText, objectNode));
+		const newEntry = `${formattedKey}: ${reindent(patch.value, layout.indent, layout.eol)}`;
+		const trailing = this._wantsTrailingComma(objectNode, parentNode) ? "," : "";
+
+		if (objectNode.properties.length === 0) {
+			return this._insertIntoEmptyContainer(sourceText, objectNode, newEntry + trailing, layout);
+		}
+
+		return this._appendEntry(sourceText, objectNode, newEntry, trailing, layout);
+	}
+
+	/**
+	 * Detect how the keys of an object are quoted, so that inserted keys look the same.
+	 * Only JSON5 documents can use single quotes or unquoted identifiers.
+	 * @private
+	 * @returns {"double" | "single" | "identifier"}
+	 */
+	_detectKeyStyle(sourceText, objectNode) {
+		if (!this.options.json5 || objectNode.type !== "Object" || objectNode.properties.length === 0) {
+			return "double";
+		}
+
+		const key = objectNode.properties[0].key;
+		if (key.type === "Identifier") {
+			return "identifier";
+		}
+		return sourceText[key.start] === "'" ? "single" : "double";
+	}
+
+	/**
+	 * Format a property key in the given quoting style
+	 * @private
+	 */
+	_formatKey(key, style) {
+		if (style === "identifier" && /^[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*$/u.test(key)) {
+			return key;
+		}
+		return encodeString(key, style === "single" ? "'" : '"');
+	}
+
+	_insertArrayElement(sourceText, arrayNode, patch, parentNode) {
+		const position = typeof patch.keyOrPosition === "number" ? patch.keyOrPosition : arrayNode.elements.length;
+
+		if (position < 0 || position > arrayNode.elements.length) {
+			throw new Error(`Invalid position ${position} for array of length ${arrayNode.elements.length}`);
+		}
+
+		const layout = getContainerLayout(arrayNode, sourceText, parentNode);
+		// Several values (patch.values) are inserted one after the other
+		const value = (patch.values || [patch.value])
+			.map((item) => reindent(item, layout.indent, layout.eol))
+			.join(layout.multiline ? "," + layout.eol + layout.indent : ", ");
+		const trailing = this._wantsTrailingComma(arrayNode, parentNode) ? "," : "";
+
+		if (arrayNode.elements.length === 0) {
+			return this._insertIntoEmptyContainer(sourceText, arrayNode, value + trailing, layout);
+		} else if (position >= arrayNode.elements.length) {
+			return this._appendEntry(sourceText, arrayNode, value, trailing, layout);
+		} else {
+			// The new element takes the place of the current one, which moves to the next line/slot with its comments
+			const entry = getEntries(arrayNode)[position];
+			const insertPos = entry.leadingComments.length > 0 ? entry.leadingComments[0].start : entry.start;
+			const separator = layout.multiline ? "," + layout.eol + layout.indent : ", ";
+			const edits = [{ start: insertPos, end: insertPos, text: value + separator }];
+
+			const fix = this._fixTrailingComma(arrayNode.elements[arrayNode.elements.length - 1]);
+			if (fix) edits.push(fix);
+
+			return edits;
+		}
+	}
+
+	/**
+	 * Insert the first entry of an empty object/array, expanding it when the layout is multi-line
+	 * @private
+	 */
+	_insertIntoEmptyContainer(sourceText, containerNode, entry, layout) {
+		const innerStart = containerNode.start + 1;
+		const innerEnd = containerNode.end - 1;
+
+		if (!layout.multiline) {
+			return [{ start: innerStart, end: innerStart, text: entry }];
+		}
+
+		const inner = sourceText.slice(innerStart, innerEnd);
+		if (inner.trim() === "") {
+			const expanded = layout.eol + layout.indent + entry + layout.eol + layout.closingIndent;
+			return [{ start: innerStart, end: innerEnd, text: expanded }];
+		}
+
+		// Keep comments living inside the container and put the entry after them
+		const insertPos = innerStart + inner.trimEnd().length;
+		return [{ start: insertPos, end: insertPos, text: layout.eol + layout.indent + entry }];
+	}
+
+	/**
+	 * Append an entry after the last entry of a non-empty object/array.
+	 * The edit inserting it records how it is written in `append`, so that entries appended next join it.
+	 * @private
+	 * @param {string} sourceText
+	 * @param {object} containerNode - The object/array
+	 * @param {string} entry - The entry text
+	 * @param {string} trailing - "," when the new last entry should have a trailing comma, otherwise ""
+	 * @param {object} layout - The container layout
+	 */
+	_appendEntry(sourceText, containerNode, entry, trailing, layout) {
+		const entries = getEntries(containerNode);
+		const last = entries[entries.length - 1];
+		const separator = layout.multiline ? layout.eol + layout.indent : " ";
+		const append = (position, lead) => ({
+			start: position,
+			end: position,
+			text: lead + entry + trailing,
+			append: { lead, entries: [entry], separator, trailing },
+		});
+
+		// The last entry already has a (trailing) comma: it becomes the separator and the entry goes after it
+		if (last.comma) {
+			let insertPos = last.comma.end;
+			if (layout.multiline) {
+				// Keep a comment trailing the last entry on its line
+				const lineEnd = findTrailingCommentEnd(sourceText, insertPos);
+				if (lineEnd !== -1) insertPos = lineEnd;
+			}
+			return [append(insertPos, separator)];
+		}
+
+		if (layout.multiline) {
+			// Keep a comment trailing the last entry on its own line instead of moving it after the new entry
+			const lineEnd = findTrailingCommentEnd(sourceText, last.end);
+			if (lineEnd !== -1) {
+				return [{ start: last.end, end: last.end, text: "," }, append(lineEnd, separator)];
+			}
+		}
+
+		return [append(last.end, "," + separator)];
+	}
+}
+
+/**
+ * Describe a comment of the document
+ * @param {string} sourceText
+ * @param {{ start: number, end: number }} comment - The comment node
+ * @param {"leading"|"trailing"} position - Where the comment is attached
+ * @returns {{ position: "leading"|"trailing", style: "line"|"block", text: string }}
+ */
+function readComment(sourceText, comment, position) {
+	const raw = sourceText.slice(comment.start, comment.end);
+	if (raw.startsWith("//")) {
+		return { position, style: "line", text: raw.slice(2).trim() };
+	}
+	return { position, style: "block", text: raw.slice(2, -2).trim() };
+}
+
+/**
+ * Format the text of a comment, a multi-line text becoming one line comment per line
+ * @param {string} text - The comment text, without the comment delimiters
+ * @param {"line"|"block"} style
+ * @param {string} indent - The indentation of the commented line
+ * @param {string} eol - The line ending to use
+ * @returns {string}
+ */
+function formatComment(text, style, indent, eol) {
+	if (style === "block") {
+		return `/* ${reindent(text, indent, eol)} */`;
+	}
+	return text
+		.split(/\r?\n/)
+		.map((line) => (line ? `// ${line}` : "//"))
+		.join(eol + indent);
+}
+
+/**
+ * @param {string} sourceText
+ * @param {number} pos
+ * @returns {number} - The position of the line break ending the line containing `pos`, or the end of the text
+ */
+function findLineEnd(sourceText, pos) {
+	while (pos < sourceText.length && sourceText[pos] !== "\n" && sourceText[pos] !== "\r") {
+		pos++;
+	}
+	return pos;
+}
+
+/**
+ * Whether a value is an index of an element of an array
+ * @param {unknown} index
+ * @param {number} length - The length of the array
+ * @returns {boolean}
+ */
+function isArrayIndex(index, length) {
+	return Number.isInteger(index) && index >= 0 && index < length;
+}
+
+/**
+ * The default comparator of sortArray(): numbers in ascending order, then strings by UTF-16 code units,
+ * then the other values in their current order
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+	const rank = (value) => (typeof value === "number" ? 0 : typeof value === "string" ? 1 : 2);
+	if (rank(a) !== rank(b)) {
+		return rank(a) - rank(b);
+	}
+	if (typeof a === "number") {
+		return a - b;
+	}
+	return typeof a === "string" && a !== b ? (a < b ? -1 : 1) : 0;
+}
+
+/**
+ * Whether a value is a JSON object (not an array, not null)
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * The elements a push, unshift or splice removes, as the Array methods of the same name do
+ * @param {object} op - The operation
+ * @param {number} length - The length of the array
+ * @returns {{ start: number, end: number }} - The index of the first element removed and the index after the last one
+ */
+function getSpliceRange(op, length) {
+	let start = op.type === "push" ? length : op.type === "unshift" ? 0 : Math.trunc(op.start) || 0;
+	start = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+	const deleteCount = op.type !== "splice" ? 0 : op.deleteCount === undefined ? length - start : Math.trunc(op.deleteCount) || 0;
+	return { start, end: start + Math.min(Math.max(deleteCount, 0), length - start) };
+}
+
+/**
+ * Whether two edits make the same change
+ * @param {{ start: number, end: number, text: string }} edit
+ * @param {{ start: number, end: number, text: string }} other
+ * @returns {boolean}
+ */
+function isSameEdit(edit, other) {
+	return edit.start === other.start && edit.end === other.end && edit.text === other.text;
+}
+
+/**
+ * Record on edits the container whose entries they insert, delete, rename or comment, and the keys of these entries:
+ * the operations looking these keys up (any entry of an array) depend on the edits
+ * @param {Array<object>|null} edits
+ * @param {object} containerNode - The object/array
+ * @param {Array<string|number>} keys
+ * @returns {Array<object>|null}
+ */
+function changesEntries(edits, containerNode, keys) {
+	return edits && edits.map((edit) => ({ ...edit, container: containerNode, keys }));
+}
+
+/**
+ * Whether a path is a prefix of (or equal to) another path
+ * @param {Array<string|number>} prefix
+ * @param {Array<string|number>} path
+ * @returns {boolean}
+ */
+function isPathPrefix(prefix, path) {
+	return prefix.length <= path.length && prefix.every((segment, index) => segment === path[index]);
+}
+
+/**
+ * Whether a compiled path segment selects one child by name or (non-negative) index
+ * @param {{ descendant: boolean, selectors: Array<object> }} segment
+ * @returns {boolean}
+ */
+function isPlainSegment(segment) {
+	if (segment.descendant || segment.selectors.length !== 1) {
+		return false;
+	}
+	const selector = segment.selectors[0];
+	return selector.type === "name" || (selector.type === "index" && selector.index >= 0);
+}
+
+/**
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isWhitespace(ch) {
+	return ch === " " || ch === "\t" || ch === "\n" || ch === "\r";
+}
+
+/**
+ * Parse a JSON string into its CST
+ * @param {string} sourceText
+ * @param {{ json5?: boolean }} [options]
+ * @returns {import('./CSTBuilder.js').Node}
+ */
+function parseTree(sourceText, options = {}) {
+	const tokenizer = new Tokenizer(sourceText, { json5: options.json5 });
+	const tokens = tokenizer.tokenize();
+	const builder = new CSTBuilder(tokens, sourceText);
+	return builder.build();
+}
+
+/**
+ * Apply non-overlapping edits, all expressed against the same text
+ * @param {string} sourceText
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ * @returns {string}
+ */
+function applyEdits(sourceText, edits) {
+	if (edits.length === 0) {
+		return sourceText;
+	}
+
+	const sorted = edits.slice().sort((a, b) => a.start - b.start);
+	const parts = [];
+	let pos = 0;
+
+	for (const edit of sorted) {
+		parts.push(sourceText.slice(pos, edit.start), edit.text);
+		pos = edit.end;
+	}
+	parts.push(sourceText.slice(pos));
+
+	return parts.join("");
+}
+
+/**
+ * Factory function to create a new JsonMod instance
  * @param {string} sourceText - The JSON string to modify
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw a JsonModError when an operation's path does not resolve
+ * @param {boolean} [options.json5=false] - Parse the source as JSON5
+ * @param {"preserve"|"always"|"never"} [options.trailingComma="preserve"] - Trailing comma policy of edited objects/arrays
+ * @param {boolean} [options.keepComments=false] - Keep the comments attached to deleted entries
  * @returns {JsonMod} - A new JsonMod instance
  * @example
  * jsonmod(source).replace("a", "10").delete("b").apply()
+ * jsonmod(source, { strict: true }).replace("vesion", '"2.0.0"').apply() // throws JsonModError
+ */
+export function jsonmod(sourceText, options) {
+	return new JsonMod(sourceText, options);
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a JSON string, preserving its formatting, see JsonMod#applyPatch()
+ * @param {string} sourceText - The JSON string to patch
+ * @param {Array<object>} patch - The patch document
+ * @param {object} [options] - The options of jsonmod()
+ * @returns {string} - The patched JSON string
+ * @throws {JsonPatchError} When the patch is malformed or one of its operations fails; nothing is applied then
+ * @example
+ * applyJsonPatch(source, [{ op: "replace", path: "/version", value: "2.0.0" }])
+ */
+export function applyJsonPatch(sourceText, patch, options) {
+	return new JsonMod(sourceText, options).applyPatch(patch).apply();
+}
+
+/**
+ * Re-print a JSON string with a consistent layout, keeping its comments, see JsonMod#format()
+ * @param {string} sourceText - The JSON string to format
+ * @param {object} [options] - The options of JsonMod#format(), and `json5` to parse the source as JSON5
+ * @returns {string} - The formatted JSON string
+ * @throws {JsonModError} When `path` does not resolve
+ * @throws {import('./errors.js').JsonParseError} When the source is not valid, e.g. when content follows the root value
+ * @example
+ * format('{"a":1, // note\n"b":[1,2]}', { indent: 4 })
+ */
+export function format(sourceText, options = {}) {
+	return new JsonMod(sourceText, { json5: options.json5, strict: true }).format(options).apply();
+}
+
+/**
+ * Walk a document and queue operations from the visitor, see JsonMod#visit()
+ * @param {string} sourceText - The JSON string to modify
+ * @param {Function|object} visitor - The visitor
+ * @param {object} [options] - The options of jsonmod()
+ * @returns {JsonMod} - A new JsonMod instance holding the queued operations
+ * @example
+ * visit(source, {
+ *   String(node, ctx) {
+ *     if (node.value.startsWith("http:")) ctx.replace(formatValue(node.value.replace("http:", "https:")));
+ *   },
+ * }).apply()
  */
-export function jsonmod(sourceText) {
-	return new JsonMod(sourceText);
+export function visit(sourceText, visitor, options) {
+	return jsonmod(sourceText, options).visit(visitor);
 }
@@ -1,7 +1,10 @@
 import test, { describe } from "node:test";
 import assert from "node:assert/strict";
 
-import { jsonmod } from "./JsonMod.js";
+import { jsonmod, visit, applyJsonPatch } from "./JsonMod.js";
+import { Tokenizer } from "./Tokenizer.js";
+import { JsonModError, JsonPatchError, InvalidPathError, DuplicateKeyError } from "./errors.js";
+import { formatValue } from "./value-helpers.js";
 
 describe("JsonMod Chainable API Tests", () => {
 	test("simple replace operation", () => {
@@ -177,4 +180,1132 @@ describe("JsonMod Chainable API Tests", () => {
 		assert.equal(typeof result1.apply, "function");
 		assert.equal(typeof result2.apply, "function");
 	});
+
+	test("set replaces an existing value", () => {
+		const source = '{"a":{"b":1}}';
+		const result = jsonmod(source).set("a.b", "2").apply();
+		assert.equal(result, '{"a":{"b":2}}');
+	});
+
+	test("set inserts a missing leaf", () => {
+		const source = '{"a":{"b":1}}';
+		const result = jsonmod(source).set("a.c", "2").apply();
+		assert.equal(result, '{"a":{"b":1, "c": 2}}');
+	});
+
+	test("set creates missing intermediate objects", () => {
+		const source = '{"compilerOptions":{"strict":true}}';
+		const result = jsonmod(source).set("compilerOptions.paths.foo", '["./foo"]').apply();
+		assert.equal(result, '{"compilerOptions":{"strict":true, "paths": {"foo": ["./foo"]}}}');
+		assert.deepEqual(JSON.parse(result).compilerOptions.paths, { foo: ["./foo"] });
+	});
+
+	test("set creates arrays when the next segment is a number", () => {
+		const source = "{}";
+		const result = jsonmod(source).set("a.b[0].c", "1").apply();
+		assert.equal(result, '{"a": {"b": [{"c": 1}]}}');
+	});
+
+	test("set appends to an existing array", () => {
+		const source = '{"arr":[1]}';
+		const result = jsonmod(source).set("arr[1]", "2").apply();
+		assert.equal(result, '{"arr":[1, 2]}');
+	});
+
+	test("set with array path", () => {
+		const source = '{"a":1}';
+		const result = jsonmod(source).set(["b", "c"], "true").apply();
+		assert.equal(result, '{"a":1, "b": {"c": true}}');
+	});
+
+	test("set does nothing when a primitive is in the way", () => {
+		const source = '{"a":1}';
+		const result = jsonmod(source).set("a.b", "2").apply();
+		assert.equal(result, source);
+	});
+
+	test("set skips creating an array with a non-zero index", () => {
+		assert.equal(jsonmod("{}").set("a[2]", "1").apply(), "{}");
+		assert.equal(jsonmod('{"a": {}}').set("b[5]", "2").set("a.b", "1").apply(), '{"a": {"b": 1}}');
+		assert.throws(() => jsonmod('{"a": {}}').set("b[5]", "2").apply({ strict: true }), {
+			name: "JsonModError",
+			message: 'Cannot set "b[5]": index 5 is out of bounds for an empty array',
+			operationIndex: 0,
+		});
+		assert.throws(() => jsonmod('{"arr": [1]}').set("arr[3].a", "2").apply({ strict: true }), {
+			message: 'Cannot set "arr[3].a": index 3 is out of bounds for Array of length 1 at ["arr"]',
+		});
+	});
+
+	test("insert into multi-line object puts the entry on its own line", () => {
+		const source = '{\n  "a": 1,\n  "b": 2\n}';
+		const result = jsonmod(source).insert("", "c", "3").apply();
+		assert.equal(result, '{\n  "a": 1,\n  "b": 2,\n  "c": 3\n}');
+	});
+
+	test("insert keeps tabs and CRLF line endings", () => {
+		const source = '{\r\n\t"a": {\r\n\t\t"b": 1\r\n\t}\r\n}';
+		const result = jsonmod(source).insert("a", "c", "2").apply();
+		assert.equal(result, '{\r\n\t"a": {\r\n\t\t"b": 1,\r\n\t\t"c": 2\r\n\t}\r\n}');
+	});
+
+	test("insert keeps a trailing line comment on the previous entry", () => {
+		const source = '{\n  "a": 1 // note\n}';
+		const result = jsonmod(source).insert("", "b", "2").apply();
+		assert.equal(result, '{\n  "a": 1, // note\n  "b": 2\n}');
+	});
+
+	test("insert into multi-line array at start, middle and end", () => {
+		const source = '[\n    1,\n    2\n]';
+		const result = jsonmod(source).insert("", 0, "0").insert("", 2, "1.5").insert("", 4, "3").apply();
+		assert.equal(result, '[\n    0,\n    1,\n    1.5,\n    2,\n    3\n]');
+	});
+
+	test("insert expands empty containers using the parent's indentation", () => {
+		const source = '{\n  "obj": {},\n  "arr": []\n}';
+		const result = jsonmod(source).insert("obj", "a", "1").insert("arr", 0, "1").apply();
+		assert.equal(result, '{\n  "obj": {\n    "a": 1\n  },\n  "arr": [\n    1\n  ]\n}');
+	});
+
+	test("multi-line values are re-indented to where they land", () => {
+		const source = '{\n  "a": {\n    "b": 1\n  }\n}';
+		const value = JSON.stringify({ x: [1] }, null, 2);
+		const inserted = jsonmod(source).insert("a", "c", value).apply();
+		assert.equal(inserted, '{\n  "a": {\n    "b": 1,\n    "c": {\n      "x": [\n        1\n      ]\n    }\n  }\n}');
+
+		const replaced = jsonmod(source).replace("a.b", value).apply();
+		assert.equal(replaced, '{\n  "a": {\n    "b": {\n      "x": [\n        1\n      ]\n    }\n  }\n}');
+	});
+
+	test("set creates multi-line containers in multi-line documents", () => {
+		const source = '{\n  "compilerOptions": {\n    "strict": true\n  }\n}';
+		const result = jsonmod(source).set("compilerOptions.paths.foo", '["./foo"]').apply();
+		assert.equal(result, '{\n  "compilerOptions": {\n    "strict": true,\n    "paths": {\n      "foo": ["./foo"]\n    }\n  }\n}');
+	});
+
+	test("independent operations are applied from a single parse", (t) => {
+		const tokenize = t.mock.method(Tokenizer.prototype, "tokenize");
+		const source = '{"a":{"x":1},"b":[1,2,3],"c":{}}';
+		const result = jsonmod(source).replace("a.x", "2").replace("b[2]", "4").delete("b[0]").insert("c", "k", "true").apply();
+
+		assert.equal(result, '{"a":{"x":2},"b":[2,4],"c":{"k": true}}');
+		assert.equal(tokenize.mock.callCount(), 1);
+	});
+
+	test("operations depending on previous edits trigger a re-parse", (t) => {
+		const tokenize = t.mock.method(Tokenizer.prototype, "tokenize");
+		const source = '{"a":1}';
+		const result = jsonmod(source).insert("", "b", "{}").set("b.c", "2").replace("a", "3").apply();
+
+		assert.equal(result, '{"a":3, "b": {"c": 2}}');
+		assert.equal(tokenize.mock.callCount(), 2);
+	});
+
+	test("deletes and inserts in the same container are applied from a single parse", (t) => {
+		const tokenize = t.mock.method(Tokenizer.prototype, "tokenize");
+		const keys = Array.from({ length: 100 }, (_, i) => `k${i}`);
+		const source = JSON.stringify({ packages: Object.fromEntries(keys.map((key) => [key, 1])) }, null, 2);
+		const deleted = keys.filter((_, i) => i % 2 === 0).reduce((mod, key) => mod.delete(["packages", key]), jsonmod(source));
+		const kept = keys.filter((_, i) => i % 2 === 1);
+		assert.equal(deleted.apply(), JSON.stringify({ packages: Object.fromEntries(kept.map((key) => [key, 1])) }, null, 2));
+		assert.equal(tokenize.mock.callCount(), 1);
+
+		tokenize.mock.resetCalls();
+		const added = keys.map((key) => `n${key}`);
+		const inserted = added.reduce((mod, key) => mod.insert("packages", key, "2"), jsonmod(source));
+		const expected = [...keys.map((key) => [key, 1]), ...added.map((key) => [key, 2])];
+		assert.equal(inserted.apply(), JSON.stringify({ packages: Object.fromEntries(expected) }, null, 2));
+		assert.equal(tokenize.mock.callCount(), 1);
+	});
+
+	test("splice is planned from a single parse", (t) => {
+		const tokenize = t.mock.method(Tokenizer.prototype, "tokenize");
+		const items = Array.from({ length: 200 }, (_, i) => String(i));
+		const result = jsonmod('{"list":[1,2,3,4]}').splice("list", 1, 2, ...items).apply();
+		assert.equal(result, `{"list":[1,${items.join(", ")}, 4]}`);
+		assert.equal(tokenize.mock.callCount(), 1);
+
+		// Items appended after removing the end of the array need the removal first
+		tokenize.mock.resetCalls();
+		assert.equal(jsonmod('{"list":[1,2,3,4]}').splice("list", 2, 2, ...items).apply(), `{"list":[1,2, ${items.join(", ")}]}`);
+		assert.equal(tokenize.mock.callCount(), 2);
+	});
+
+	test("operations on a previously edited container see its new entries", () => {
+		const source = '{"items":[1,2,3]}';
+		const result = jsonmod(source).delete("items[0]").delete("items[0]").insert("items", 1, "4").apply();
+		assert.equal(result, '{"items":[3, 4]}');
+	});
+
+	test("unresolved paths are skipped by default", () => {
+		const source = '{"version":"1.0.0"}';
+		const result = jsonmod(source).replace("vesion", '"2.0.0"').apply();
+		assert.equal(result, source);
+	});
+
+	test("strict mode throws a JsonModError", () => {
+		const source = '{"version":"1.0.0","deps":{"a":"1"}}';
+		const mod = jsonmod(source, { strict: true }).replace("version", '"2.0.0"').replace("deps.b.c", '"2"');
+
+		assert.throws(
+			() => mod.apply(),
+			(error) => {
+				assert(error instanceof JsonModError);
+				assert.equal(error.name, "JsonModError");
+				assert.equal(error.operationIndex, 1);
+				assert.equal(error.operation, "replace");
+				assert.equal(error.path, "deps.b.c");
+				assert.deepEqual(error.resolvedPath, ["deps"]);
+				assert.equal(error.nodeType, "Object");
+				assert.equal(error.message, 'Cannot replace "deps.b.c": property "b" not found in Object at ["deps"]');
+				return true;
+			},
+		);
+	});
+
+	test("strict mode can be enabled per apply()", () => {
+		const mod = jsonmod('{"a":1}').delete("b");
+		assert.equal(mod.apply(), '{"a":1}');
+		assert.throws(() => mod.apply({ strict: true }), JsonModError);
+		assert.equal(jsonmod('{"a":1}', { strict: true }).delete("b").apply({ strict: false }), '{"a":1}');
+	});
+
+	test("applyWithReport lists skipped operations", () => {
+		const source = '{"a":1,"items":[1,2]}';
+		const { text, skipped } = jsonmod(source)
+			.replace("a", "2")
+			.delete("items[5]")
+			.insert("a", "k", "1")
+			.set("a.b", "3")
+			.delete("")
+			.applyWithReport();
+
+		assert.equal(text, '{"a":2,"items":[1,2]}');
+		assert.deepEqual(
+			skipped.map(({ operationIndex, operation, resolvedPath, nodeType }) => ({ operationIndex, operation, resolvedPath, nodeType })),
+			[
+				{ operationIndex: 1, operation: "delete", resolvedPath: ["items"], nodeType: "Array" },
+				{ operationIndex: 2, operation: "insert", resolvedPath: ["a"], nodeType: "Number" },
+				{ operationIndex: 3, operation: "set", resolvedPath: ["a"], nodeType: "Number" },
+				{ operationIndex: 4, operation: "delete", resolvedPath: [], nodeType: "Object" },
+			],
+		);
+		assert.equal(skipped[0].message, 'Cannot delete "items[5]": index 5 not found in Array at ["items"]');
+		assert.equal(skipped[1].message, 'Cannot insert "a": Number is not an object or array at ["a"]');
+		assert.equal(skipped[2].message, 'Cannot set "a.b": Number cannot contain property "b" at ["a"]');
+	});
+
+	test("json5: edits documents with JSON5 syntax", () => {
+		const source = "{\n  name: 'app',\n  'quoted key': 0xFF,\n  list: [.5, +1,],\n}";
+		const result = jsonmod(source, { json5: true })
+			.replace("name", "'lib'")
+			.replace(["quoted key"], "Infinity")
+			.insert("list", 2, "NaN")
+			.apply();
+
+		assert.equal(result, "{\n  name: 'lib',\n  'quoted key': Infinity,\n  list: [.5, +1, NaN,],\n}");
+	});
+
+	test("json5: inserted keys follow the quoting style of the object", () => {
+		assert.equal(jsonmod("{a: 1}", { json5: true }).insert("", "b", "2").apply(), "{a: 1, b: 2}");
+		assert.equal(jsonmod("{a: 1}", { json5: true }).insert("", "b-c", "2").apply(), '{a: 1, "b-c": 2}');
+		assert.equal(jsonmod("{'a': 1}", { json5: true }).insert("", "it's", "2").apply(), "{'a': 1, 'it\\'s': 2}");
+		assert.equal(jsonmod('{"a": 1}', { json5: true }).insert("", "b", "2").apply(), '{"a": 1, "b": 2}');
+		assert.equal(jsonmod("{a: {}}", { json5: true }).set("b.c", "1").apply(), "{a: {}, b: {c: 1}}");
+	});
+
+	test("json5 syntax is rejected without the json5 option", () => {
+		assert.throws(() => jsonmod("{a: 1}").replace("a", "2").apply(), { name: "JsonParseError" });
+	});
+
+	test("trailingComma preserve: keeps the existing trailing comma style", () => {
+		const source = '{\n  "a": 1,\n  "b": 2,\n}';
+
+		assert.equal(jsonmod(source).insert("", "c", "3").apply(), '{\n  "a": 1,\n  "b": 2,\n  "c": 3,\n}');
+		assert.equal(jsonmod(source).delete("b").apply(), '{\n  "a": 1,\n}');
+		assert.equal(jsonmod(source).delete("a").apply(), '{\n  "b": 2,\n}');
+		assert.equal(jsonmod('{"a": 1, "b": 2}').delete("b").apply(), '{"a": 1}');
+		assert.equal(jsonmod("[1, 2,]").insert("", 2, "3").apply(), "[1, 2, 3,]");
+		assert.equal(jsonmod("[1,]").delete([0]).apply(), "[]");
+	});
+
+	test("trailingComma preserve: keeps comments trailing the previous entry", () => {
+		const source = '{\n  "a": 1, // one\n  "b": 2, // two\n}';
+
+		assert.equal(jsonmod(source).insert("", "c", "3").apply(), '{\n  "a": 1, // one\n  "b": 2, // two\n  "c": 3,\n}');
+		assert.equal(jsonmod('{\n  "a": 1, // one\n  "b": 2\n}').delete("b").apply(), '{\n  "a": 1 // one\n}');
+	});
+
+	test("trailingComma preserve: new containers follow their parent", () => {
+		const source = '{\n  "a": {},\n}';
+
+		assert.equal(jsonmod(source).insert("a", "b", "1").apply(), '{\n  "a": {\n    "b": 1,\n  },\n}');
+		assert.equal(jsonmod(source).set("c.d", "1").apply(), '{\n  "a": {},\n  "c": {\n    "d": 1,\n  },\n}');
+	});
+
+	test("trailingComma always: adds the trailing comma to edited containers", () => {
+		const source = '{\n  "a": 1,\n  "b": [1, 2]\n}';
+		const options = { trailingComma: "always" };
+
+		assert.equal(jsonmod(source, options).insert("", "c", "3").apply(), '{\n  "a": 1,\n  "b": [1, 2],\n  "c": 3,\n}');
+		assert.equal(jsonmod(source, options).delete("b").apply(), '{\n  "a": 1,\n}');
+		assert.equal(jsonmod(source, options).insert("b", 0, "0").apply(), '{\n  "a": 1,\n  "b": [0, 1, 2,]\n}');
+		assert.equal(jsonmod(source, options).delete(["b", 0]).apply(), '{\n  "a": 1,\n  "b": [2,]\n}');
+	});
+
+	test("trailingComma never: removes the trailing comma of edited containers", () => {
+		const source = '{\n  "a": 1,\n  "b": [1, 2,],\n}';
+		const options = { trailingComma: "never" };
+
+		assert.equal(jsonmod(source, options).insert("", "c", "3").apply(), '{\n  "a": 1,\n  "b": [1, 2,],\n  "c": 3\n}');
+		assert.equal(jsonmod(source, options).delete("b").apply(), '{\n  "a": 1\n}');
+		assert.equal(jsonmod(source, options).insert("b", 1, "0").apply(), '{\n  "a": 1,\n  "b": [1, 0, 2],\n}');
+		assert.equal(jsonmod(source, options).delete(["b", 1]).apply(), '{\n  "a": 1,\n  "b": [1],\n}');
+		assert.equal(jsonmod(source, options).delete(["b", 0]).apply(), '{\n  "a": 1,\n  "b": [2],\n}');
+	});
+
+	test("trailingComma: rejects unknown policies", () => {
+		assert.throws(() => jsonmod("{}", { trailingComma: "sometimes" }), /Invalid trailingComma option: sometimes/);
+	});
+
+	test("delete: removes the comments attached to the entry", () => {
+		const source = '{\n  // about a\n  "a": 1, // one\n  /* about b */\n  "b": 2, /* two */\n  "c": 3 // three\n}';
+
+		assert.equal(jsonmod(source).delete("a").apply(), '{\n  /* about b */\n  "b": 2, /* two */\n  "c": 3 // three\n}');
+		assert.equal(jsonmod(source).delete("b").apply(), '{\n  // about a\n  "a": 1, // one\n  "c": 3 // three\n}');
+		assert.equal(jsonmod(source).delete("c").apply(), '{\n  // about a\n  "a": 1, // one\n  /* about b */\n  "b": 2 /* two */\n}');
+		assert.equal(jsonmod('{\n  // only\n  "a": 1\n}').delete("a").apply(), "{}");
+		assert.equal(jsonmod("[1, /* two */ 2, 3]").delete([1]).apply(), "[1, 3]");
+	});
+
+	test("delete: keeps comments separated by a blank line", () => {
+		const source = '{\n  "a": 1,\n\n  // section\n\n  "b": 2\n}';
+
+		assert.equal(jsonmod(source).delete("b").apply(), '{\n  "a": 1\n\n  // section\n}');
+	});
+
+	test("delete: keepComments leaves the attached comments in place", () => {
+		const source = '{\n  // about a\n  "a": 1, // one\n  "b": 2\n}';
+
+		assert.equal(jsonmod(source).delete("a", { keepComments: true }).apply(), '{\n  // about a\n  // one\n  "b": 2\n}');
+		assert.equal(jsonmod(source, { keepComments: true }).remove("a").apply(), '{\n  // about a\n  // one\n  "b": 2\n}');
+		assert.equal(jsonmod(source, { keepComments: true }).delete("a", { keepComments: false }).apply(), '{\n  "b": 2\n}');
+	});
+
+	test("delete: removing the only entry collapses the container", () => {
+		assert.equal(jsonmod('{\n  "a": 1\n}').delete("a").apply(), "{}");
+		assert.equal(jsonmod('{\n  "a": [\n    1\n  ]\n}').delete(["a", 0]).apply(), '{\n  "a": []\n}');
+		assert.equal(jsonmod('{ "a": 1, }').delete("a").apply(), "{}");
+		assert.equal(jsonmod("{\n  // header\n\n  \"a\": 1\n}").delete("a").apply(), "{\n  // header\n}");
+		assert.equal(jsonmod('{\n  // about a\n  "a": 1\n}').delete("a", { keepComments: true }).apply(), "{\n  // about a\n}");
+	});
+
+	test("getComments: returns the comments attached to an entry", () => {
+		const source = '{\n  // about a\n  "a": 1, // one\n  "b": [1, /* two */ 2]\n}';
+		const mod = jsonmod(source);
+
+		assert.deepEqual(mod.getComments("a"), [
+			{ position: "leading", style: "line", text: "about a" },
+			{ position: "trailing", style: "line", text: "one" },
+		]);
+		assert.deepEqual(mod.getComments(["b", 1]), [{ position: "leading", style: "block", text: "two" }]);
+		assert.deepEqual(mod.getComments("missing"), []);
+		assert.deepEqual(mod.getComments(""), []);
+		assert.deepEqual(mod.setComment("b", "list").getComments("b"), [{ position: "leading", style: "line", text: "list" }]);
+	});
+
+	test("setComment: adds or replaces leading and trailing comments", () => {
+		const source = '{\n  // about a\n  "a": 1, // one\n  "b": 2 /* two */,\n  "c": [1, 2]\n}';
+		const result = jsonmod(source)
+			.setComment("a", "new a")
+			.setComment("b", "new b", { position: "trailing" })
+			.setComment("c", "first\nsecond")
+			.setComment(["c", 1], "last", { position: "trailing", style: "block" })
+			.apply();
+
+		assert.equal(result, '{\n  // new a\n  "a": 1, // one\n  "b": 2, // new b\n  // first\n  // second\n  "c": [1, 2 /* last */]\n}');
+	});
+
+	test("setComment: uses block comments when code follows on the same line", () => {
+		assert.equal(jsonmod('{"a": 1, "b": 2}').setComment("b", "note").apply(), '{"a": 1, /* note */ "b": 2}');
+		const trailing = jsonmod('{"a": 1, "b": 2}').setComment("a", "note", { position: "trailing" }).apply();
+		assert.equal(trailing, '{"a": 1, /* note */ "b": 2}');
+	});
+
+	test("setComment: follows the indentation of the entry", () => {
+		const source = '{\n\t"a": {\n\t\t"b": 1\n\t}\n}';
+
+		assert.equal(jsonmod(source).setComment("a.b", "one\ntwo").apply(), '{\n\t"a": {\n\t\t// one\n\t\t// two\n\t\t"b": 1\n\t}\n}');
+	});
+
+	test("setComment: rejects invalid comments", () => {
+		assert.throws(() => jsonmod("{}").setComment("a", "x */ y", { style: "block" }), /cannot contain/);
+		assert.throws(() => jsonmod("{}").setComment("a", "x\ny", { position: "trailing" }), /cannot span multiple lines/);
+		assert.throws(() => jsonmod("{}").setComment("a", "x", { position: "above" }), /Invalid comment position: above/);
+	});
+
+	test("removeComment: removes the comments attached to an entry", () => {
+		const source = '{\n  // about a\n  "a": 1, // one\n  "b": 2 /* two */,\n  "c": 3\n}';
+
+		assert.equal(jsonmod(source).removeComment("a").removeComment("b").apply(), '{\n  "a": 1,\n  "b": 2,\n  "c": 3\n}');
+		const leadingOnly = jsonmod(source).removeComment("a", { position: "leading" }).apply();
+		assert.equal(leadingOnly, '{\n  "a": 1, // one\n  "b": 2 /* two */,\n  "c": 3\n}');
+		assert.equal(jsonmod(source).removeComment("c").apply(), source);
+	});
+
+	test("comment operations on the root or a missing entry are skipped", () => {
+		const { skipped } = jsonmod('{"a": 1}').setComment("", "root").removeComment("b").applyWithReport();
+
+		assert.deepEqual(
+			skipped.map(({ message }) => message),
+			[
+				'Cannot setComment "": comments can only be attached to properties and elements',
+				'Cannot removeComment "b": property "b" not found in Object',
+			],
+		);
+	});
+
+	test("get: decodes the value at a path", () => {
+		const source = '{\n  // comment\n  "name": "caf\\u00e9",\n  "deps": {"a": [1, 2.5, true, null]}\n}';
+		const mod = jsonmod(source);
+
+		assert.equal(mod.get("name"), "café");
+		assert.deepEqual(mod.get("deps"), { a: [1, 2.5, true, null] });
+		assert.equal(mod.get("deps.a[1]"), 2.5);
+		assert.equal(mod.get("deps.a[3]"), null);
+		assert.equal(mod.get("missing"), undefined);
+		assert.equal(mod.get(["deps", "a", 9]), undefined);
+	});
+
+	test("has, typeOf and keys inspect the document", () => {
+		const mod = jsonmod('{"a": {"x": 1, "y": "2"}, "b": [true, null], "c": null}');
+
+		assert.equal(mod.has("c"), true);
+		assert.equal(mod.has("d"), false);
+		assert.equal(mod.has("b[1]"), true);
+		assert.deepEqual(["a", "b", "a.y", "b[0]", "c", "d"].map((path) => mod.typeOf(path)), [
+			"object",
+			"array",
+			"string",
+			"boolean",
+			"null",
+			undefined,
+		]);
+		assert.deepEqual(mod.keys(""), ["a", "b", "c"]);
+		assert.deepEqual(mod.keys("b"), [0, 1]);
+		assert.equal(mod.keys("c"), undefined);
+		assert.equal(mod.keys("d"), undefined);
+	});
+
+	test("reads reflect the queued operations", () => {
+		const mod = jsonmod('{"version": "1.0.0", "deps": {}}').replace("version", '"2.0.0"').insert("deps", "a", '"^1.0.0"');
+
+		assert.equal(mod.get("version"), "2.0.0");
+		assert.deepEqual(mod.keys("deps"), ["a"]);
+
+		if (!mod.has("deps.b")) {
+			mod.set("deps.b", '"^2.0.0"');
+		}
+		mod.delete("version");
+
+		assert.equal(mod.has("version"), false);
+		assert.equal(mod.apply(), '{"deps": {"a": "^1.0.0", "b": "^2.0.0"}}');
+	});
+
+	test("visit: queues operations for the visited nodes", () => {
+		const source = '{\n  "version": "1.0.0",\n  "urls": ["http://a", "https://b"],\n  "deps": {"a": {"version": "2"}}\n}';
+		const result = visit(source, {
+			String(node, ctx) {
+				if (node.value.startsWith("http:")) ctx.replace(formatValue(node.value.replace("http:", "https:")));
+			},
+			Property(node, ctx) {
+				if (node.name === "version" && ctx.path.length > 1) ctx.delete();
+				if (node.name === "deps") ctx.setComment("pinned");
+			},
+		}).apply();
+
+		assert.equal(result, '{\n  "version": "1.0.0",\n  "urls": ["https://a", "https://b"],\n  // pinned\n  "deps": {"a": {}}\n}');
+	});
+
+	test("visit: walks the document as modified by the queued operations", () => {
+		const mod = jsonmod('{"a": 1}').insert("", "b", "2");
+		const names = [];
+		mod.visit({
+			Property(node, ctx) {
+				names.push(node.name);
+				ctx.replace(String(node.value.value * 10));
+			},
+		});
+
+		assert.deepEqual(names, ["a", "b"]);
+		assert.equal(mod.apply(), '{"a": 10, "b": 20}');
+	});
+
+	test("JSONPath: replaces every matching value", () => {
+		const source = '{\n  "version": "1.0.0",\n  "deps": {\n    "a": {"version": "1.0.0"},\n    "b": {"version": "1.2.0"}\n  }\n}';
+		const result = jsonmod(source).replace("$..version", '"2.0.0"').apply();
+
+		assert.equal(
+			result,
+			'{\n  "version": "2.0.0",\n  "deps": {\n    "a": {"version": "2.0.0"},\n    "b": {"version": "2.0.0"}\n  }\n}',
+		);
+	});
+
+	test("JSONPath: deletes several elements of an array", () => {
+		const items = '    {"id": 1, "enabled": false},\n    {"id": 2, "enabled": true},\n    {"id": 3, "enabled": false}';
+		const source = `{\n  "items": [\n${items}\n  ]\n}`;
+		const result = jsonmod(source).delete("$.items[?(@.enabled == false)]").apply();
+
+		assert.equal(result, '{\n  "items": [\n    {"id": 2, "enabled": true}\n  ]\n}');
+		assert.equal(jsonmod("[0, 1, 2, 3, 4, 5]").delete("$[1::2]").apply(), "[0, 2, 4]");
+	});
+
+	test("JSONPath: applies to the document as modified by the previous operations", () => {
+		const result = jsonmod('{"a": [1, 2], "b": 3}')
+			.insert("a", 2, "3")
+			.replace("$.a[*]", "0")
+			.delete("$.b")
+			.apply();
+
+		assert.equal(result, '{"a": [0, 0, 0]}');
+	});
+
+	test("JSONPath: skips the operation when nothing matches", () => {
+		const report = jsonmod('{"a": 1}').replace("$.b[*]", "2").applyWithReport();
+
+		assert.equal(report.text, '{"a": 1}');
+		assert.equal(report.skipped.length, 1);
+		assert.equal(report.skipped[0].message, 'Cannot replace "$.b[*]": no node matches the JSONPath');
+
+		assert.throws(() => jsonmod('{"a": 1}', { strict: true }).delete("$..b").apply(), JsonModError);
+		assert.throws(() => jsonmod('{"a": 1}').delete("$.a[").apply(), InvalidPathError);
+	});
+
+	test("JSONPath: dot paths starting with $ are not JSONPath", () => {
+		const result = jsonmod('{"$schema": "a", "$id": {"x": 1}}').replace("$schema", '"b"').replace("$id.x", "2").apply();
+
+		assert.equal(result, '{"$schema": "b", "$id": {"x": 2}}');
+	});
+
+	test("query: returns the matching values with their paths", () => {
+		const packages = '    {"name": "core", "private": false},\n    {"name": "internal", "private": true},';
+		const source = `{\n  // packages\n  "packages": [\n${packages}\n  ],\n}`;
+		const mod = jsonmod(source, { json5: true });
+
+		assert.deepEqual(mod.query("$.packages[*].name"), [
+			{ path: ["packages", 0, "name"], value: "core" },
+			{ path: ["packages", 1, "name"], value: "internal" },
+		]);
+		assert.deepEqual(mod.query("$.packages[?(@.private == true)]"), [{ path: ["packages", 1], value: { name: "internal", private: true } }]);
+		assert.deepEqual(mod.query("packages[0].name"), [{ path: ["packages", 0, "name"], value: "core" }]);
+		assert.deepEqual(mod.query("$.missing"), []);
+		assert.deepEqual(mod.query("missing"), []);
+
+		mod.delete("packages[0]");
+		assert.deepEqual(mod.query("$..name"), [{ path: ["packages", 0, "name"], value: "internal" }]);
+	});
+
+	test("query: slices with a negative step select from the end", () => {
+		const mod = jsonmod('{"a": [1, 2, 3]}');
+
+		assert.deepEqual(mod.query("$.a[::-1]"), [
+			{ path: ["a", 2], value: 3 },
+			{ path: ["a", 1], value: 2 },
+			{ path: ["a", 0], value: 1 },
+		]);
+		assert.equal(mod.replace("$.a[::-2]", (value) => String(value * 10)).apply(), '{"a": [10, 2, 30]}');
+		assert.equal(jsonmod('{"a": [1, 2, 3]}').delete("$.a[::-1]").apply(), '{"a": []}');
+	});
+
+	test("JSONPath: read methods other than query reject expressions", () => {
+		assert.throws(() => jsonmod('{"a": 1}').get("$..a"), { message: 'JSONPath "$..a" can select several nodes, use query() to read them' });
+	});
+
+	test("wildcards: replace, delete and set fan out to every match", () => {
+		const a = '{"resolved": "https://a", "version": "1"}';
+		const b = '{"resolved": "https://b", "pinned": true}';
+		const overrides = `  "overrides": {\n    "a": ${a},\n    "b": ${b}\n  }`;
+		const source = `{\n${overrides},\n  "items": [{"id": 1}, {"id": 2}]\n}`;
+		const result = jsonmod(source)
+			.delete("overrides.*.resolved")
+			.replace("items[*].id", "0")
+			.set("overrides.*.version", '"2"')
+			.apply();
+
+		assert.equal(
+			result,
+			'{\n  "overrides": {\n    "a": {"version": "2"},\n    "b": {"pinned": true, "version": "2"}\n  },\n  "items": [{"id": 0}, {"id": 0}]\n}',
+		);
+	});
+
+	test("wildcards: ** matches at any depth", () => {
+		const source = '{"version": "1", "deps": {"a": {"version": "1"}, "b": [{"version": "1"}]}}';
+
+		assert.equal(
+			jsonmod(source).replace("**.version", '"2"').apply(),
+			'{"version": "2", "deps": {"a": {"version": "2"}, "b": [{"version": "2"}]}}',
+		);
+		assert.equal(jsonmod(source).delete("deps.**").apply(), '{"version": "1", "deps": {}}');
+		assert.deepEqual(
+			jsonmod(source).query("deps.**.version").map((match) => match.path),
+			[["deps", "a", "version"], ["deps", "b", 0, "version"]],
+		);
+	});
+
+	test("wildcards: skips the operation when nothing matches", () => {
+		const report = jsonmod('{"deps": {}}').delete("deps.*").applyWithReport();
+
+		assert.equal(report.text, '{"deps": {}}');
+		assert.equal(report.skipped[0].message, 'Cannot delete "deps.*": no node matches the wildcard path');
+		assert.throws(() => jsonmod('{"deps": {}}').get("deps.*"), {
+			message: 'Wildcard path "deps.*" can select several nodes, use query() to read them',
+		});
+	});
+
+	test("replace: computes the replacement from the old value", () => {
+		const source = '{\n  "dependencies": {\n    "a": "^1.0.0",\n    "b": "2.0.0"\n  }\n}';
+		const paths = [];
+		const result = jsonmod(source)
+			.replace("dependencies.*", (range, path) => {
+				paths.push(path);
+				return range.startsWith("^") ? formatValue(range.replace("^", "~")) : undefined;
+			})
+			.apply();
+
+		assert.equal(result, '{\n  "dependencies": {\n    "a": "~1.0.0",\n    "b": "2.0.0"\n  }\n}');
+		assert.deepEqual(paths, [["dependencies", "b"], ["dependencies", "a"]]);
+		assert.equal(jsonmod('{"n": 1}').replace("n", (n) => String(n + 1)).apply(), '{"n": 2}');
+	});
+
+	test("replace: calls the function once per matched value", () => {
+		let calls = 0;
+		const mod = jsonmod('{"a": {"x": 1, "y": 2}, "b": 0}')
+			.replace("a.*", (n) => {
+				calls++;
+				return String(n * 10);
+			})
+			.replace("b", "1");
+
+		assert.equal(mod.get("a.x"), 10);
+		assert.equal(mod.get("a.y"), 20);
+		assert.equal(mod.apply(), '{"a": {"x": 10, "y": 20}, "b": 1}');
+		assert.equal(calls, 2);
+	});
+
+	test("rename: rewrites only the key", () => {
+		const source = '{\n  // output\n  "outdir": "dist", // built files\n  "strict": true\n}';
+
+		assert.equal(
+			jsonmod(source).rename("outdir", "outDir").apply(),
+			'{\n  // output\n  "outDir": "dist", // built files\n  "strict": true\n}',
+		);
+		assert.equal(jsonmod("{a: 1, 'b': 2}", { json5: true }).rename("a", "x").rename("b", "y").apply(), "{x: 1, 'y': 2}");
+		assert.equal(jsonmod("{a: 1}", { json5: true }).rename("a", "not an identifier").apply(), '{"not an identifier": 1}');
+	});
+
+	test("rename: rejects existing keys and non-properties", () => {
+		assert.throws(() => jsonmod('{"a": 1, "b": 2}').rename("a", "b").apply(), { message: 'Key "b" already exists in object' });
+		assert.equal(jsonmod('{"a": 1}').rename("a", "a").apply(), '{"a": 1}');
+
+		const report = jsonmod('{"a": [1]}').rename("a[0]", "x").rename("b", "x").applyWithReport();
+		assert.deepEqual(
+			report.skipped.map((entry) => entry.message),
+			['Cannot rename "a[0]": only object properties can be renamed at ["a"]', 'Cannot rename "b": property "b" not found in Object'],
+		);
+	});
+
+	test("move: relocates the source text of a value, re-indented", () => {
+		const paths = '    "paths": {\n      // aliases\n      "@/*": ["src/*"]\n    }';
+		const source = `{\n  "compilerOptions": {\n    "strict": true,\n${paths}\n  }\n}`;
+
+		assert.equal(
+			jsonmod(source).move("compilerOptions.paths", "paths").apply(),
+			'{\n  "compilerOptions": {\n    "strict": true\n  },\n  "paths": {\n    // aliases\n    "@/*": ["src/*"]\n  }\n}',
+		);
+		assert.equal(
+			jsonmod(source).move("compilerOptions.paths", "compilerOptions").apply(),
+			'{\n  "compilerOptions": {\n    // aliases\n    "@/*": ["src/*"]\n  }\n}',
+		);
+		assert.equal(jsonmod('{"a": 1, "b": 2}').move("a", "b").apply(), '{"b": 1}');
+	});
+
+	test("move/copy: insert into an array destination", () => {
+		assert.equal(jsonmod('{"a": [1, 2, 3]}').move("a[0]", "a[2]").apply(), '{"a": [2, 3, 1]}');
+		assert.equal(jsonmod('{"a": [1, 2, 3]}').move("a[2]", "a[0]").apply(), '{"a": [3, 1, 2]}');
+		assert.equal(jsonmod('{"a": [1, 2], "b": 3}').move("b", "a[1]").apply(), '{"a": [1, 3, 2]}');
+		assert.equal(jsonmod('{"a": [1, 2]}').copy("a[0]", "a[2]").apply(), '{"a": [1, 2, 1]}');
+		assert.equal(jsonmod('{"a": [1, [2]]}').move("a[1][0]", "a[0]").apply(), '{"a": [2, 1, []]}');
+
+		const report = jsonmod('{"a": [1, 2, 3]}').move("a[0]", "a[3]").applyWithReport();
+		assert.equal(report.text, '{"a": [1, 2, 3]}');
+		assert.equal(report.skipped[0].message, 'Cannot move "a[3]": index 3 not found in Array at ["a"]');
+	});
+
+	test("move: rejects moving a value inside itself and skips missing sources", () => {
+		const inside = jsonmod('{"a": {}}').move("a", "a.b").applyWithReport();
+		assert.equal(inside.text, '{"a": {}}');
+		assert.deepEqual(inside.skipped, [
+			{
+				operationIndex: 0,
+				operation: "move",
+				path: "a",
+				resolvedPath: ["a"],
+				nodeType: "Object",
+				message: 'Cannot move "a": a value cannot be moved into itself at ["a"]',
+			},
+		]);
+		assert.throws(() => jsonmod('{"a": {}}', { strict: true }).move("a", "a.b").apply(), JsonModError);
+		assert.equal(jsonmod('{"a": 1}').move("a", "a").apply(), '{"a": 1}');
+
+		const report = jsonmod('{"a": 1}').move("b", "c").applyWithReport();
+		assert.equal(report.skipped[0].message, 'Cannot move "b": property "b" not found in Object');
+		assert.throws(() => jsonmod('{"a": 1}', { strict: true }).copy("a", "a.b").apply(), JsonModError);
+	});
+
+	test("move/copy: read the source with the edits queued inside it", () => {
+		assert.equal(jsonmod('{"a": {"b": 1}, "c": 0}').replace("a.b", "2").copy("a", "c").apply(), '{"a": {"b": 2}, "c": {"b": 2}}');
+		assert.equal(jsonmod('{"a": {"b": 1, "d": 3}, "c": 0}').delete("a.d").copy("a", "c").apply(), '{"a": {"b": 1}, "c": {"b": 1}}');
+		assert.equal(jsonmod('{"a": [1, 2], "c": 0}').push("a", "3").move("a", "c").apply(), '{"c": [1, 2, 3]}');
+		assert.deepEqual(jsonmod('{"a": {"b": 1}}').replace("a.b", "2").copy("a", "c").get("c"), { b: 2 });
+	});
+
+	test("copy: duplicates a value and later operations see the copy", () => {
+		const source = '{\n  "env": {\n    "production": {\n      "url": "https://example.com" // live\n    }\n  }\n}';
+		const result = jsonmod(source)
+			.copy("env.production", "env.staging")
+			.replace("env.staging.url", '"https://staging.example.com"')
+			.apply();
+
+		assert.equal(
+			result,
+			'{\n  "env": {\n    "production": {\n      "url": "https://example.com" // live\n    },\n' +
+				'    "staging": {\n      "url": "https://staging.example.com" // live\n    }\n  }\n}',
+		);
+		assert.equal(jsonmod('{"a": [1], "b": {}}').copy("a", "b.c.d").apply(), '{"a": [1], "b": {"c": {"d": [1]}}}');
+	});
+
+	test("applyPatch: applies RFC 6902 operations with formatting preserved", () => {
+		const config = '  "config": {\n    "port": 80 // http\n  }';
+		const source = `{\n  "version": "1.0.0",\n  "keywords": ["a", "b"], // tags\n${config}\n}`;
+		const result = jsonmod(source)
+			.applyPatch([
+				{ op: "test", path: "/version", value: "1.0.0" },
+				{ op: "replace", path: "/version", value: "2.0.0" },
+				{ op: "add", path: "/keywords/-", value: "c" },
+				{ op: "add", path: "/keywords/0", value: "z" },
+				{ op: "move", from: "/config", path: "/settings" },
+				{ op: "copy", from: "/settings/port", path: "/port" },
+			])
+			.apply();
+
+		const settings = '  "settings": {\n    "port": 80 // http\n  }';
+		assert.equal(result, `{\n  "version": "2.0.0",\n  "keywords": ["z", "a", "b", "c"], // tags\n${settings},\n  "port": 80\n}`);
+	});
+
+	test("applyPatch: a failing operation rejects the whole patch", () => {
+		const mod = jsonmod('{"name": "a", "list": [1]}')
+			.replace("name", '"b"')
+			.applyPatch([
+				{ op: "remove", path: "/list/0" },
+				{ op: "test", path: "/name", value: "a" },
+			]);
+
+		assert.throws(
+			() => mod.apply(),
+			(error) => {
+				assert.ok(error instanceof JsonPatchError);
+				assert.equal(error.message, 'Cannot test "/name": the value is not equal to "a"');
+				assert.equal(error.operationIndex, 1);
+				assert.equal(error.operation, "test");
+				return true;
+			},
+		);
+		assert.throws(() => applyJsonPatch('{"a": [1]}', [{ op: "add", path: "/a/5", value: 2 }]), {
+			message: 'Cannot add "/a/5": index 5 is out of bounds for Array of length 1',
+		});
+		assert.throws(() => jsonmod("{}").applyPatch([{ op: "add", path: "/a" }]), JsonPatchError);
+	});
+
+	test("applyPatch: mixes with the other operations", () => {
+		const result = jsonmod('{"a": 1}')
+			.insert("", "b", "[]")
+			.applyPatch([{ op: "add", path: "/b/-", value: { c: true } }])
+			.rename("a", "x")
+			.apply();
+
+		assert.equal(result, '{"x": 1, "b": [{"c":true}]}');
+		assert.equal(applyJsonPatch("[1, 2, 3, 4]", [{ op: "move", from: "/0", path: "/-" }]), "[2, 3, 4, 1]");
+	});
+
+	test("merge: only edits the values changed by the patch", () => {
+		const server = '  "server": {\n    "host": "localhost", // dev\n    "port": 8080,\n    "debug": true\n  }';
+		const source = `{\n  // deployment\n${server},\n  "tags": ["a"]\n}`;
+		const result = jsonmod(source)
+			.merge({ server: { port: 8081, debug: null, host: "localhost" }, tls: { cert: "a.pem" }, missing: null })
+			.apply();
+
+		assert.equal(
+			result,
+			'{\n  // deployment\n  "server": {\n    "host": "localhost", // dev\n    "port": 8081\n  },\n' +
+				'  "tags": ["a"],\n  "tls": {\n    "cert": "a.pem"\n  }\n}',
+		);
+	});
+
+	test("merge: accepts patch text and a target path", () => {
+		const source = '{"server": {"port": 8080}, "name": "app"}';
+
+		const patchText = '{"port": 9000 /* test */}';
+		assert.equal(jsonmod(source).merge(patchText, { path: "server" }).apply(), '{"server": {"port": 9000}, "name": "app"}');
+		assert.equal(
+			jsonmod(source).merge({ a: 1 }, { path: "server.tls" }).apply(),
+			'{"server": {"port": 8080, "tls": {"a": 1}}, "name": "app"}',
+		);
+		assert.equal(jsonmod(source).merge({ server: null, name: "x" }).apply(), '{"name": "x"}');
+		assert.throws(() => jsonmod(source).merge("{"), SyntaxError);
+	});
+
+	test("merge: follows the examples of RFC 7396", () => {
+		// Appendix A: original, patch, result
+		const examples = [
+			[{ a: "b" }, { a: "c" }, { a: "c" }],
+			[{ a: "b" }, { b: "c" }, { a: "b", b: "c" }],
+			[{ a: "b" }, { a: null }, {}],
+			[{ a: "b", b: "c" }, { a: null }, { b: "c" }],
+			[{ a: ["b"] }, { a: "c" }, { a: "c" }],
+			[{ a: "c" }, { a: ["b"] }, { a: ["b"] }],
+			[{ a: { b: "c" } }, { a: { b: "d", c: null } }, { a: { b: "d" } }],
+			[{ a: [{ b: "c" }] }, { a: [1] }, { a: [1] }],
+			[["a", "b"], ["c", "d"], ["c", "d"]],
+			[{ a: "b" }, ["c"], ["c"]],
+			[{ a: "foo" }, null, null],
+			[{ a: "foo" }, '"bar"', "bar"], // a string patch is JSON text
+			[{ e: null }, { a: 1 }, { e: null, a: 1 }],
+			[[1, 2], { a: "b", c: null }, { a: "b" }],
+			[{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+		];
+
+		for (const [original, patch, expected] of examples) {
+			const result = jsonmod(JSON.stringify(original, null, 2)).merge(patch).apply();
+			assert.deepEqual(JSON.parse(result), expected, `merging ${JSON.stringify(patch)} into ${JSON.stringify(original)}`);
+		}
+	});
+
+	test("sortKeys: moves each property with its comments, keeping the separators in place", () => {
+		const source = `{
+  // lead c
+  "c": 1, // trail c
+  "b": {
+    "y": 2,
+    "x": [1]
+  },
+  "a": true // trail a
+}`;
+
+		assert.equal(
+			jsonmod(source).sortKeys("").apply(),
+			`{
+  "a": true, // trail a
+  "b": {
+    "y": 2,
+    "x": [1]
+  },
+  // lead c
+  "c": 1 // trail c
+}`,
+		);
+	});
+
+	test("sortKeys: keeps the trailing comma of the object", () => {
+		assert.equal(jsonmod('{"b": 1, "a": 2,}', { json5: true }).sortKeys("").apply(), '{"a": 2, "b": 1,}');
+		assert.equal(jsonmod('{"x": {"b": 1, "a": 2}}').sortKeys("x").apply(), '{"x": {"a": 2, "b": 1}}');
+	});
+
+	test("sortKeys: turns a line comment moved before other entries of its line into a block comment", () => {
+		assert.equal(jsonmod('{"b": 1, "a": 2 // note\n}').sortKeys("").apply(), '{"a": 2, /* note */ "b": 1\n}');
+	});
+
+	test("sortKeys: supports a comparator and keys placed first", () => {
+		const source = '{"version": 1, "b": 2, "name": 3, "a": 4}';
+
+		assert.equal(
+			jsonmod(source).sortKeys("", { order: ["name", "version"] }).apply(),
+			'{"name": 3, "version": 1, "a": 4, "b": 2}',
+		);
+		assert.equal(
+			jsonmod(source).sortKeys("", { comparator: (a, b) => b.localeCompare(a) }).apply(),
+			'{"version": 1, "name": 3, "b": 2, "a": 4}',
+		);
+	});
+
+	test("sortKeys: sorts nested objects with deep", () => {
+		const source = `{
+  "b": [{"d": 1, "c": 2}],
+  "a": {
+    "z": {"y": 1, "x": 2},
+    "w": 3
+  }
+}`;
+
+		assert.equal(
+			jsonmod(source).sortKeys("", { deep: true }).apply(),
+			`{
+  "a": {
+    "w": 3,
+    "z": {"x": 2, "y": 1}
+  },
+  "b": [{"c": 2, "d": 1}]
+}`,
+		);
+		assert.equal(jsonmod('[{"b": 1, "a": 2}]').sortKeys("", { deep: true }).apply(), '[{"a": 2, "b": 1}]');
+	});
+
+	test("sortKeys: sorts the keys as renamed by the queued operations", () => {
+		assert.equal(jsonmod('{"o": {"a": 1, "c": 2}}').rename("o.a", "d").sortKeys("", { deep: true }).apply(), '{"o": {"c": 2, "d": 1}}');
+		assert.equal(jsonmod('{"a": 1, "c": 2}').rename("a", "d").sortKeys("").apply(), '{"c": 2, "d": 1}');
+	});
+
+	test("sortKeys: skips values that are not objects", () => {
+		const { text, skipped } = jsonmod('{"a": [2, 1]}').sortKeys("a").applyWithReport();
+
+		assert.equal(text, '{"a": [2, 1]}');
+		assert.equal(skipped[0].message, 'Cannot sortKeys "a": Array is not an object at ["a"]');
+		assert.throws(() => jsonmod('{"a": 1}', { strict: true }).sortKeys("b").apply(), JsonModError);
+	});
+
+	test("push/unshift: add elements at the end and at the start of an array", () => {
+		const source = `{
+  "list": [
+    // first
+    1,
+    2
+  ],
+  "inline": [1]
+}`;
+
+		assert.equal(
+			jsonmod(source).push("list", "3", '{"a": 4}').unshift("list", "0").unshift("inline", "-1", "0").apply(),
+			`{
+  "list": [
+    0,
+    // first
+    1,
+    2,
+    3,
+    {"a": 4}
+  ],
+  "inline": [-1, 0, 1]
+}`,
+		);
+		assert.equal(jsonmod("[]").push("", "1", "2").apply(), "[1, 2]");
+	});
+
+	test("splice: removes and inserts elements like Array.prototype.splice", () => {
+		const source = "[0, 1, 2, 3, 4]";
+
+		assert.equal(jsonmod(source).splice("", 1, 2, '"a"').apply(), '[0, "a", 3, 4]');
+		assert.equal(jsonmod(source).splice("", -2).apply(), "[0, 1, 2]");
+		assert.equal(jsonmod(source).splice("", 3, 10).apply(), "[0, 1, 2]");
+		assert.equal(jsonmod(source).splice("", 9, 0, "5").apply(), "[0, 1, 2, 3, 4, 5]");
+		assert.equal(jsonmod(source).splice("", 0).apply(), "[]");
+	});
+
+	test("splice: keeps the comments of the remaining elements", () => {
+		const source = `[
+  "a", // keep a
+  // removed
+  "b",
+  "c" // keep c
+]`;
+
+		assert.equal(jsonmod(source).splice("", 1, 1, '"x"', '"y"').apply(), '[\n  "a", // keep a\n  "x",\n  "y",\n  "c" // keep c\n]');
+	});
+
+	test("insert: inserts before the comments of the element at the position", () => {
+		assert.equal(jsonmod('[\n  // one\n  1\n]').insert("", 0, "0").apply(), "[\n  0,\n  // one\n  1\n]");
+	});
+
+	test("moveElement: moves an element with its comments", () => {
+		const source = `[
+  "a",
+  // about b
+  "b", // bee
+  "c"
+]`;
+
+		assert.equal(jsonmod(source).moveElement("", 1, 2).apply(), '[\n  "a",\n  "c",\n  // about b\n  "b" // bee\n]');
+		assert.equal(jsonmod("[1, 2, 3]").moveElement("", 2, 0).apply(), "[3, 1, 2]");
+		assert.equal(jsonmod("[1, 2, 3]").moveElement("", 1, 1).apply(), "[1, 2, 3]");
+	});
+
+	test("sortArray: sorts elements with the default or a custom comparator", () => {
+		assert.equal(jsonmod('["b", 10, "a", 2, null, true]').sortArray("").apply(), '[2, 10, "a", "b", null, true]');
+		assert.equal(
+			jsonmod('[{"n": "b"}, {"n": "a"}]').sortArray("", (a, b) => a.n.localeCompare(b.n)).apply(),
+			'[{"n": "a"}, {"n": "b"}]',
+		);
+		assert.equal(jsonmod("[\n  3,\n  1, // one\n  2,\n]", { json5: true }).sortArray("").apply(), "[\n  1, // one\n  2,\n  3,\n]");
+	});
+
+	test("sortArray: sorts the elements as edited by the queued operations", () => {
+		assert.equal(jsonmod('{"x": [1, 2, 3]}').replace("x[0]", "5").sortArray("x").apply(), '{"x": [2, 3, 5]}');
+		assert.equal(jsonmod('{"x": [1, 2, 3]}').set("x[1]", "0").sortArray("x").apply(), '{"x": [0, 1, 3]}');
+		assert.equal(
+			jsonmod('[{"n": 1}, {"n": 2}]').replace("[0].n", "5").sortArray("", (a, b) => a.n - b.n).apply(),
+			'[{"n": 2}, {"n": 5}]',
+		);
+	});
+
+	test("array operations: skip values that are not arrays and invalid indices", () => {
+		const { skipped } = jsonmod('{"a": {}, "b": [1]}')
+			.push("a", "1")
+			.sortArray("a")
+			.moveElement("b", 0, 1)
+			.splice("missing", 0)
+			.applyWithReport();
+
+		assert.deepEqual(
+			skipped.map((error) => error.message),
+			[
+				'Cannot push "a": Object is not an array at ["a"]',
+				'Cannot sortArray "a": Object is not an array at ["a"]',
+				'Cannot moveElement "b": index 1 is out of bounds for Array of length 1 at ["b"]',
+				'Cannot splice "missing": property "missing" not found in Object',
+			],
+		);
+	});
+
+	test("should match escaped keys on their decoded value", () => {
+		const source = '{"caf\\u00e9": 1, "a\\"b": {"\\ud83d\\ude00": true}}';
+
+		assert.equal(jsonmod(source).get(["café"]), 1);
+		assert.equal(jsonmod(source).get(["a\"b", "😀"]), true);
+		assert.equal(jsonmod(source).replace("/a\"b/😀", "false").apply(), '{"caf\\u00e9": 1, "a\\"b": {"\\ud83d\\ude00": false}}');
+	});
+
+	test("should escape the keys it writes", () => {
+		const renamed = jsonmod('{"a": 1}').rename("a", 'say "hi"\\').apply();
+		assert.equal(renamed, '{"say \\"hi\\"\\\\": 1}');
+		assert.deepEqual(JSON.parse(renamed), { 'say "hi"\\': 1 });
+
+		const inserted = jsonmod('{"a": 1}').set(["b\n", "c\""], "2").apply();
+		assert.deepEqual(JSON.parse(inserted), { a: 1, "b\n": { 'c"': 2 } });
+		assert.equal(jsonmod("{'a': 1}", { json5: true }).set(["it's"], "2").apply(), "{'a': 1, 'it\\'s': 2}");
+	});
+
+	test("should address keys with special characters and negative indices in dot paths", () => {
+		const source = '{"devDependencies": {"@types/node": "^18.0.0", "eslint-plugin-foo": "1.0.0"}, "a.b": [1, 2, 3]}';
+
+		assert.equal(jsonmod(source).get('devDependencies["@types/node"]'), "^18.0.0");
+		assert.equal(jsonmod(source).get("devDependencies.eslint-plugin-foo"), "1.0.0");
+		assert.equal(jsonmod(source).get("a\\.b[-1]"), 3);
+		assert.deepEqual(jsonmod(source).query("['a.b'][-2]"), [{ path: ["a.b", 1], value: 2 }]);
+		assert.equal(
+			jsonmod(source).replace('devDependencies["@types/node"]', '"^20.0.0"').delete("['a.b'][-1]").apply(),
+			'{"devDependencies": {"@types/node": "^20.0.0", "eslint-plugin-foo": "1.0.0"}, "a.b": [1, 2]}',
+		);
+		assert.equal(jsonmod(source).has("a\\.b[-4]"), false);
+	});
+
+	test("should treat quoted and escaped * segments as keys, not wildcards", () => {
+		const source = '{"*": 1, "x": 2, "**": 3}';
+
+		assert.equal(jsonmod(source).get('["*"]'), 1);
+		assert.equal(jsonmod(source).get("\\**"), 3);
+		assert.equal(jsonmod(source).replace('["*"]', "9").apply(), '{"*": 9, "x": 2, "**": 3}');
+		assert.equal(jsonmod(source).delete("['**']").apply(), '{"*": 1, "x": 2}');
+		assert.equal(jsonmod(source).replace("*", "0").apply(), '{"*": 0, "x": 0, "**": 0}');
+	});
+
+	test("should throw InvalidPathError on malformed paths", () => {
+		assert.throws(() => jsonmod('{"a": 1}').get("a..b"), { name: "InvalidPathError", path: "a..b", position: 2 });
+		assert.throws(() => jsonmod('{"a": 1}').replace("a[x]", "2").apply(), InvalidPathError);
+		assert.throws(() => jsonmod('{"a": 1}').delete("a.*[").apply(), InvalidPathError);
+	});
+
+	test("should resolve duplicate keys according to the duplicateKeys option", () => {
+		const source = '{"a": 1, "b": {"x": 1, "x": 2}, "a": 2, "c": 3, "a": 3}';
+
+		assert.equal(jsonmod(source).get("a"), 1);
+		assert.deepEqual(jsonmod(source).get("b"), { x: 1 });
+		assert.equal(jsonmod(source).replace("a", "9").apply(), '{"a": 9, "b": {"x": 1, "x": 2}, "a": 2, "c": 3, "a": 3}');
+
+		const last = (text) => jsonmod(text, { duplicateKeys: "last" });
+		assert.equal(last(source).get("a"), 3);
+		assert.deepEqual(last(source).get(""), JSON.parse(source));
+		assert.equal(last(source).replace("a", "9").apply(), '{"a": 1, "b": {"x": 1, "x": 2}, "a": 2, "c": 3, "a": 9}');
+		assert.equal(last(source).delete("b.x").delete("a").apply(), '{"a": 1, "b": {"x": 1}, "a": 2, "c": 3}');
+		assert.equal(last(source).rename("a", "d").apply(), '{"a": 1, "b": {"x": 1, "x": 2}, "a": 2, "c": 3, "d": 3}');
+	});
+
+	test("should replace and delete every occurrence of a duplicate key with duplicateKeys: all", () => {
+		const source = '{\n  "a": 1,\n  "b": {"x": 1, "x": 2},\n  "a": 2,\n  "c": 3,\n  "a": 3\n}';
+		const all = (text) => jsonmod(text, { duplicateKeys: "all" });
+
+		assert.equal(all(source).get("a"), 3);
+		assert.equal(
+			all(source).replace("a", (value) => String(value * 10)).apply(),
+			'{\n  "a": 10,\n  "b": {"x": 1, "x": 2},\n  "a": 20,\n  "c": 3,\n  "a": 30\n}',
+		);
+		assert.equal(all(source).delete("a").delete("b.x").replace("c", "0").apply(), '{\n  "b": {},\n  "c": 0\n}');
+		assert.equal(all(source).delete("*.x").apply(), '{\n  "a": 1,\n  "b": {},\n  "a": 2,\n  "c": 3,\n  "a": 3\n}');
+	});
+
+	test("should change every occurrence of a duplicate key in all writing operations with duplicateKeys: all", () => {
+		const source = '{"a": 1, "b": {"x": 1, "x": 2}, "a": 2}';
+		const all = (text) => jsonmod(text, { duplicateKeys: "all" });
+
+		assert.equal(all(source).set("a", "0").apply(), '{"a": 0, "b": {"x": 1, "x": 2}, "a": 0}');
+		assert.equal(all(source).rename("a", "d").apply(), '{"d": 1, "b": {"x": 1, "x": 2}, "d": 2}');
+		assert.equal(all(source).setComment("b.x", "x", { style: "block" }).apply(), '{"a": 1, "b": {/* x */ "x": 1, /* x */ "x": 2}, "a": 2}');
+		assert.equal(all(source).move("a", "c").apply(), '{"b": {"x": 1, "x": 2}, "c": 2}');
+	});
+
+	test("should select the occurrence of a duplicate key designated by duplicateKeys in JSONPath expressions", () => {
+		const source = '{"a": 1, "b": {"x": 1, "x": 2}, "a": 2}';
+
+		assert.deepEqual(jsonmod(source).query("$.a"), [{ path: ["a"], value: 1 }]);
+		assert.deepEqual(jsonmod(source, { duplicateKeys: "last" }).query("$..x"), [{ path: ["b", "x"], value: 2 }]);
+		assert.deepEqual(jsonmod(source, { duplicateKeys: "all" }).query("$.*"), [
+			{ path: ["a"], value: 2 },
+			{ path: ["b"], value: { x: 2 } },
+		]);
+		assert.deepEqual(jsonmod(source, { duplicateKeys: "last" }).query("$[?(@.x == 2)]"), [{ path: ["b"], value: { x: 2 } }]);
+		assert.throws(() => jsonmod(source, { duplicateKeys: "error" }).query("$.b.*"), DuplicateKeyError);
+		assert.equal(jsonmod(source, { duplicateKeys: "all" }).replace("$.a", "0").apply(), '{"a": 0, "b": {"x": 1, "x": 2}, "a": 0}');
+	});
+
+	test("should throw a DuplicateKeyError with duplicateKeys: error", () => {
+		const source = '{\n  "a": 1,\n  "b": {"x": 1, "x": 2},\n  "a": 2\n}';
+		const strict = (text) => jsonmod(text, { duplicateKeys: "error" });
+
+		assert.throws(() => strict(source).replace("a", "0").apply(), {
+			name: "DuplicateKeyError",
+			message: 'Duplicate key "a" at line 2, column 3 and line 4, column 3',
+			key: "a",
+			locations: [
+				{ offset: 4, line: 2, column: 3 },
+				{ offset: 39, line: 4, column: 3 },
+			],
+		});
+		assert.throws(() => strict(source).get("b"), DuplicateKeyError);
+		assert.throws(() => strict(source).delete("b.x").apply(), DuplicateKeyError);
+		assert.deepEqual(strict(source).replace("b", "{}").get("b"), {});
+		assert.throws(() => jsonmod(source, { duplicateKeys: "any" }), /Invalid duplicateKeys option: any/);
+	});
+
+	test("should resolve JSON Patch pointers with the duplicateKeys option, like paths", () => {
+		const source = '{"a": {"x": 1}, "a": {"x": 2}}';
+		const patch = [
+			{ op: "test", path: "/a/x", value: 2 },
+			{ op: "replace", path: "/a/x", value: 9 },
+		];
+
+		assert.throws(() => jsonmod(source).applyPatch(patch).apply(), JsonPatchError);
+		assert.equal(jsonmod(source, { duplicateKeys: "last" }).applyPatch(patch).apply(), '{"a": {"x": 1}, "a": {"x": 9}}');
+		assert.equal(
+			jsonmod(source, { duplicateKeys: "last" }).applyPatch([{ op: "remove", path: "/a/x" }]).apply(),
+			jsonmod(source, { duplicateKeys: "last" }).delete("a.x").apply(),
+		);
+		assert.throws(() => jsonmod(source, { duplicateKeys: "error" }).applyPatch([{ op: "remove", path: "/a/x" }]).apply(), DuplicateKeyError);
+	});
 });
@@ -1,13 +1,51 @@
-import { Node } from "./CSTBuilder.js";
+import { Node, NodeObject } from "./CSTBuilder.js";
 
-type Path = string | Array<string>;
+type Path = string | Array<string | number>;
+
+/**
+ * Which property a key defined several times in an object designates
+ */
+type DuplicateKeyPolicy = "first" | "last" | "all" | "error";
 
 /**
  * Resolve a path within a JSON CST.
  * @param root - The root node of the JSON CST.
  * @param path - The path to resolve, either as a dot-separated string or an array of strings.
  * @param sourceText - The original JSON source text.
+ * @param duplicateKeys - Which property a key defined several times designates. Defaults to "first".
  * @returns The node at the specified path, or null if not found.
  * @example
  */
-export declare function resolvePath(root: Node, path: Path, sourceText: string): Node | null;
+export declare function resolvePath(root: Node, path: Path, sourceText: string, duplicateKeys?: DuplicateKeyPolicy): Node | null;
+
+/**
+ * Resolve a path as far as possible, returning every node visited on the way.
+ * @param root - The root node of the JSON CST.
+ * @param path - The path to resolve, either as a dot-separated string or an array of segments.
+ * @param sourceText - The original JSON source text.
+ * @param duplicateKeys - Which property a key defined several times designates. Defaults to "first".
+ * @returns The visited nodes, starting with the root. Shorter than `path.length + 1` when a segment does not resolve.
+ */
+export declare function resolvePathChain(
+	root: Node,
+	path: Path,
+	sourceText: string,
+	duplicateKeys?: DuplicateKeyPolicy,
+): Array<Node>;
+
+/**
+ * Find the property a key designates in an object: among duplicates, the first one ("first"), the last one
+ * ("last" and "all"), or throw a DuplicateKeyError ("error").
+ * @returns The index of the property, -1 when there is none.
+ */
+export declare function findPropertyIndex(
+	objectNode: NodeObject,
+	key: string | number,
+	sourceText: string,
+	duplicateKeys?: DuplicateKeyPolicy,
+): number;
+
+/**
+ * Find every property of an object using a key, in order of appearance.
+ */
+export declare function findPropertyIndices(objectNode: NodeObject, key: string | number, sourceText: string): number[];
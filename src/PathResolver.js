@@ -1,109 +1,124 @@
-import { extractString } from "./helper.js";
+import { extractString, parsePath } from "./helper.js";
+import { DuplicateKeyError } from "./errors.js";
 
-export function resolvePath(root, path, sourceText) {
+/**
+ * Cache of the index of the first property of each key in each object node, keyed by decoded property name.
+ * Nodes belong to a single parse of a single text, so entries never go stale.
+ * @type {WeakMap<object, Map<string, number>>}
+ */
+const propertyIndexCache = new WeakMap();
+
+export function resolvePath(root, path, sourceText, duplicateKeys = "first") {
 	const parts = Array.isArray(path) ? path : parsePath(path);
+	const chain = resolvePathChain(root, parts, sourceText, duplicateKeys);
+
+	return chain.length === parts.length + 1 ? chain[chain.length - 1] : null;
+}
+
+/**
+ * Resolve a path as far as possible, returning every node visited on the way.
+ * The first node is always the root; the chain is shorter than `path.length + 1` when a segment does not resolve.
+ * @param {import('./CSTBuilder.js').Node} root
+ * @param {string | Array<string | number>} path
+ * @param {string} sourceText
+ * @param {"first"|"last"|"all"|"error"} [duplicateKeys="first"] - Which property a key defined several times designates,
+ * see findPropertyIndex()
+ * @returns {Array<import('./CSTBuilder.js').Node>}
+ * @throws {DuplicateKeyError} With the "error" policy, when the path goes through a duplicate key
+ */
+export function resolvePathChain(root, path, sourceText, duplicateKeys = "first") {
+	const parts = Array.isArray(path) ? path : parsePath(path);
+	const chain = [root];
 	let node = root;
 
 	for (const part of parts) {
-		if (!node) return null;
-
 		if (node.type === "Object") {
-			node = resolveObjectProperty(node, part, sourceText);
+			node = resolveObjectProperty(node, part, sourceText, duplicateKeys);
 		} else if (node.type === "Array") {
 			node = resolveArrayElement(node, part);
 		} else {
-			return null;
+			node = null;
 		}
+
+		if (!node) break;
+		chain.push(node);
 	}
 
-	return node;
+	return chain;
 }
 
 /**
- *
  * @param {import('./CSTBuilder.js').NodeObject} objectNode
  * @param {string} key
  * @param {string} sourceText
+ * @param {"first"|"last"|"all"|"error"} duplicateKeys
  * @returns {import('./CSTBuilder.js').Node | null}
  */
-function resolveObjectProperty(objectNode, key, sourceText) {
-	if (typeof key !== "string") return null;
-
-	for (const prop of objectNode.properties) {
-		const name = extractString(prop.key, sourceText);
-		if (name === key) {
-			return prop.value;
-		}
-	}
-	return null;
+function resolveObjectProperty(objectNode, key, sourceText, duplicateKeys) {
+	const index = findPropertyIndex(objectNode, key, sourceText, duplicateKeys);
+	return index === -1 ? null : objectNode.properties[index].value;
 }
 
 /**
- *
- * @param {import('./CSTBuilder.js').NodeArray} arrayNode
- * @param {number} index
- * @returns {import('./CSTBuilder.js').Node | null}
+ * Find the property a key designates in an object. Among the properties of a key defined several times,
+ * "first" designates the first one, "last" the last one (the value JSON.parse keeps), "all" the last one too
+ * (operations that handle every occurrence use findPropertyIndices()), and "error" throws.
+ * @param {import('./CSTBuilder.js').NodeObject} objectNode
+ * @param {string|number} key
+ * @param {string} sourceText
+ * @param {"first"|"last"|"all"|"error"} [duplicateKeys="first"]
+ * @returns {number} - The index of the property, -1 when there is none
+ * @throws {DuplicateKeyError} With the "error" policy, when the key is defined several times
  */
-function resolveArrayElement(arrayNode, index) {
-	if (typeof index !== "number") return null;
-	return arrayNode.elements[index] || null;
-}
-
-function parsePath(path) {
-	if (path.startsWith("/")) {
-		return parseJSONPointer(path);
+export function findPropertyIndex(objectNode, key, sourceText, duplicateKeys = "first") {
+	const indices = findPropertyIndices(objectNode, key, sourceText);
+	if (indices.length > 1 && duplicateKeys === "error") {
+		throw new DuplicateKeyError(`Duplicate key ${JSON.stringify(key)}`, {
+			key,
+			sourceText,
+			offsets: indices.map((index) => objectNode.properties[index].key.start),
+		});
 	}
-	return parseDotPath(path);
+	if (indices.length === 0) {
+		return -1;
+	}
+	return duplicateKeys === "first" ? indices[0] : indices[indices.length - 1];
 }
 
-function parseDotPath(path) {
-	const result = [];
-	let i = 0;
-
-	while (i < path.length) {
-		const ch = path[i];
-
-		// skip dot
-		if (ch === ".") {
-			i++;
-			continue;
-		}
-
-		// array index: [123]
-		if (ch === "[") {
-			i++;
-			let num = "";
-			while (i < path.length && path[i] !== "]") {
-				num += path[i++];
+/**
+ * Find every property of an object using a key, in order of appearance.
+ * @param {import('./CSTBuilder.js').NodeObject} objectNode
+ * @param {string|number} key
+ * @param {string} sourceText
+ * @returns {number[]}
+ */
+export function findPropertyIndices(objectNode, key, sourceText) {
+	if (typeof key !== "string") return [];
+
+	let index = propertyIndexCache.get(objectNode);
+	if (!index) {
+		index = new Map();
+		objectNode.properties.forEach((prop, i) => {
+			const name = extractString(prop.key, sourceText);
+			if (!index.has(name)) {
+				index.set(name, i);
 			}
-			i++; // skip ]
-			result.push(Number(num));
-			continue;
-		}
-
-		// identifier
-		let name = "";
-		while (i < path.length && /[a-zA-Z0-9_$]/.test(path[i])) {
-			name += path[i++];
-		}
-		result.push(name);
+		});
+		propertyIndexCache.set(objectNode, index);
 	}
 
-	return result;
+	if (!index.has(key)) return [];
+	const duplicate = objectNode.duplicateKeys.find((entry) => entry.key === key);
+	return duplicate ? duplicate.indices : [index.get(key)];
 }
 
-function parseJSONPointer(pointer) {
-	if (pointer === "") return [];
-
-	if (pointer[0] !== "/") {
-		throw new Error("Invalid JSON Pointer");
-	}
-
-	return pointer
-		.slice(1)
-		.split("/")
-		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
-		.map((seg) => {
-			return /^\d+$/.test(seg) ? Number(seg) : seg;
-		});
+/**
+ * A negative index counts from the end of the array: -1 is the last element.
+ * @param {import('./CSTBuilder.js').NodeArray} arrayNode
+ * @param {number} index
+ * @returns {import('./CSTBuilder.js').Node | null}
+ */
+function resolveArrayElement(arrayNode, index) {
+	if (typeof index !== "number") return null;
+	return arrayNode.elements[index < 0 ? arrayNode.elements.length + index : index] || null;
 }
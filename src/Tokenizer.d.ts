@@ -4,10 +4,19 @@ interface Token {
 	end: number;
 }
 
+interface TokenizerOptions {
+	/**
+	 * Accept JSON5 syntax: single-quoted and multi-line strings, unquoted identifier keys,
+	 * hexadecimal numbers, leading/trailing decimal points, `+` signs, `Infinity` and `NaN`
+	 * @default false
+	 */
+	json5?: boolean;
+}
+
 declare class Tokenizer {
-	constructor(sourceText: string);
+	constructor(sourceText: string, options?: TokenizerOptions);
 
 	tokenize(): Array<Token>;
 }
 
-export { Tokenizer, Token };
+export { Tokenizer, Token, TokenizerOptions };
@@ -1,3 +1,5 @@
+import { JsonParseError } from "./errors.js";
+
 /**
  * 词法分析器（Tokenizer）类
  * 
@@ -16,16 +18,25 @@
  *   1. type: 类型（如 "string"、"number"、"braceL" 等）
  *   2. start: 在原文本中的起始位置
  *   3. end: 在原文本中的结束位置
+ *
+ * JSON5 模式（options.json5 为 true）额外支持：
+ *   - 单引号字符串，以及用反斜杠续行的多行字符串
+ *   - 不带引号的标识符（作为对象的键），生成 identifier 类型的 token
+ *   - 十六进制数字、以小数点开头或结尾的数字、正号、Infinity 和 NaN
+ *   - 更多的空白字符（如 \v、\f、不换行空格等）
  */
 class Tokenizer {
 	/**
 	 * 构造函数
 	 * @param {string} text - 要解析的 JSON 文本
+	 * @param {object} [options] - 选项
+	 * @param {boolean} [options.json5=false] - 是否按照 JSON5 语法解析
 	 */
-	constructor(text) {
+	constructor(text, options = {}) {
 		this.text = text;  // 保存原始文本
 		this.pos = 0;      // 当前读取位置，从 0 开始
 		this.tokens = [];  // 存储生成的所有 token
+		this.json5 = Boolean(options.json5);  // 是否为 JSON5 模式
 	}
 
 	/**
@@ -48,14 +59,14 @@ class Tokenizer {
 			if (this.isWhitespace(ch)) {
 				// 空白字符（空格、换行、制表符等）
 				this.readWhitespace();
-			} else if (ch === '"') {
-				// 字符串（以双引号开头）
+			} else if (ch === '"' || (this.json5 && ch === "'")) {
+				// 字符串（以双引号开头，JSON5 模式下也可以是单引号）
 				this.readString();
 			} else if (this.isNumberStart(ch)) {
 				// 数字（以数字或负号开头）
 				this.readNumber();
-			} else if (this.isAlpha(ch)) {
-				// 关键字（以字母开头，如 true、false、null）
+			} else if (this.isAlpha(ch) || (this.json5 && this.isIdentifierStart(ch))) {
+				// 关键字（以字母开头，如 true、false、null），JSON5 模式下也可以是标识符
 				this.readKeyword();
 			} else {
 				// 其他符号（如 {}[],:）或注释
@@ -75,6 +86,10 @@ class Tokenizer {
 	 * @returns {boolean}
 	 */
 	isWhitespace(ch) {
+		if (this.json5) {
+			// JSON5 允许的空白字符与 JavaScript 相同
+			return /\s/.test(ch);
+		}
 		return ch === " " || ch === "\n" || ch === "\r" || ch === "\t";
 	}
 
@@ -84,6 +99,10 @@ class Tokenizer {
 	 * @returns {boolean}
 	 */
 	isNumberStart(ch) {
+		if (this.json5 && (ch === "+" || (ch === "." && this.isDigit(this.text[this.pos + 1])))) {
+			// JSON5 允许正号以及以小数点开头的数字，如 +1、.5
+			return true;
+		}
 		return ch === "-" || (ch >= "0" && ch <= "9");
 	}
 
@@ -96,6 +115,42 @@ class Tokenizer {
 		return (ch >= "a" && ch <= "z") || (ch >= "A" && ch <= "Z");
 	}
 
+	/**
+	 * 判断字符是否可以作为 JSON5 标识符的开头
+	 * 包括 Unicode 字母、$、_ 以及 \uXXXX 转义序列
+	 * @param {string} ch - 要判断的字符
+	 * @returns {boolean}
+	 */
+	isIdentifierStart(ch) {
+		if (ch === "\\") {
+			return this.text[this.pos + 1] === "u";
+		}
+		return /[\p{ID_Start}$_]/u.test(ch) || this.isSurrogateLetter(this.pos, /\p{ID_Start}/u);
+	}
+
+	/**
+	 * 判断字符是否可以作为 JSON5 标识符的后续部分
+	 * @param {string} ch - 要判断的字符
+	 * @returns {boolean}
+	 */
+	isIdentifierPart(ch) {
+		if (ch === "\\") {
+			return this.text[this.pos + 1] === "u";
+		}
+		return /[\p{ID_Continue}$\u200C\u200D]/u.test(ch) || this.isSurrogateLetter(this.pos, /\p{ID_Continue}/u);
+	}
+
+	/**
+	 * 判断当前位置是否为一个由代理对（surrogate pair）表示的、符合给定规则的字符
+	 * @param {number} pos - 位置
+	 * @param {RegExp} pattern - 字符规则
+	 * @returns {boolean}
+	 */
+	isSurrogateLetter(pos, pattern) {
+		const codePoint = this.text.codePointAt(pos);
+		return codePoint > 0xffff && pattern.test(String.fromCodePoint(codePoint));
+	}
+
 	// ========== Token 读取方法 ==========
 	// 这些方法负责读取特定类型的内容，并生成对应的 token
 
@@ -123,34 +178,46 @@ class Tokenizer {
 	 * 读取字符串
 	 * 
 	 * 字符串规则：
-	 * - 以双引号 " 开始和结束
-	 * - 支持转义字符，如 \" 表示引号本身，\n 表示换行
-	 * - 遇到 \ 时需要跳过下一个字符，因为它是转义序列
+	 * - 以双引号 " 开始和结束（JSON5 模式下也可以用单引号 ' 开始和结束）
+	 * - 支持转义字符，如 \" 表示引号本身，\n 表示换行，非法的转义序列会报错
+	 * - 不能直接包含换行；JSON 中也不能直接包含其他控制字符（U+0000 到 U+001F），必须转义
 	 */
 	readString() {
 		const start = this.pos;
-		this.pos++; // 跳过开头的双引号 "
+		const quote = this.text[this.pos];  // 开头的引号，结束时需要相同的引号
+		this.pos++; // 跳过开头的引号
+		let closed = false;
 
 		// 持续读取直到遇到结束的双引号
 		while (this.pos < this.text.length) {
 			const ch = this.text[this.pos];
 
 			if (ch === "\\") {
-				// 遇到转义符 \，跳过它和下一个字符
-				// 例如：\" 或 \n 都占两个字符
-				this.pos += 2;
+				// 遇到转义符 \，读取整个转义序列，例如 \" 或 \u00e9
+				this.readEscape();
 				continue;
 			}
 
-			if (ch === '"') {
-				// 遇到结束的双引号
-				this.pos++; // 包含结束的双引号
+			if (ch === "\n" || ch === "\r" || (!this.json5 && ch < " ")) {
+				const found = JSON.stringify(ch);
+				throw this.error(`Unescaped control character ${found} in string`, this.pos, { found });
+			}
+
+			if (ch === quote) {
+				// 遇到结束的引号
+				this.pos++; // 包含结束的引号
+				closed = true;
 				break;
 			}
 
 			this.pos++;
 		}
 
+		// 读到文本末尾仍未遇到结束的引号，错误位置指向输入末尾
+		if (!closed) {
+			throw this.error("Unterminated string", this.text.length, { expected: quote, found: "EOF" });
+		}
+
 		// 生成一个 string 类型的 token
 		this.tokens.push({
 			type: "string",
@@ -159,6 +226,46 @@ class Tokenizer {
 		});
 	}
 
+	/**
+	 * 读取字符串中的一个转义序列，检查它是否合法
+	 *
+	 * JSON 只允许 \" \\ \/ \b \f \n \r \t 和 \uXXXX（4 位十六进制数）。
+	 * JSON5 还允许 \xHH、\0（后面不能跟数字）、反斜杠加换行（续行），
+	 * 以及其他字符的转义（表示字符本身），但不允许 \1 到 \9。
+	 */
+	readEscape() {
+		const start = this.pos;
+		const next = this.text[this.pos + 1];
+		let length = 2;
+
+		if (next === undefined) {
+			// 文本在转义符处结束，由 readString 报告未结束的字符串
+			this.pos++;
+			return;
+		}
+
+		if (next === "u" || (this.json5 && next === "x")) {
+			const digits = next === "u" ? 4 : 2;
+			const hex = /^[0-9a-fA-F]*/.exec(this.text.slice(this.pos + 2, this.pos + 2 + digits))[0];
+			if (hex.length !== digits) {
+				const found = `\\${next}${hex}`;
+				throw this.error(`Invalid escape sequence "${found}" in string, expected ${digits} hexadecimal digits`, start, { found });
+			}
+			length += digits;
+		} else if (this.json5) {
+			if ((next >= "1" && next <= "9") || (next === "0" && this.isDigit(this.text[this.pos + 2]))) {
+				throw this.error(`Invalid escape sequence "\\${next}" in string`, start, { found: `\\${next}` });
+			}
+			if (next === "\r" && this.text[this.pos + 2] === "\n") {
+				length = 3;  // 续行使用 CRLF 换行
+			}
+		} else if (!'"\\/bfnrt'.includes(next)) {
+			throw this.error(`Invalid escape sequence "\\${next}" in string`, start, { found: `\\${next}` });
+		}
+
+		this.pos += length;
+	}
+
 	/**
 	 * 读取数字
 	 * 
@@ -167,12 +274,38 @@ class Tokenizer {
 	 * 2. 负数：-123
 	 * 3. 小数：123.456
 	 * 4. 科学计数法：1.23e10 或 1.23E-5
+	 *
+	 * JSON5 模式下额外支持：
+	 * 5. 正号：+1
+	 * 6. 十六进制：0x1F
+	 * 7. 以小数点开头或结尾：.5、5.
+	 * 8. Infinity、NaN（可以带正负号）
 	 */
 	readNumber() {
 		const start = this.pos;
 
-		// 1. 处理可选的负号
-		if (this.text[this.pos] === "-") this.pos++;
+		// 1. 处理可选的负号（JSON5 模式下也可以是正号）
+		if (this.text[this.pos] === "-" || (this.json5 && this.text[this.pos] === "+")) this.pos++;
+
+		if (this.json5) {
+			// 处理 Infinity 和 NaN
+			const word = ["Infinity", "NaN"].find((keyword) => this.text.startsWith(keyword, this.pos));
+			if (word) {
+				this.pos += word.length;
+				this.tokens.push({ type: "number", start, end: this.pos });
+				return;
+			}
+
+			// 处理十六进制数字
+			if (this.text[this.pos] === "0" && (this.text[this.pos + 1] === "x" || this.text[this.pos + 1] === "X")) {
+				this.pos += 2;  // 跳过 0x
+				while (this.pos < this.text.length && /[0-9a-fA-F]/.test(this.text[this.pos])) {
+					this.pos++;
+				}
+				this.tokens.push({ type: "number", start, end: this.pos });
+				return;
+			}
+		}
 
 		// 2. 读取整数部分
 		while (this.pos < this.text.length && this.isDigit(this.text[this.pos])) {
@@ -216,13 +349,24 @@ class Tokenizer {
 	 * - true (布尔值真)
 	 * - false (布尔值假)
 	 * - null (空值)
+	 *
+	 * JSON5 模式下还支持：
+	 * - Infinity、NaN (数字)
+	 * - 其他标识符 (只能作为对象的键使用)
 	 */
 	readKeyword() {
 		const start = this.pos;
 
-		// 读取连续的字母
-		while (this.pos < this.text.length && this.isAlpha(this.text[this.pos])) {
-			this.pos++;
+		if (this.json5) {
+			// 读取连续的标识符字符，\uXXXX 转义序列占 6 个字符，代理对占 2 个字符
+			while (this.pos < this.text.length && this.isIdentifierPart(this.text[this.pos])) {
+				this.pos += this.text[this.pos] === "\\" ? 6 : this.text.codePointAt(this.pos) > 0xffff ? 2 : 1;
+			}
+		} else {
+			// 读取连续的字母
+			while (this.pos < this.text.length && this.isAlpha(this.text[this.pos])) {
+				this.pos++;
+			}
 		}
 
 		// 提取读取到的单词
@@ -234,9 +378,13 @@ class Tokenizer {
 			type = "boolean";
 		} else if (word === "null") {
 			type = "null";
+		} else if (this.json5 && (word === "Infinity" || word === "NaN")) {
+			type = "number";
+		} else if (this.json5) {
+			type = "identifier";
 		} else {
 			// 如果不是合法的关键字，抛出错误
-			throw new Error(`Unexpected identifier: ${word}`);
+			throw this.error(`Unexpected identifier: ${word}`, start, { found: word });
 		}
 
 		// 生成对应类型的 token
@@ -282,6 +430,10 @@ class Tokenizer {
 			while (this.pos < this.text.length && !(this.text[this.pos] === "*" && this.text[this.pos + 1] === "/")) {
 				this.pos++;
 			}
+			// 没有找到结束标记，错误位置指向输入末尾
+			if (this.pos >= this.text.length) {
+				throw this.error("Unterminated block comment", this.text.length, { expected: "*/", found: "EOF" });
+			}
 			this.pos += 2; // 跳过 */
 			// 生成注释 token
 			this.tokens.push({
@@ -308,7 +460,7 @@ class Tokenizer {
 		const type = map[ch];
 		if (!type) {
 			// 遇到不认识的字符，抛出错误
-			throw new Error(`Unexpected character: ${ch} at ${start}`);
+			throw this.error(`Unexpected character: ${ch}`, start, { found: ch });
 		}
 
 		// 生成对应的标点符号 token
@@ -319,6 +471,17 @@ class Tokenizer {
 		});
 	}
 
+	/**
+	 * 创建带有行号、列号和代码帧的解析错误
+	 * @param {string} message - 错误信息
+	 * @param {number} offset - 出错位置
+	 * @param {{ expected?: string, found?: string }} [details] - 期望的内容和实际遇到的内容
+	 * @returns {JsonParseError}
+	 */
+	error(message, offset, details = {}) {
+		return new JsonParseError(message, { sourceText: this.text, offset, ...details });
+	}
+
 	/**
 	 * 判断字符是否为数字（0-9）
 	 * @param {string} ch - 要判断的字符
@@ -1,6 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { Tokenizer } from "./Tokenizer.js";
+import { JsonParseError } from "./errors.js";
 
 function tokensToText(tokens, source) {
 	return tokens.map((t) => source.slice(t.start, t.end)).join("");
@@ -113,3 +114,128 @@ test("unexpected character throws", () => {
 		new Tokenizer("@").tokenize();
 	});
 });
+
+test("unexpected character reports line and column", () => {
+	const source = '{\n  "a": 1,\n  "b": @\n}';
+
+	assert.throws(
+		() => new Tokenizer(source).tokenize(),
+		(error) => {
+			assert(error instanceof JsonParseError);
+			assert(error instanceof SyntaxError);
+			assert.equal(error.message, "Unexpected character: @ at line 3, column 8");
+			assert.equal(error.offset, source.indexOf("@"));
+			assert.equal(error.line, 3);
+			assert.equal(error.column, 8);
+			assert.equal(error.found, "@");
+			assert.equal(error.codeFrame, ['  2 |   "a": 1,', '> 3 |   "b": @', "    |        ^", "  4 | }"].join("\n"));
+			return true;
+		},
+	);
+});
+
+test("unexpected identifier", () => {
+	assert.throws(() => new Tokenizer('{"a": undefined}').tokenize(), {
+		name: "JsonParseError",
+		message: "Unexpected identifier: undefined at line 1, column 7",
+		found: "undefined",
+	});
+});
+
+test("unterminated string and block comment point at the end of input", () => {
+	assert.throws(() => new Tokenizer('{"a": "b').tokenize(), {
+		name: "JsonParseError",
+		offset: 8,
+		expected: '"',
+		found: "EOF",
+	});
+	assert.throws(() => new Tokenizer("{} /* c").tokenize(), {
+		name: "JsonParseError",
+		offset: 7,
+		expected: "*/",
+		found: "EOF",
+	});
+});
+
+test("json5: strings, identifiers and numbers", () => {
+	const source = "{key: 'it\\'s', \"q\": +1, hex: 0xFF, a: .5, b: 5., c: -Infinity, d: NaN, $_é: 1}";
+	const tokens = new Tokenizer(source, { json5: true }).tokenize();
+
+	const types = tokens.filter((t) => t.type !== "whitespace").map((t) => `${t.type}:${source.slice(t.start, t.end)}`);
+	assert.deepEqual(types, [
+		"braceL:{",
+		"identifier:key",
+		"colon::",
+		"string:'it\\'s'",
+		"comma:,",
+		'string:"q"',
+		"colon::",
+		"number:+1",
+		"comma:,",
+		"identifier:hex",
+		"colon::",
+		"number:0xFF",
+		"comma:,",
+		"identifier:a",
+		"colon::",
+		"number:.5",
+		"comma:,",
+		"identifier:b",
+		"colon::",
+		"number:5.",
+		"comma:,",
+		"identifier:c",
+		"colon::",
+		"number:-Infinity",
+		"comma:,",
+		"identifier:d",
+		"colon::",
+		"number:NaN",
+		"comma:,",
+		"identifier:$_é",
+		"colon::",
+		"number:1",
+		"braceR:}",
+	]);
+	assert.equal(tokensToText(tokens, source), source);
+});
+
+test("json5: multi-line string continuation", () => {
+	const source = "'line one \\\nline two'";
+	const tokens = new Tokenizer(source, { json5: true }).tokenize();
+
+	assert.equal(tokens.length, 1);
+	assert.equal(tokens[0].type, "string");
+	assert.equal(tokens[0].end, source.length);
+});
+
+test("json5 syntax is rejected in JSON mode", () => {
+	assert.throws(() => new Tokenizer("{key: 1}").tokenize(), { name: "JsonParseError" });
+	assert.throws(() => new Tokenizer("'a'").tokenize(), { name: "JsonParseError" });
+	assert.throws(() => new Tokenizer("+1").tokenize(), { name: "JsonParseError" });
+});
+
+test("invalid escape sequences and control characters in strings throw", () => {
+	assert.throws(() => new Tokenizer('"a\\qb"').tokenize(), {
+		name: "JsonParseError",
+		message: /^Invalid escape sequence "\\q" in string/,
+		offset: 2,
+	});
+	assert.throws(() => new Tokenizer('"\\u12"').tokenize(), {
+		name: "JsonParseError",
+		message: /^Invalid escape sequence "\\u12" in string, expected 4 hexadecimal digits/,
+	});
+	assert.throws(() => new Tokenizer('"\\x41"').tokenize(), { name: "JsonParseError" });
+	assert.throws(() => new Tokenizer('"a\tb"').tokenize(), { message: /^Unescaped control character "\\t" in string/ });
+	assert.throws(() => new Tokenizer('"a\nb"').tokenize(), { message: /^Unescaped control character "\\n" in string/ });
+});
+
+test("json5: escape sequences", () => {
+	const valid = ["'\\x41\\v\\0'", "'\\a\\'\\\"'", "'a\\\r\nb'", '"\\u00e9"'];
+	for (const source of valid) {
+		assert.equal(new Tokenizer(source, { json5: true }).tokenize().length, 1, source);
+	}
+	assert.throws(() => new Tokenizer("'\\1'", { json5: true }).tokenize(), { message: /^Invalid escape sequence "\\1"/ });
+	assert.throws(() => new Tokenizer("'\\01'", { json5: true }).tokenize(), { message: /^Invalid escape sequence "\\0"/ });
+	assert.throws(() => new Tokenizer("'\\xg0'", { json5: true }).tokenize(), { name: "JsonParseError" });
+});
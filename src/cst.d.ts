@@ -0,0 +1,163 @@
+/**
+ * Fields shared by all CST nodes
+ */
+interface BaseNode {
+	/** The start offset of the node in the document */
+	start: number;
+	/** The end offset of the node in the document */
+	end: number;
+	/** The text of the node */
+	raw: string;
+	/** The node containing this node, null for the Document (non-enumerable) */
+	parent: ParentNode | null;
+}
+
+/**
+ * Fields of object properties and array elements
+ */
+interface EntryFields {
+	/** The comma following the entry, null when there is none */
+	comma: { start: number; end: number } | null;
+	/** The comments on the lines right above the entry or before it on its line */
+	leadingComments: CommentNode[];
+	/** The comments after the entry on its line */
+	trailingComments: CommentNode[];
+}
+
+interface StringNode extends BaseNode, Partial<EntryFields> {
+	type: "String";
+	/** The decoded string */
+	value: string;
+}
+
+interface NumberNode extends BaseNode, Partial<EntryFields> {
+	type: "Number";
+	value: number;
+}
+
+interface BooleanNode extends BaseNode, Partial<EntryFields> {
+	type: "Boolean";
+	value: boolean;
+}
+
+interface NullNode extends BaseNode, Partial<EntryFields> {
+	type: "Null";
+	value: null;
+}
+
+/**
+ * An unquoted property key, only produced when parsing JSON5
+ */
+interface IdentifierNode extends BaseNode {
+	type: "Identifier";
+	value: string;
+}
+
+interface ObjectNode extends BaseNode, Partial<EntryFields> {
+	type: "Object";
+	properties: PropertyNode[];
+	children: ChildNode[];
+}
+
+interface ArrayNode extends BaseNode, Partial<EntryFields> {
+	type: "Array";
+	elements: ValueNode[];
+	children: ChildNode[];
+}
+
+/**
+ * An object property, from the start of its key to the end of its value
+ */
+interface PropertyNode extends BaseNode, EntryFields {
+	type: "Property";
+	/** The decoded key */
+	name: string;
+	key: StringNode | IdentifierNode;
+	value: ValueNode;
+	children: ChildNode[];
+}
+
+interface CommentNode extends BaseNode {
+	type: "Comment";
+	style: "line" | "block";
+	/** The comment text, without the comment delimiters */
+	value: string;
+}
+
+interface WhitespaceNode extends BaseNode {
+	type: "Whitespace";
+}
+
+/**
+ * A brace, bracket, colon or comma
+ */
+interface PunctuatorNode extends BaseNode {
+	type: "Punctuator";
+}
+
+/**
+ * The root of the tree, covering the whole document
+ */
+interface DocumentNode extends BaseNode {
+	type: "Document";
+	value: ValueNode;
+	children: ChildNode[];
+}
+
+type ValueNode = StringNode | NumberNode | BooleanNode | NullNode | ObjectNode | ArrayNode;
+
+type ParentNode = DocumentNode | ObjectNode | ArrayNode | PropertyNode;
+
+type ChildNode = ValueNode | IdentifierNode | PropertyNode | CommentNode | WhitespaceNode | PunctuatorNode;
+
+type CSTNode = DocumentNode | ChildNode;
+
+interface ParseOptions {
+	/**
+	 * Parse the document as JSON5
+	 * @default false
+	 */
+	json5?: boolean;
+}
+
+/**
+ * Parses a JSON (or JSONC/JSON5) document into a CST.
+ *
+ * Every node has a `type`, its `start`/`end` offsets, its `raw` text and a non-enumerable `parent` link.
+ * Objects, arrays, properties and the document have `children` covering their whole range, so that
+ * `print()` gives back the original text.
+ * @param text - The document
+ * @param options - Parse options
+ * @throws {JsonParseError} When the document is not valid
+ * @example
+ * const doc = parse('{"a": 1}');
+ * doc.value.properties[0].name; // "a"
+ * print(doc) === '{"a": 1}'; // true
+ */
+export declare function parse(text: string, options?: ParseOptions): DocumentNode;
+
+/**
+ * Prints a CST node back to text. Printing an unmodified tree gives back the original text byte for byte.
+ * @param node - The node to print, usually the Document
+ */
+export declare function print(node: CSTNode): string;
+
+export {
+	ParseOptions,
+	CSTNode,
+	DocumentNode,
+	ValueNode,
+	ParentNode,
+	ChildNode,
+	ObjectNode,
+	ArrayNode,
+	PropertyNode,
+	StringNode,
+	NumberNode,
+	BooleanNode,
+	NullNode,
+	IdentifierNode,
+	CommentNode,
+	WhitespaceNode,
+	PunctuatorNode,
+};
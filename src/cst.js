@@ -0,0 +1,234 @@
+/**
+ * Public Concrete Syntax Tree API: a typed tree covering every byte of the document, with parent links,
+ * decoded values and trivia (whitespace and comments), built on the parser JsonMod uses.
+ */
+
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+import { extractString, decodeValue } from "./helper.js";
+
+const PRIMITIVE_TYPES = new Set(["String", "Number", "Boolean", "Null", "Identifier"]);
+
+/**
+ * Parses a JSON (or JSONC/JSON5) document into a CST.
+ *
+ * Every node has a `type`, its `start`/`end` offsets, its `raw` text and a non-enumerable `parent` link.
+ * Objects, arrays, properties and the document have `children` covering their whole range, so that
+ * `print()` gives back the original text.
+ *
+ * @param {string} text - The document
+ * @param {object} [options]
+ * @param {boolean} [options.json5=false] - Parse the document as JSON5
+ * @returns {object} - The Document node
+ * @throws {import('./errors.js').JsonParseError} When the document is not valid
+ * @example
+ * const doc = parse('{"a": 1}');
+ * doc.value.properties[0].name; // "a"
+ * print(doc) === '{"a": 1}'; // true
+ */
+export function parse(text, options = {}) {
+	const tokens = new Tokenizer(text, options).tokenize();
+	const root = new CSTBuilder(tokens, text).build();
+	const builder = new TreeBuilder(text, tokens);
+
+	const document = { type: "Document", start: 0, end: text.length, raw: text, children: [], value: null };
+	setParent(document, null);
+	document.value = builder.convert(root);
+	setParent(document.value, document);
+	document.children = builder.children(0, text.length, [document.value], document);
+
+	return document;
+}
+
+/**
+ * Prints a CST node back to text. Printing an unmodified tree gives back the original text byte for byte.
+ * @param {object} node - The node to print, usually the Document
+ * @returns {string}
+ */
+export function print(node) {
+	if (!node.children) {
+		return node.raw;
+	}
+	let text = "";
+	for (const child of node.children) {
+		text += print(child);
+	}
+	return text;
+}
+
+/**
+ * Sets the parent link of a node, non-enumerable so that the tree can be serialized and compared.
+ * @param {object} node
+ * @param {object|null} parent
+ */
+function setParent(node, parent) {
+	Object.defineProperty(node, "parent", { value: parent, enumerable: false, writable: true, configurable: true });
+}
+
+/**
+ * Converts the nodes of CSTBuilder into public nodes, filling the gaps between them with the
+ * punctuators, whitespace and comments of the token stream.
+ */
+class TreeBuilder {
+	/**
+	 * @param {string} text - The document
+	 * @param {Array<{ type: string, start: number, end: number }>} tokens - The tokens of the document
+	 */
+	constructor(text, tokens) {
+		this.text = text;
+		this.tokens = tokens;
+		this.comments = new Map();  // Comment nodes by start offset, shared by `children` and attached comments
+	}
+
+	/**
+	 * Converts a CSTBuilder value node into a public node.
+	 * @param {object} node
+	 * @returns {object}
+	 */
+	convert(node) {
+		const result = { type: node.type, start: node.start, end: node.end, raw: this.text.slice(node.start, node.end) };
+
+		if (PRIMITIVE_TYPES.has(node.type)) {
+			result.value = node.type === "Identifier" ? extractString(node, this.text) : decodeValue(node, this.text);
+			return result;
+		}
+
+		if (node.type === "Object") {
+			result.properties = node.properties.map((prop) => this.convertProperty(prop));
+			for (const property of result.properties) setParent(property, result);
+			result.children = this.children(node.start, node.end, result.properties, result);
+		} else {
+			result.elements = node.elements.map((element) => {
+				const converted = this.convert(element);
+				this.attachEntryTrivia(converted, element);
+				return converted;
+			});
+			for (const element of result.elements) setParent(element, result);
+			result.children = this.children(node.start, node.end, result.elements, result);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Converts an object property, whose range goes from its key to the end of its value.
+	 * @param {object} prop - The CSTBuilder property
+	 * @returns {object}
+	 */
+	convertProperty(prop) {
+		const property = {
+			type: "Property",
+			start: prop.key.start,
+			end: prop.value.end,
+			raw: this.text.slice(prop.key.start, prop.value.end),
+			name: extractString(prop.key, this.text),
+		};
+
+		property.key = this.convert(prop.key);
+		property.value = this.convert(prop.value);
+		setParent(property.key, property);
+		setParent(property.value, property);
+		this.attachEntryTrivia(property, prop);
+		property.children = this.children(property.start, property.end, [property.key, property.value], property);
+
+		return property;
+	}
+
+	/**
+	 * Copies the comma and the attached comments of a property or element.
+	 * @param {object} target - The public node
+	 * @param {object} entry - The CSTBuilder property or element
+	 */
+	attachEntryTrivia(target, entry) {
+		target.comma = entry.comma ? { start: entry.comma.start, end: entry.comma.end } : null;
+		target.leadingComments = (entry.leadingComments || []).map((comment) => this.comment(comment));
+		target.trailingComments = (entry.trailingComments || []).map((comment) => this.comment(comment));
+	}
+
+	/**
+	 * Lists the children of a node: its child nodes, and the tokens between them.
+	 * @param {number} start - The start of the node
+	 * @param {number} end - The end of the node
+	 * @param {Array<object>} nodes - The child nodes, in document order
+	 * @param {object} parent - The node
+	 * @returns {Array<object>}
+	 */
+	children(start, end, nodes, parent) {
+		const children = [];
+		let next = 0;
+		let index = this.indexAt(start);
+
+		while (index < this.tokens.length && this.tokens[index].start < end) {
+			const token = this.tokens[index];
+			if (next < nodes.length && token.start === nodes[next].start) {
+				children.push(nodes[next]);
+				index = this.indexAt(nodes[next].end);
+				next++;
+				continue;
+			}
+
+			const child = this.token(token);
+			setParent(child, parent);
+			children.push(child);
+			index++;
+		}
+
+		return children;
+	}
+
+	/**
+	 * Converts a punctuator, whitespace or comment token into a node.
+	 * @param {{ type: string, start: number, end: number }} token
+	 * @returns {object}
+	 */
+	token(token) {
+		if (token.type === "comment") {
+			return this.comment(token);
+		}
+		const raw = this.text.slice(token.start, token.end);
+		return { type: token.type === "whitespace" ? "Whitespace" : "Punctuator", start: token.start, end: token.end, raw };
+	}
+
+	/**
+	 * Returns the Comment node at a position, creating it on first use.
+	 * @param {{ start: number, end: number }} range
+	 * @returns {object}
+	 */
+	comment(range) {
+		let comment = this.comments.get(range.start);
+		if (!comment) {
+			const raw = this.text.slice(range.start, range.end);
+			const block = raw.startsWith("/*");
+			comment = {
+				type: "Comment",
+				start: range.start,
+				end: range.end,
+				raw,
+				style: block ? "block" : "line",
+				value: block ? raw.slice(2, -2) : raw.slice(2),
+			};
+			setParent(comment, null);
+			this.comments.set(range.start, comment);
+		}
+		return comment;
+	}
+
+	/**
+	 * Finds the index of the first token starting at or after a position.
+	 * @param {number} offset
+	 * @returns {number}
+	 */
+	indexAt(offset) {
+		let low = 0;
+		let high = this.tokens.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (this.tokens[mid].start < offset) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return low;
+	}
+}
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse, print } from "./cst.js";
+
+test("print round-trips the document byte for byte", () => {
+	const sources = [
+		'{"a": 1}',
+		'  // header\r\n{\r\n  "a": [1, /* x */ 2,], // one\r\n\r\n  "b": {"c": null}\r\n}\r\n',
+		"[]",
+		'"string"',
+		"\t42\n",
+	];
+
+	for (const source of sources) {
+		assert.equal(print(parse(source)), source);
+	}
+	assert.equal(print(parse("{a: 'x', b: 0x1F, c: [+.5,],}", { json5: true })), "{a: 'x', b: 0x1F, c: [+.5,],}");
+});
+
+test("nodes have types, ranges, raw text and decoded values", () => {
+	const source = '{"name": "caf\\u00e9", "n": -1.5, "ok": true, "none": null}';
+	const doc = parse(source);
+	const [name, n, ok, none] = doc.value.properties;
+
+	assert.equal(doc.type, "Document");
+	assert.equal(doc.value.type, "Object");
+	assert.equal(name.type, "Property");
+	assert.equal(name.name, "name");
+	assert.equal(name.raw, '"name": "caf\\u00e9"');
+	assert.deepEqual({ type: name.key.type, raw: name.key.raw, value: name.key.value }, { type: "String", raw: '"name"', value: "name" });
+	assert.deepEqual({ type: name.value.type, value: name.value.value }, { type: "String", value: "café" });
+	assert.deepEqual([n.value.value, ok.value.value, none.value.value], [-1.5, true, null]);
+	assert.equal(source.slice(n.start, n.end), '"n": -1.5');
+});
+
+test("children include punctuators, whitespace and comments", () => {
+	const doc = parse('{\n  // about a\n  "a": 1, // one\n  "b": [2]\n}');
+	const describe = (node) => node.children.map((child) => `${child.type}:${child.raw}`);
+
+	assert.deepEqual(describe(doc.value), [
+		"Punctuator:{",
+		"Whitespace:\n  ",
+		"Comment:// about a",
+		"Whitespace:\n  ",
+		'Property:"a": 1',
+		"Punctuator:,",
+		"Whitespace: ",
+		"Comment:// one",
+		"Whitespace:\n  ",
+		'Property:"b": [2]',
+		"Whitespace:\n",
+		"Punctuator:}",
+	]);
+	assert.deepEqual(describe(doc.value.properties[0]), ['String:"a"', "Punctuator::", "Whitespace: ", "Number:1"]);
+	assert.deepEqual(describe(doc.value.properties[1].value), ["Punctuator:[", "Number:2", "Punctuator:]"]);
+});
+
+test("nodes link to their parent", () => {
+	const doc = parse('{"a": [1, {"b": 2}]}');
+	const a = doc.value.properties[0];
+	const inner = a.value.elements[1];
+
+	assert.equal(doc.parent, null);
+	assert.equal(doc.value.parent, doc);
+	assert.equal(a.parent, doc.value);
+	assert.equal(a.key.parent, a);
+	assert.equal(a.value.parent, a);
+	assert.equal(inner.parent, a.value);
+	assert.equal(inner.properties[0].value.parent, inner.properties[0]);
+	assert.equal(doc.value.children[0].parent, doc.value);
+	assert.doesNotThrow(() => JSON.stringify(doc));
+});
+
+test("entries carry their comma and attached comments", () => {
+	const doc = parse('{\n  // about a\n  "a": 1, // one\n  "b": 2\n}');
+	const [a, b] = doc.value.properties;
+
+	assert.deepEqual(a.comma, { start: 23, end: 24 });
+	assert.equal(b.comma, null);
+	assert.deepEqual(
+		a.leadingComments.map((comment) => [comment.style, comment.value]),
+		[["line", " about a"]],
+	);
+	assert.equal(a.trailingComments[0].raw, "// one");
+	assert.equal(a.leadingComments[0], doc.value.children[2]);
+	assert.equal(a.leadingComments[0].parent, doc.value);
+});
+
+test("modified leaves are printed", () => {
+	const doc = parse('{"a": 1, "b": [true]}');
+	doc.value.properties[1].value.elements[0].raw = "false";
+
+	assert.equal(print(doc), '{"a": 1, "b": [false]}');
+	assert.equal(print(doc.value.properties[1]), '"b": [false]');
+});
+
+test("parse errors are reported as JsonParseError", () => {
+	assert.throws(() => parse('{"a": }'), { name: "JsonParseError", line: 1, column: 7 });
+});
@@ -0,0 +1,51 @@
+import { JsonMod, JsonModOptions, JsonPatchOperation } from "./JsonMod.js";
+
+export interface DiffOptions {
+	/**
+	 * Parse the documents as JSON5
+	 * @default false
+	 */
+	json5?: boolean;
+
+	/**
+	 * Match the object elements of arrays on this property (e.g. "id") instead of on their whole value,
+	 * so that an element whose other properties changed is diffed in place
+	 */
+	arrayKey?: string;
+}
+
+/**
+ * Computes the JSON Patch (RFC 6902) turning one document into another.
+ *
+ * Values are compared once decoded, so formatting, comments, key order and number spelling are not changes.
+ * Arrays are aligned on the longest common subsequence of their elements, or on `arrayKey`.
+ * The operations are meant to be applied in order.
+ * @param oldText - The original document
+ * @param newText - The modified document
+ * @param options - Diff options
+ * @returns The `add`, `remove` and `replace` operations
+ * @throws {JsonParseError} When a document is not valid
+ */
+export declare function diff(
+	oldText: string,
+	newText: string,
+	options?: DiffOptions,
+): Array<Extract<JsonPatchOperation, { op: "add" | "remove" | "replace" }>>;
+
+/**
+ * Computes the changes between two documents as queued JsonMod operations on a third document,
+ * usually another copy of the original with its own formatting.
+ * Added and replaced values keep their text from `newText`, comments included.
+ * @param oldText - The original document
+ * @param newText - The modified document
+ * @param targetText - The document to replay the changes onto, `oldText` by default
+ * @param options - Diff options, also given to jsonmod()
+ * @returns A JsonMod instance on `targetText` holding the operations
+ * @throws {JsonParseError} When a document is not valid
+ */
+export declare function diffToJsonMod(
+	oldText: string,
+	newText: string,
+	targetText?: string,
+	options?: DiffOptions & JsonModOptions,
+): JsonMod;
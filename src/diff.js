@@ -0,0 +1,297 @@
+/**
+ * Structural diff of two JSON (or JSONC/JSON5) documents, as RFC 6902 operations or as queued JsonMod operations.
+ */
+
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+import { extractString, decodeValue, deepEqual, formatJSONPointer } from "./helper.js";
+import { getLineIndent, detectIndentUnit, dedent } from "./layout.js";
+import { JsonMod } from "./JsonMod.js";
+
+/**
+ * Computes the JSON Patch (RFC 6902) turning one document into another.
+ *
+ * Values are compared once decoded, so formatting, comments, key order and number spelling are not changes.
+ * Objects are compared property by property. Arrays are aligned on the longest common subsequence of their
+ * elements, and an element changed in place is diffed recursively; with `arrayKey`, object elements are
+ * matched on that property instead.
+ *
+ * The operations are meant to be applied in order: array changes are listed from the last index to the first,
+ * so that the indices of each operation are valid when it is applied.
+ *
+ * @param {string} oldText - The original document
+ * @param {string} newText - The modified document
+ * @param {object} [options]
+ * @param {boolean} [options.json5=false] - Parse the documents as JSON5
+ * @param {string} [options.arrayKey] - Match the object elements of arrays on this property, e.g. "id"
+ * @returns {Array<object>} - The `add`, `remove` and `replace` operations
+ * @throws {import('./errors.js').JsonParseError} When a document is not valid
+ * @example
+ * diff('{"a": 1, "b": [1, 2]}', '{"a": 2, "b": [1, 2, 3]}')
+ * // [{ op: "replace", path: "/a", value: 2 }, { op: "add", path: "/b/2", value: 3 }]
+ */
+export function diff(oldText, newText, options = {}) {
+	return diffDocuments(oldText, newText, options).map((change) => {
+		const operation = { op: change.op, path: formatJSONPointer(change.path) };
+		if (change.op !== "remove") {
+			operation.value = decodeValue(change.node, newText);
+		}
+		return operation;
+	});
+}
+
+/**
+ * Computes the changes between two documents as queued JsonMod operations on a third document,
+ * usually another copy of the original with its own formatting.
+ *
+ * Added and replaced values keep their text from `newText`, comments included, re-indented to their destination
+ * with the indentation unit of `targetText`.
+ *
+ * @param {string} oldText - The original document
+ * @param {string} newText - The modified document
+ * @param {string} [targetText=oldText] - The document to replay the changes onto
+ * @param {object} [options] - The options of diff(), also given to jsonmod()
+ * @returns {JsonMod} - A JsonMod instance on `targetText` holding the operations
+ * @example
+ * diffToJsonMod(oldConfig, newConfig, otherCopyOfOldConfig).apply()
+ */
+export function diffToJsonMod(oldText, newText, targetText = oldText, options = {}) {
+	const mod = new JsonMod(targetText, options);
+	const fromUnit = detectIndentUnit(newText);
+	const toUnit = detectIndentUnit(targetText);
+
+	for (const change of diffDocuments(oldText, newText, options)) {
+		if (change.op === "remove") {
+			mod.delete(change.path);
+			continue;
+		}
+
+		// An added element brings the comments written before it
+		const addsElement = change.op === "add" && typeof change.path[change.path.length - 1] === "number";
+		const comments = addsElement ? change.node.leadingComments : [];
+		const start = comments.length > 0 ? comments[0].start : change.node.start;
+		const text = dedent(newText.slice(start, change.node.end), getLineIndent(newText, start));
+		const value = changeIndentUnit(text, fromUnit, toUnit);
+		if (change.op === "replace") {
+			mod.replace(change.path, value);
+		} else if (addsElement) {
+			mod.insert(change.path.slice(0, -1), change.path[change.path.length - 1], value);
+		} else {
+			mod.set(change.path, value);
+		}
+	}
+
+	return mod;
+}
+
+/**
+ * Rewrites the indentation of the continuation lines of a dedented value from one indentation unit to another.
+ * @param {string} value - The value text, with "\n" line endings
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @returns {string}
+ */
+function changeIndentUnit(value, fromUnit, toUnit) {
+	if (fromUnit === toUnit) {
+		return value;
+	}
+	return value.replace(/\n([ \t]+)/g, (match, indent) => {
+		let depth = 0;
+		while (indent.startsWith(fromUnit, depth * fromUnit.length)) depth++;
+		return "\n" + toUnit.repeat(depth) + indent.slice(depth * fromUnit.length);
+	});
+}
+
+/**
+ * Parses two documents and lists the changes between them.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ json5?: boolean, arrayKey?: string }} options
+ * @returns {Array<{ op: "add"|"remove"|"replace", path: Array<string|number>, node?: object }>} - The changes,
+ * with the node of `newText` holding the new value
+ */
+function diffDocuments(oldText, newText, options) {
+	const parse = (text) => new CSTBuilder(new Tokenizer(text, { json5: options.json5 }).tokenize(), text).build();
+	const differ = new Differ(oldText, newText, options.arrayKey);
+	differ.diffNodes(parse(oldText), parse(newText), []);
+	return differ.changes;
+}
+
+/**
+ * Compares the nodes of two documents, collecting the changes.
+ */
+class Differ {
+	/**
+	 * @param {string} oldText
+	 * @param {string} newText
+	 * @param {string} [arrayKey]
+	 */
+	constructor(oldText, newText, arrayKey) {
+		this.oldText = oldText;
+		this.newText = newText;
+		this.arrayKey = arrayKey;
+		this.changes = [];
+		this.decoded = new WeakMap();  // Decoded values by node, arrays compare their elements many times
+	}
+
+	/**
+	 * @param {object} oldNode
+	 * @param {object} newNode
+	 * @param {Array<string|number>} path
+	 */
+	diffNodes(oldNode, newNode, path) {
+		if (oldNode.type === "Object" && newNode.type === "Object") {
+			this.diffObjects(oldNode, newNode, path);
+		} else if (oldNode.type === "Array" && newNode.type === "Array") {
+			this.diffArrays(oldNode, newNode, path);
+		} else if (!deepEqual(this.decode(oldNode, this.oldText), this.decode(newNode, this.newText))) {
+			this.changes.push({ op: "replace", path, node: newNode });
+		}
+	}
+
+	/**
+	 * @param {object} oldNode
+	 * @param {object} newNode
+	 * @param {Array<string|number>} path
+	 */
+	diffObjects(oldNode, newNode, path) {
+		const oldProperties = this.properties(oldNode, this.oldText);
+		const newProperties = this.properties(newNode, this.newText);
+
+		for (const [key, oldValue] of oldProperties) {
+			const newValue = newProperties.get(key);
+			if (newValue) {
+				this.diffNodes(oldValue, newValue, [...path, key]);
+			} else {
+				this.changes.push({ op: "remove", path: [...path, key] });
+			}
+		}
+		for (const [key, newValue] of newProperties) {
+			if (!oldProperties.has(key)) {
+				this.changes.push({ op: "add", path: [...path, key], node: newValue });
+			}
+		}
+	}
+
+	/**
+	 * Aligns the elements of two arrays, then lists the changes from the end of the array, where the indices of
+	 * the old array are still those of the array being patched.
+	 * @param {object} oldNode
+	 * @param {object} newNode
+	 * @param {Array<string|number>} path
+	 */
+	diffArrays(oldNode, newNode, path) {
+		const oldElements = oldNode.elements;
+		const newElements = newNode.elements;
+		const steps = [];
+
+		// Elements between two matches are changed in place pairwise, unless they are matched on a key
+		const addGap = (i, j, oldEnd, newEnd) => {
+			while (i < oldEnd || j < newEnd) {
+				if (i < oldEnd && j < newEnd && !this.arrayKey) {
+					steps.push({ type: "change", i: i++, j: j++ });
+				} else if (i < oldEnd) {
+					steps.push({ type: "remove", i: i++ });
+				} else {
+					steps.push({ type: "add", i, j: j++ });
+				}
+			}
+		};
+
+		let i = 0;
+		let j = 0;
+		for (const [matchI, matchJ] of this.align(oldElements, newElements)) {
+			addGap(i, j, matchI, matchJ);
+			steps.push({ type: "change", i: matchI, j: matchJ });
+			i = matchI + 1;
+			j = matchJ + 1;
+		}
+		addGap(i, j, oldElements.length, newElements.length);
+
+		for (const step of steps.reverse()) {
+			if (step.type === "change") {
+				this.diffNodes(oldElements[step.i], newElements[step.j], [...path, step.i]);
+			} else if (step.type === "remove") {
+				this.changes.push({ op: "remove", path: [...path, step.i] });
+			} else {
+				this.changes.push({ op: "add", path: [...path, step.i], node: newElements[step.j] });
+			}
+		}
+	}
+
+	/**
+	 * Finds the longest common subsequence of two lists of elements, compared on their identity.
+	 * @param {Array<object>} oldElements
+	 * @param {Array<object>} newElements
+	 * @returns {Array<[number, number]>} - The indices of the matched elements, in order
+	 */
+	align(oldElements, newElements) {
+		const oldKeys = oldElements.map((node) => this.identity(node, this.oldText));
+		const newKeys = newElements.map((node) => this.identity(node, this.newText));
+		const matches = (i, j) => deepEqual(oldKeys[i], newKeys[j]);
+
+		// lengths[i][j]: length of the longest common subsequence of oldElements[i:] and newElements[j:]
+		const lengths = Array.from({ length: oldElements.length + 1 }, () => new Array(newElements.length + 1).fill(0));
+		for (let i = oldElements.length - 1; i >= 0; i--) {
+			for (let j = newElements.length - 1; j >= 0; j--) {
+				lengths[i][j] = matches(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+			}
+		}
+
+		const pairs = [];
+		let i = 0;
+		let j = 0;
+		while (i < oldElements.length && j < newElements.length) {
+			if (matches(i, j)) {
+				pairs.push([i++, j++]);
+			} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+				i++;
+			} else {
+				j++;
+			}
+		}
+		return pairs;
+	}
+
+	/**
+	 * What an array element is matched on: its `arrayKey` property when it has one, otherwise its whole value.
+	 * @param {object} node
+	 * @param {string} text
+	 * @returns {{ key: any } | { value: any }}
+	 */
+	identity(node, text) {
+		const value = this.decode(node, text);
+		const isObject = value !== null && typeof value === "object" && !Array.isArray(value);
+		if (this.arrayKey && isObject && Object.prototype.hasOwnProperty.call(value, this.arrayKey)) {
+			return { key: value[this.arrayKey] };
+		}
+		return { value };
+	}
+
+	/**
+	 * The value nodes of an object by property name; the first of duplicate keys wins, as in path resolution.
+	 * @param {object} node
+	 * @param {string} text
+	 * @returns {Map<string, object>}
+	 */
+	properties(node, text) {
+		const properties = new Map();
+		for (const prop of node.properties) {
+			const key = extractString(prop.key, text);
+			if (!properties.has(key)) properties.set(key, prop.value);
+		}
+		return properties;
+	}
+
+	/**
+	 * @param {object} node
+	 * @param {string} text
+	 * @returns {any}
+	 */
+	decode(node, text) {
+		if (!this.decoded.has(node)) {
+			this.decoded.set(node, decodeValue(node, text));
+		}
+		return this.decoded.get(node);
+	}
+}
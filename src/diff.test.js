@@ -0,0 +1,162 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { diff, diffToJsonMod } from "./diff.js";
+import { applyJsonPatch } from "./JsonMod.js";
+import { JsonParseError } from "./errors.js";
+
+describe("diff", () => {
+	test("should list changed, removed and added properties", () => {
+		const oldText = '{"a": 1, "b": {"c": true, "d": null}, "e": "x"}';
+		const newText = '{"a": 2, "b": {"c": true}, "f": [1]}';
+
+		assert.deepEqual(diff(oldText, newText), [
+			{ op: "replace", path: "/a", value: 2 },
+			{ op: "remove", path: "/b/d" },
+			{ op: "remove", path: "/e" },
+			{ op: "add", path: "/f", value: [1] },
+		]);
+	});
+
+	test("should ignore formatting, comments, key order and number spelling", () => {
+		const oldText = '{\n  // comment\n  "a": 1.0,\n  "b": [1, 2],\n}';
+		const newText = '{"b":[1,2],"a":1}';
+
+		assert.deepEqual(diff(oldText, newText), []);
+	});
+
+	test("should replace values whose type changed, and the root", () => {
+		assert.deepEqual(diff('{"a": [1], "b": {}}', '{"a": {"0": 1}, "b": null}'), [
+			{ op: "replace", path: "/a", value: { 0: 1 } },
+			{ op: "replace", path: "/b", value: null },
+		]);
+		assert.deepEqual(diff("[1]", '"x"'), [{ op: "replace", path: "", value: "x" }]);
+	});
+
+	test("should align arrays on their longest common subsequence, from the last index", () => {
+		assert.deepEqual(diff("[1, 2, 3, 4]", "[0, 1, 3, 4, 5]"), [
+			{ op: "add", path: "/4", value: 5 },
+			{ op: "remove", path: "/1" },
+			{ op: "add", path: "/0", value: 0 },
+		]);
+	});
+
+	test("should diff array elements changed in place", () => {
+		const oldText = '[{"name": "a", "v": 1}, "x"]';
+		const newText = '[{"name": "a", "v": 2}, "x"]';
+
+		assert.deepEqual(diff(oldText, newText), [{ op: "replace", path: "/0/v", value: 2 }]);
+	});
+
+	test("should match array elements on arrayKey", () => {
+		const oldText = '{"users": [{"id": 1, "role": "admin"}, {"id": 2, "role": "user"}, {"id": 3, "role": "user"}]}';
+		const newText = '{"users": [{"id": 2, "role": "admin"}, {"id": 3, "role": "user"}, {"id": 4}]}';
+
+		assert.deepEqual(diff(oldText, newText, { arrayKey: "id" }), [
+			{ op: "add", path: "/users/3", value: { id: 4 } },
+			{ op: "replace", path: "/users/1/role", value: "admin" },
+			{ op: "remove", path: "/users/0" },
+		]);
+		// Without arrayKey, only equal elements are matched and the others are changed in place
+		assert.deepEqual(diff(oldText, newText), [
+			{ op: "add", path: "/users/3", value: { id: 4 } },
+			{ op: "remove", path: "/users/1" },
+			{ op: "replace", path: "/users/0/id", value: 2 },
+		]);
+	});
+
+	test("should match elements without the key on their value", () => {
+		assert.deepEqual(diff("[1, 2, 3]", "[1, 3]", { arrayKey: "id" }), [{ op: "remove", path: "/1" }]);
+	});
+
+	test("should escape JSON Pointer tokens", () => {
+		assert.deepEqual(diff('{"a/b": 1, "c~d": 1}', '{"a/b": 2, "c~d": 2}'), [
+			{ op: "replace", path: "/a~1b", value: 2 },
+			{ op: "replace", path: "/c~0d", value: 2 },
+		]);
+	});
+
+	test("should parse JSON5 documents", () => {
+		assert.deepEqual(diff("{a: 'x', b: 0x10}", "{a: 'y', b: 16}", { json5: true }), [{ op: "replace", path: "/a", value: "y" }]);
+	});
+
+	test("should throw on invalid documents", () => {
+		assert.throws(() => diff('{"a": 1}', '{"a": }'), JsonParseError);
+	});
+
+	test("should give back the new document when applied, on the conformance suite documents", () => {
+		const suite = JSON.parse(readFileSync(new URL("../fixtures/json-patch-tests/tests.json", import.meta.url), "utf8"));
+
+		for (const testCase of suite) {
+			if (!("expected" in testCase)) continue;
+			const oldText = JSON.stringify(testCase.doc, null, 2);
+			const newText = JSON.stringify(testCase.expected);
+
+			for (const options of [{}, { arrayKey: "id" }]) {
+				const patch = diff(oldText, newText, options);
+				assert.deepEqual(JSON.parse(applyJsonPatch(oldText, patch)), testCase.expected, testCase.comment);
+			}
+		}
+	});
+});
+
+describe("diffToJsonMod", () => {
+	const oldText = `{
+  "name": "app",
+  "version": "1.0.0",
+  "files": ["a.js", "b.js"]
+}`;
+	const newText = `{
+  "name": "app",
+  "version": "1.1.0",
+  "files": ["a.js", "c.js", "b.js"],
+  "scripts": {
+    // Run the tests
+    "test": "node --test"
+  }
+}`;
+
+	test("should replay the changes onto the old document", () => {
+		assert.equal(diffToJsonMod(oldText, newText).apply(), newText);
+	});
+
+	test("should replay the changes onto a differently formatted copy", () => {
+		const targetText = `{
+	// The package name
+	"name": "app",
+	"version": "1.0.0",
+	"files": [
+		"a.js",
+		"b.js"
+	]
+}`;
+
+		assert.equal(
+			diffToJsonMod(oldText, newText, targetText).apply(),
+			`{
+	// The package name
+	"name": "app",
+	"version": "1.1.0",
+	"files": [
+		"a.js",
+		"c.js",
+		"b.js"
+	],
+	"scripts": {
+		// Run the tests
+		"test": "node --test"
+	}
+}`,
+		);
+	});
+
+	test("should keep the comments written before added elements", () => {
+		assert.equal(diffToJsonMod("[1, 2]", "[1, /* x */ 3, 2]").apply(), "[1, /* x */ 3, 2]");
+		assert.equal(diffToJsonMod('{"a": [\n  1\n]}', '{"a": [\n  1,\n  // two\n  2\n]}').apply(), '{"a": [\n  1,\n  // two\n  2\n]}');
+	});
+
+	test("should return a JsonMod instance that can be extended", () => {
+		const result = diffToJsonMod('{"a": 1}', '{"a": 2}').set("b", "3").apply();
+		assert.equal(result, '{"a": 2, "b": 3}');
+	});
+});
@@ -0,0 +1,37 @@
+import { SourceLocation } from "./errors.js";
+
+/**
+ * A key defined several times in the same object
+ */
+export interface DuplicateKey {
+	/** The path of the property */
+	path: Array<string | number>;
+	/** The duplicated key */
+	key: string;
+	/** The location of each occurrence of the key, in order */
+	locations: SourceLocation[];
+}
+
+export interface FindDuplicateKeysOptions {
+	/**
+	 * Parse the document as JSON5
+	 * @default false
+	 */
+	json5?: boolean;
+}
+
+/**
+ * Lists the keys defined several times in the same object, with the location of each occurrence.
+ * JSON.parse keeps the value of the last occurrence, while JsonMod paths designate the first one unless the
+ * `duplicateKeys` option says otherwise.
+ * @param text - The document
+ * @param options - Parse options
+ * @returns The duplicated keys in document order
+ * @throws {JsonParseError} When the document is not valid
+ * @example
+ * ```js
+ * findDuplicateKeys('{"a": 1, "a": 2}');
+ * // [{ path: ["a"], key: "a", locations: [{ offset: 1, line: 1, column: 2 }, { offset: 9, line: 1, column: 10 }] }]
+ * ```
+ */
+export declare function findDuplicateKeys(text: string, options?: FindDuplicateKeysOptions): DuplicateKey[];
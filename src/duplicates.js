@@ -0,0 +1,52 @@
+/**
+ * Detection of the keys defined several times in the objects of a document, to clean up files that
+ * JSON.parse and JsonMod paths would read differently.
+ */
+
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+import { extractString } from "./helper.js";
+import { getLocation } from "./errors.js";
+
+/**
+ * Lists the keys defined several times in the same object, with the location of each occurrence.
+ *
+ * JSON.parse keeps the value of the last occurrence, while JsonMod paths designate the first one unless the
+ * `duplicateKeys` option says otherwise.
+ *
+ * @param {string} text - The document
+ * @param {object} [options]
+ * @param {boolean} [options.json5=false] - Parse the document as JSON5
+ * @returns {Array<{ path: Array<string|number>, key: string, locations: Array<{ offset: number, line: number, column: number }> }>}
+ * - The duplicated keys in document order, with the path of the property and the location of each occurrence of the key
+ * @throws {import('./errors.js').JsonParseError} When the document is not valid
+ * @example
+ * findDuplicateKeys('{\n  "a": 1,\n  "b": {"c": 2, "c": 3},\n  "a": 4\n}')
+ * // [
+ * //   { path: ["a"], key: "a", locations: [{ offset: 4, line: 2, column: 3 }, { offset: 39, line: 4, column: 3 }] },
+ * //   { path: ["b", "c"], key: "c", locations: [{ offset: 20, line: 3, column: 9 }, { offset: 28, line: 3, column: 17 }] },
+ * // ]
+ */
+export function findDuplicateKeys(text, options = {}) {
+	const root = new CSTBuilder(new Tokenizer(text, { json5: options.json5 }).tokenize(), text).build();
+	const duplicates = [];
+
+	const visit = (node, path) => {
+		if (node.type === "Object") {
+			for (const { key, indices } of node.duplicateKeys) {
+				const locations = indices.map((index) => {
+					const offset = node.properties[index].key.start;
+					return { offset, ...getLocation(text, offset) };
+				});
+				duplicates.push({ path: [...path, key], key, locations });
+			}
+			node.properties.forEach((prop) => visit(prop.value, [...path, extractString(prop.key, text)]));
+		} else if (node.type === "Array") {
+			node.elements.forEach((element, index) => visit(element, [...path, index]));
+		}
+	};
+	visit(root, []);
+
+	// A key duplicated inside the first occurrence of another one comes after it
+	return duplicates.sort((a, b) => a.locations[0].offset - b.locations[0].offset);
+}
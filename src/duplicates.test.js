@@ -0,0 +1,52 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { findDuplicateKeys } from "./duplicates.js";
+import { JsonParseError } from "./errors.js";
+
+describe("findDuplicateKeys", () => {
+	test("should report each duplicated key with the location of its occurrences", () => {
+		const source = '{\n  "a": 1,\n  "b": {"c": 2, "c": 3},\n  "a": 4\n}';
+
+		assert.deepEqual(findDuplicateKeys(source), [
+			{
+				path: ["a"],
+				key: "a",
+				locations: [
+					{ offset: 4, line: 2, column: 3 },
+					{ offset: 39, line: 4, column: 3 },
+				],
+			},
+			{
+				path: ["b", "c"],
+				key: "c",
+				locations: [
+					{ offset: 20, line: 3, column: 9 },
+					{ offset: 28, line: 3, column: 17 },
+				],
+			},
+		]);
+	});
+
+	test("should look into arrays and the values of every occurrence", () => {
+		const source = '[{"x": {"y": 1, "y": 2}}, {"x": 1, "x": {"z": 0, "z": 0}}]';
+		const report = findDuplicateKeys(source).map(({ path, locations }) => [path, locations.length]);
+
+		assert.deepEqual(report, [
+			[[0, "x", "y"], 2],
+			[[1, "x"], 2],
+			[[1, "x", "z"], 2],
+		]);
+	});
+
+	test("should compare keys once decoded, and support JSON5", () => {
+		assert.deepEqual(
+			findDuplicateKeys("{name: 1, 'name': 2, \"n\\u0061me\": 3}", { json5: true }).map(({ key, locations }) => [key, locations.length]),
+			[["name", 3]],
+		);
+		assert.deepEqual(findDuplicateKeys('{"a": 1, "A": 2, "b": {"a": 3}}'), []);
+	});
+
+	test("should throw on invalid documents", () => {
+		assert.throws(() => findDuplicateKeys('{"a": 1,, "a": 2}'), JsonParseError);
+	});
+});
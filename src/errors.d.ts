@@ -0,0 +1,130 @@
+/**
+ * Details about an operation that could not be applied.
+ */
+interface SkippedOperation {
+	/** The index of the operation in the queue */
+	operationIndex: number;
+	/** The operation type, e.g. "replace" */
+	operation: string;
+	/** The path as passed to the operation */
+	path: string | Array<string | number>;
+	/** The deepest path prefix that did resolve */
+	resolvedPath: Array<string | number>;
+	/** The type of the node the resolution stopped at, e.g. "Object" */
+	nodeType: string;
+	/** A human readable explanation */
+	message: string;
+}
+
+/**
+ * Error thrown in strict mode when a queued operation cannot be applied because its path does not resolve.
+ */
+export declare class JsonModError extends Error implements SkippedOperation {
+	name: "JsonModError";
+	operationIndex: number;
+	operation: string;
+	path: string | Array<string | number>;
+	resolvedPath: Array<string | number>;
+	nodeType: string;
+
+	constructor(message: string, details: Omit<SkippedOperation, "message">);
+}
+
+/**
+ * Error thrown when a JSON Patch (RFC 6902) cannot be applied: the patch is invalid, a path does not resolve,
+ * or a `test` operation fails. The whole patch is then rejected.
+ */
+export declare class JsonPatchError extends Error {
+	name: "JsonPatchError";
+	/** The index of the failing operation in the patch */
+	operationIndex: number;
+	/** The `op` of the failing operation, e.g. "add" */
+	operation?: string;
+	/** The `path` of the failing operation */
+	path?: string;
+
+	constructor(message: string, details: { operationIndex: number; operation?: string; path?: string });
+}
+
+/**
+ * Error thrown when a dot path or a JSON Pointer is malformed.
+ */
+export declare class InvalidPathError extends SyntaxError {
+	name: "InvalidPathError";
+	/** The malformed path */
+	path: string;
+	/** The offset of the problem in the path */
+	position: number;
+
+	constructor(message: string, details: { path: string; position: number });
+}
+
+/**
+ * The position of a character in a document.
+ */
+interface SourceLocation {
+	/** The offset of the character */
+	offset: number;
+	/** 1-based line */
+	line: number;
+	/** 1-based column */
+	column: number;
+}
+
+/**
+ * Error thrown with the `duplicateKeys: "error"` option when a path goes through a key defined several times in
+ * its object, or a value holding such a key is read.
+ */
+export declare class DuplicateKeyError extends Error {
+	name: "DuplicateKeyError";
+	/** The duplicated key */
+	key: string;
+	/** The occurrences of the key, in order */
+	locations: SourceLocation[];
+
+	constructor(message: string, details: { key: string; sourceText: string; offsets: number[] });
+}
+
+/**
+ * Error thrown when the source text is not valid JSON (or JSONC).
+ * Carries the position of the problem and a code frame pointing at it.
+ */
+export declare class JsonParseError extends SyntaxError {
+	name: "JsonParseError";
+	/** The offset of the offending character or token */
+	offset: number;
+	/** 1-based line of the offending character or token */
+	line: number;
+	/** 1-based column of the offending character or token */
+	column: number;
+	/** What the parser expected, e.g. "colon" */
+	expected?: string;
+	/** What the parser found instead, e.g. "string" or "EOF" */
+	found?: string;
+	/**
+	 * The offending line, with the lines around it, and a caret under the offending column
+	 * @example
+	 *   2 |   "a": 1,
+	 * > 3 |   "b" 2
+	 *     |       ^
+	 *   4 | }
+	 */
+	codeFrame: string;
+
+	constructor(
+		message: string,
+		details: {
+			sourceText: string;
+			offset: number;
+			expected?: string;
+			found?: string;
+		},
+	);
+}
+
+/**
+ * Converts an offset into a 1-based line and column.
+ */
+export declare function getLocation(sourceText: string, offset: number): { line: number; column: number };
+
+export { SkippedOperation, SourceLocation };
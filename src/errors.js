@@ -0,0 +1,167 @@
+/**
+ * Error thrown in strict mode when a queued operation cannot be applied because its path does not resolve.
+ * @class
+ */
+export class JsonModError extends Error {
+	/**
+	 * @param {string} message - The error message
+	 * @param {object} details
+	 * @param {number} details.operationIndex - The index of the operation in the queue
+	 * @param {string} details.operation - The operation type, e.g. "replace"
+	 * @param {string|Array<string|number>} details.path - The path as passed to the operation
+	 * @param {Array<string|number>} details.resolvedPath - The deepest path prefix that did resolve
+	 * @param {string} details.nodeType - The type of the node the resolution stopped at, e.g. "Object"
+	 */
+	constructor(message, { operationIndex, operation, path, resolvedPath, nodeType }) {
+		super(message);
+		this.name = "JsonModError";
+		this.operationIndex = operationIndex;
+		this.operation = operation;
+		this.path = path;
+		this.resolvedPath = resolvedPath;
+		this.nodeType = nodeType;
+	}
+}
+
+/**
+ * Error thrown when a JSON Patch (RFC 6902) cannot be applied: the patch is invalid, a path does not resolve,
+ * or a `test` operation fails. The whole patch is then rejected.
+ * @class
+ */
+export class JsonPatchError extends Error {
+	/**
+	 * @param {string} message - The error message
+	 * @param {object} details
+	 * @param {number} details.operationIndex - The index of the failing operation in the patch
+	 * @param {string} [details.operation] - The `op` of the failing operation, e.g. "add"
+	 * @param {string} [details.path] - The `path` of the failing operation
+	 */
+	constructor(message, { operationIndex, operation, path }) {
+		super(message);
+		this.name = "JsonPatchError";
+		this.operationIndex = operationIndex;
+		this.operation = operation;
+		this.path = path;
+	}
+}
+
+/**
+ * Error thrown when a dot path or a JSON Pointer is malformed.
+ * @class
+ */
+export class InvalidPathError extends SyntaxError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {object} details
+	 * @param {string} details.path - The malformed path
+	 * @param {number} details.position - The offset of the problem in the path
+	 */
+	constructor(message, { path, position }) {
+		super(`${message} at position ${position}`);
+		this.name = "InvalidPathError";
+		this.path = path;
+		this.position = position;
+	}
+}
+
+/**
+ * Error thrown with the `duplicateKeys: "error"` option when a path goes through a key defined several times in
+ * its object, or a value holding such a key is read.
+ * @class
+ */
+export class DuplicateKeyError extends Error {
+	/**
+	 * @param {string} message - The error message, without positions
+	 * @param {object} details
+	 * @param {string} details.key - The duplicated key
+	 * @param {string} details.sourceText - The document
+	 * @param {number[]} details.offsets - The offsets of the occurrences of the key
+	 */
+	constructor(message, { key, sourceText, offsets }) {
+		const locations = offsets.map((offset) => ({ offset, ...getLocation(sourceText, offset) }));
+		super(`${message} at ${locations.map(({ line, column }) => `line ${line}, column ${column}`).join(" and ")}`);
+		this.name = "DuplicateKeyError";
+		this.key = key;
+		this.locations = locations;
+	}
+}
+
+/**
+ * Error thrown when the source text is not valid JSON (or JSONC).
+ * Carries the position of the problem and a code frame pointing at it.
+ * @class
+ */
+export class JsonParseError extends SyntaxError {
+	/**
+	 * @param {string} message - The error message, without position
+	 * @param {object} details
+	 * @param {string} details.sourceText - The text being parsed
+	 * @param {number} details.offset - The offset of the offending character or token
+	 * @param {string} [details.expected] - What the parser expected, e.g. "colon"
+	 * @param {string} [details.found] - What the parser found instead, e.g. "string" or "EOF"
+	 */
+	constructor(message, { sourceText, offset, expected, found }) {
+		const { line, column } = getLocation(sourceText, offset);
+		super(`${message} at line ${line}, column ${column}`);
+		this.name = "JsonParseError";
+		this.offset = offset;
+		this.line = line;
+		this.column = column;
+		this.expected = expected;
+		this.found = found;
+		this.codeFrame = createCodeFrame(sourceText, line, column);
+	}
+}
+
+/**
+ * Converts an offset into a 1-based line and column.
+ * @param {string} sourceText
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+export function getLocation(sourceText, offset) {
+	let line = 1;
+	let lineStart = 0;
+
+	for (let i = 0; i < offset && i < sourceText.length; i++) {
+		if (sourceText[i] === "\n") {
+			line++;
+			lineStart = i + 1;
+		}
+	}
+
+	return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Renders the offending line, with the lines around it, and a caret under the offending column.
+ * @param {string} sourceText
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @returns {string}
+ * @example
+ *   2 |   "a": 1,
+ * > 3 |   "b" 2
+ *     |       ^
+ *   4 | }
+ */
+function createCodeFrame(sourceText, line, column) {
+	const lines = sourceText.split(/\r?\n/);
+	const first = Math.max(1, line - 1);
+	const last = Math.min(lines.length, line + 1);
+	const width = String(last).length;
+	const frame = [];
+
+	for (let n = first; n <= last; n++) {
+		const content = lines[n - 1];
+		frame.push(`${n === line ? ">" : " "} ${String(n).padStart(width)} | ${content}`.trimEnd());
+
+		if (n === line) {
+			// Keep tabs so that the caret lines up with the offending character
+			const padding = content.slice(0, column - 1).replace(/[^\t]/g, " ");
+			frame.push(`  ${" ".repeat(width)} | ${padding}^`);
+		}
+	}
+
+	return frame.join("\n");
+}
@@ -0,0 +1,36 @@
+import { Node } from "./CSTBuilder.js";
+import { FormatOptions } from "./JsonMod.js";
+
+/**
+ * Options of the formatter: the options of JsonMod#format(), and the trailing comma policy of the JsonMod instance
+ */
+type FormatterOptions = FormatOptions & { trailingComma?: "preserve" | "always" | "never" };
+
+/**
+ * Formats a whole document: its root value and the comments around it.
+ * @param sourceText - The document
+ * @param tokens - The tokens of the document
+ * @param root - The root value node returned by CSTBuilder
+ * @param options - Format options
+ */
+export declare function formatDocument(
+	sourceText: string,
+	tokens: Array<{ type: string; start: number; end: number }>,
+	root: Node,
+	options?: FormatterOptions,
+): string;
+
+/**
+ * Formats a value of a document, the first line of the result starting where the value starts and the following
+ * lines indented from the line of the value.
+ * @param sourceText - The document
+ * @param tokens - The tokens of the document
+ * @param node - The value node
+ * @param options - Format options
+ */
+export declare function formatNode(
+	sourceText: string,
+	tokens: Array<{ type: string; start: number; end: number }>,
+	node: Node,
+	options?: FormatterOptions,
+): string;
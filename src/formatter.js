@@ -0,0 +1,291 @@
+/**
+ * Re-printing of a parsed document with a consistent layout, keeping its comments: the engine of JsonMod#format().
+ */
+
+import { getEntries, getLineIndent, detectEol, reindent, dedent } from "./layout.js";
+
+const DEFAULT_MAX_INLINE_WIDTH = 80;
+
+/**
+ * Formats a whole document: its root value and the comments around it.
+ * @param {string} sourceText - The document
+ * @param {Array<{ type: string, start: number, end: number }>} tokens - The tokens of the document
+ * @param {object} root - The root value node returned by CSTBuilder
+ * @param {object} [options] - See JsonMod#format()
+ * @returns {string}
+ */
+export function formatDocument(sourceText, tokens, root, options = {}) {
+	const printer = new Printer(sourceText, tokens, options);
+	const lines = [];
+	let pos = 0;
+
+	for (const comment of printer.commentsBetween(0, root.start)) {
+		printer.pushLine(lines, pos, comment.start, printer.printComment(comment, ""));
+		pos = comment.end;
+	}
+
+	// The line being printed, and the range of the source before it
+	let line = printer.printValue(root, "", 0);
+	let lineRange = [pos, root.start];
+	pos = root.end;
+
+	for (const comment of printer.commentsBetween(root.end, sourceText.length)) {
+		if (sourceText.slice(pos, comment.start).includes("\n")) {
+			printer.pushLine(lines, lineRange[0], lineRange[1], line);
+			line = printer.printComment(comment, "");
+			lineRange = [pos, comment.start];
+		} else {
+			line += " " + printer.printComment(comment, "");
+		}
+		pos = comment.end;
+	}
+	printer.pushLine(lines, lineRange[0], lineRange[1], line);
+
+	return lines.join(printer.eol) + (/\n\s*$/.test(sourceText) ? printer.eol : "");
+}
+
+/**
+ * Formats a value of a document, the first line of the result starting where the value starts and the following
+ * lines indented from the line of the value.
+ * @param {string} sourceText - The document
+ * @param {Array<{ type: string, start: number, end: number }>} tokens - The tokens of the document
+ * @param {object} node - The value node
+ * @param {object} [options] - See JsonMod#format()
+ * @returns {string}
+ */
+export function formatNode(sourceText, tokens, node, options = {}) {
+	const printer = new Printer(sourceText, tokens, options);
+	const indent = getLineIndent(sourceText, node.start);
+	const column = node.start - sourceText.lastIndexOf("\n", node.start - 1) - 1;
+	return printer.printValue(node, indent, column);
+}
+
+/**
+ * Prints the nodes of a document, taking the comments from its token stream.
+ */
+class Printer {
+	/**
+	 * @param {string} sourceText - The document
+	 * @param {Array<{ type: string, start: number, end: number }>} tokens - The tokens of the document
+	 * @param {object} options - See JsonMod#format()
+	 */
+	constructor(sourceText, tokens, options) {
+		this.sourceText = sourceText;
+		this.comments = tokens.filter((token) => token.type === "comment");
+		this.unit = typeof options.indent === "number" ? " ".repeat(options.indent) : options.indent || "  ";
+		this.eol = options.eol || detectEol(sourceText);
+		this.maxInlineWidth = options.maxInlineWidth !== undefined ? options.maxInlineWidth : DEFAULT_MAX_INLINE_WIDTH;
+		this.keepBlankLines = options.keepBlankLines !== false;
+		this.trailingComma = options.trailingComma || "preserve";
+	}
+
+	/**
+	 * Prints a value.
+	 * @param {object} node
+	 * @param {string} indent - The indentation of the line where the value starts
+	 * @param {number} column - The column where the value starts
+	 * @returns {string}
+	 */
+	printValue(node, indent, column) {
+		if (node.type !== "Object" && node.type !== "Array") {
+			return this.sourceText.slice(node.start, node.end);
+		}
+
+		const inline = node.type === "Array" && this.maxInlineWidth > 0 ? this.printInline(node) : null;
+		// The comma following the array counts in the width of its line
+		if (inline !== null && column + inline.length + 1 <= this.maxInlineWidth) {
+			return inline;
+		}
+		return this.printContainer(node, indent);
+	}
+
+	/**
+	 * Prints a value on a single line, when it has no comments and holds no non-empty object.
+	 * @param {object} node
+	 * @returns {string|null} - null when the value cannot be printed on a single line
+	 */
+	printInline(node) {
+		if (this.commentsBetween(node.start, node.end).length > 0) {
+			return null;
+		}
+		if (node.type === "Object") {
+			return node.properties.length === 0 ? "{}" : null;
+		}
+		if (node.type !== "Array") {
+			return this.sourceText.slice(node.start, node.end);
+		}
+
+		const elements = [];
+		for (const element of node.elements) {
+			const text = this.printInline(element);
+			if (text === null) return null;
+			elements.push(text);
+		}
+		return "[" + elements.join(", ") + "]";
+	}
+
+	/**
+	 * Prints an object or an array with one entry per line, with the comments between its entries.
+	 * @param {object} node
+	 * @param {string} indent - The indentation of the line where the container starts
+	 * @returns {string}
+	 */
+	printContainer(node, indent) {
+		const open = this.sourceText[node.start];
+		const close = this.sourceText[node.end - 1];
+		const entries = getEntries(node);
+		const inner = indent + this.unit;
+		const lines = [];
+		let head = open;
+		let pos = node.start + 1;
+
+		entries.forEach((entry, index) => {
+			const leading = new Set(entry.leadingComments.map((comment) => comment.start));
+			let prefix = "";
+			let lineStart = entry.start;
+
+			for (const comment of this.commentsBetween(pos, entry.start)) {
+				const text = this.printComment(comment, inner);
+				const onOpenLine = lines.length === 0 && !this.sourceText.slice(node.start, comment.start).includes("\n");
+				const beforeEntry = leading.has(comment.start) && !this.sourceText.slice(comment.end, entry.start).includes("\n");
+
+				if (onOpenLine && !beforeEntry) {
+					head += " " + text;
+				} else if (beforeEntry && text.startsWith("/*")) {
+					if (!prefix) lineStart = comment.start;
+					prefix += text + " ";
+				} else {
+					this.pushLine(lines, pos, comment.start, inner + text);
+				}
+				pos = comment.end;
+			}
+
+			const isLast = index === entries.length - 1;
+			const comma = !isLast || this.wantsTrailingComma(entry) ? "," : "";
+			const content =
+				node.type === "Object"
+					? this.printProperty(node.properties[index], inner, prefix.length)
+					: this.printValue(node.elements[index], inner, inner.length + prefix.length);
+			let line = inner + prefix + content + comma;
+
+			this.pushLine(lines, pos, lineStart, line);
+			pos = entry.comma ? Math.max(entry.end, entry.comma.end) : entry.end;
+
+			// Comments between the value and its comma can be on the next lines
+			for (const comment of entry.trailingComments) {
+				const text = this.printComment(comment, inner);
+				if (this.sourceText.slice(entry.end, comment.start).includes("\n")) {
+					this.pushLine(lines, pos, comment.start, inner + text);
+				} else {
+					lines[lines.length - 1] += " " + text;
+				}
+				pos = Math.max(pos, comment.end);
+			}
+		});
+
+		// Comments after the last entry, or in an empty container
+		for (const comment of this.commentsBetween(pos, node.end - 1)) {
+			this.pushLine(lines, pos, comment.start, inner + this.printComment(comment, inner));
+			pos = comment.end;
+		}
+
+		if (lines.length === 0) {
+			return open + close;
+		}
+		return head + this.eol + lines.join(this.eol) + this.eol + indent + close;
+	}
+
+	/**
+	 * Prints an object property: its key, the comments around its colon and its value.
+	 * @param {object} property - The CSTBuilder property
+	 * @param {string} indent - The indentation of the line where the property starts
+	 * @param {number} offset - The length of the text before the key on its line
+	 * @returns {string}
+	 */
+	printProperty(property, indent, offset) {
+		let text = this.sourceText.slice(property.key.start, property.key.end) + ":";
+		let wrapped = false;
+
+		for (const comment of this.commentsBetween(property.key.end, property.value.start)) {
+			text += (wrapped ? "" : " ") + this.printComment(comment, indent);
+			// A line comment ends the line, the value goes on the next one
+			wrapped = this.sourceText.startsWith("//", comment.start);
+			if (wrapped) text += this.eol + indent + this.unit;
+		}
+		if (!wrapped) {
+			return text + " " + this.printValue(property.value, indent, indent.length + offset + text.length + 1);
+		}
+
+		const valueIndent = indent + this.unit;
+		return text + this.printValue(property.value, valueIndent, valueIndent.length);
+	}
+
+	/**
+	 * Whether the last entry of a container printed on several lines is followed by a comma
+	 * @param {{ comma: object | null }} entry - The last entry
+	 * @returns {boolean}
+	 */
+	wantsTrailingComma(entry) {
+		return this.trailingComma === "preserve" ? entry.comma !== null : this.trailingComma === "always";
+	}
+
+	/**
+	 * Prints a comment, re-indenting the continuation lines of a block comment.
+	 * @param {{ start: number, end: number }} comment
+	 * @param {string} indent - The indentation of the line where the comment starts
+	 * @returns {string}
+	 */
+	printComment(comment, indent) {
+		const raw = this.sourceText.slice(comment.start, comment.end);
+		return reindent(dedent(raw, getLineIndent(this.sourceText, comment.start)), indent, this.eol);
+	}
+
+	/**
+	 * Adds a line, preceded by a blank line when the source has one before the printed item.
+	 * @param {string[]} lines
+	 * @param {number} from - The end of the previous item in the source
+	 * @param {number} to - The start of the item in the source
+	 * @param {string} line
+	 */
+	pushLine(lines, from, to, line) {
+		if (this.keepBlankLines && lines.length > 0 && this.hasBlankLine(from, to)) {
+			lines.push("");
+		}
+		lines.push(line);
+	}
+
+	/**
+	 * Whether the source has an empty line in a range
+	 * @param {number} start
+	 * @param {number} end
+	 * @returns {boolean}
+	 */
+	hasBlankLine(start, end) {
+		return /\n[ \t]*\r?\n/.test(this.sourceText.slice(start, end));
+	}
+
+	/**
+	 * Lists the comments in a range of the source.
+	 * @param {number} start
+	 * @param {number} end
+	 * @returns {Array<{ start: number, end: number }>}
+	 */
+	commentsBetween(start, end) {
+		let low = 0;
+		let high = this.comments.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (this.comments[mid].start < start) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+
+		const comments = [];
+		for (let i = low; i < this.comments.length && this.comments[i].end <= end; i++) {
+			comments.push(this.comments[i]);
+		}
+		return comments;
+	}
+}
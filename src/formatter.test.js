@@ -0,0 +1,128 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { format, jsonmod } from "./JsonMod.js";
+import { JsonModError } from "./errors.js";
+
+describe("format", () => {
+	test("should re-indent a document one entry per line", () => {
+		const source = '{"a":1,\n      "b" :  {"c":null, "d" : "x"}}';
+
+		assert.equal(format(source), '{\n  "a": 1,\n  "b": {\n    "c": null,\n    "d": "x"\n  }\n}');
+		assert.equal(format(source, { indent: "\t" }), '{\n\t"a": 1,\n\t"b": {\n\t\t"c": null,\n\t\t"d": "x"\n\t}\n}');
+		assert.equal(format('{"a": 1}', { indent: 4, eol: "\r\n" }), '{\r\n    "a": 1\r\n}');
+	});
+
+	test("should keep comments in place relative to their entries", () => {
+		const source = `// header
+{ // about
+      "a":1, // trail a
+        // lead b
+  "b": /* inline */ 2,
+/* before */ "c": 3
+    // dangling
+}
+`;
+
+		assert.equal(
+			format(source),
+			`// header
+{ // about
+  "a": 1, // trail a
+  // lead b
+  "b": /* inline */ 2,
+  /* before */ "c": 3
+  // dangling
+}
+`,
+		);
+	});
+
+	test("should re-indent multi-line block comments", () => {
+		const source = '{\n        /*\n         * note\n         */\n        "a": 1\n}';
+
+		assert.equal(format(source), '{\n  /*\n   * note\n   */\n  "a": 1\n}');
+	});
+
+	test("should print arrays on a single line when they fit", () => {
+		const source = '{"short": [\n  1,\n  2\n], "nested": [[1, 2], []], "objects": [{"a": 1}], "commented": [1 /* one */]}';
+
+		assert.equal(
+			format(source),
+			`{
+  "short": [1, 2],
+  "nested": [[1, 2], []],
+  "objects": [
+    {
+      "a": 1
+    }
+  ],
+  "commented": [
+    1 /* one */
+  ]
+}`,
+		);
+		assert.equal(format('{"long": [1, 2, 3]}', { maxInlineWidth: 16 }), '{\n  "long": [\n    1,\n    2,\n    3\n  ]\n}');
+		assert.equal(format('{"long": [1, 2, 3]}', { maxInlineWidth: 20 }), '{\n  "long": [1, 2, 3]\n}');
+		assert.equal(format("[1]", { maxInlineWidth: 0 }), "[\n  1\n]");
+	});
+
+	test("should keep one blank line between entries, unless keepBlankLines is false", () => {
+		const source = '{\n\n  "a": 1,\n\n\n  // b\n  "b": 2\n\n}';
+
+		assert.equal(format(source), '{\n  "a": 1,\n\n  // b\n  "b": 2\n}');
+		assert.equal(format(source, { keepBlankLines: false }), '{\n  "a": 1,\n  // b\n  "b": 2\n}');
+	});
+
+	test("should keep the source text of values and the trailing commas", () => {
+		const source = "{a: 'x', \"b\": 0x1F, c: [1, 2,], d: {e: Infinity,},}";
+
+		assert.equal(format(source, { json5: true }), "{\n  a: 'x',\n  \"b\": 0x1F,\n  c: [1, 2],\n  d: {\n    e: Infinity,\n  },\n}");
+	});
+
+	test("should be idempotent", () => {
+		const source = '// a\n{"a": [1, {"b": [2]}], // c\n"d": {}, "e": [\n// f\n]}\n';
+		const formatted = format(source);
+
+		assert.equal(format(formatted), formatted);
+	});
+
+	test("should format only the value at path", () => {
+		const source = '{"a": {"b":1,"c":[1,\n2]}, "keep":   {"x":1}}';
+
+		assert.equal(format(source, { path: "a" }), '{"a": {\n  "b": 1,\n  "c": [1, 2]\n}, "keep":   {"x":1}}');
+		assert.throws(() => format(source, { path: "missing" }), JsonModError);
+	});
+
+	test("should reject invalid indent options", () => {
+		assert.throws(() => format("{}", { indent: "x" }), /Invalid indent option/);
+		assert.throws(() => format("{}", { indent: -1 }), /Invalid indent option/);
+	});
+
+	test("should reject content after the root value instead of dropping it", () => {
+		assert.throws(() => format('{"a":1} [2]'), {
+			name: "JsonParseError",
+			message: "Unexpected token after end of value: bracketL at line 1, column 9",
+		});
+		assert.throws(() => format("[1 2]"), { name: "JsonParseError", expected: "comma" });
+		assert.equal(format('{"a":1} // end\n'), '{\n  "a": 1\n} // end\n');
+	});
+});
+
+describe("JsonMod#format", () => {
+	test("should format after the previous operations", () => {
+		const result = jsonmod('{"a": 1}').set("b", '{"c":[1,2]}').format().apply();
+
+		assert.equal(result, '{\n  "a": 1,\n  "b": {\n    "c": [1, 2]\n  }\n}');
+	});
+
+	test("should follow the trailing comma option", () => {
+		assert.equal(jsonmod('{"a": {"b": 1}}', { trailingComma: "always" }).format().apply(), '{\n  "a": {\n    "b": 1,\n  },\n}');
+	});
+
+	test("should skip a path that does not resolve", () => {
+		const { text, skipped } = jsonmod('{"a": 1}').format({ path: "b" }).applyWithReport();
+
+		assert.equal(text, '{"a": 1}');
+		assert.equal(skipped[0].message, 'Cannot format "b": property "b" not found in Object');
+	});
+});
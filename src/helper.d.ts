@@ -2,15 +2,31 @@ import { Node } from "./CSTBuilder.js";
 
 /**
  * Parse a path string into an array of keys and indices.
+ * Paths starting with "/" are JSON Pointers. In dot paths, keys may hold any character but `.`, `[` and `]`,
+ * which are escaped with a backslash (`a\.b`); brackets hold an index (negative from the end), a quoted key
+ * (`["@types/node"]`) or `*`. `*` and `[*]` give a WILDCARD segment (any key or index) and `**` a DEEP_WILDCARD
+ * segment (any depth), while quoted (`["*"]`) and escaped (`\*`) segments are keys named "*".
  * @param path
- * @returns An array of strings and numbers representing the path.
+ * @returns An array of strings, numbers and wildcard markers representing the path.
+ * @throws {InvalidPathError} When the path is malformed.
  * @example
  * ```js
  * const pathArray = parsePath('a.b[0].c');
  * console.log(pathArray); // ['a', 'b', 0, 'c']
+ * parsePath('dependencies["@types/node"]'); // ['dependencies', '@types/node']
  * ```
  */
-export declare function parsePath(path: string): Array<string | number>;
+export declare function parsePath(path: string): Array<string | number | typeof WILDCARD | typeof DEEP_WILDCARD>;
+
+/**
+ * The dot path segment matching any key or index: `*` or `[*]`.
+ */
+export declare const WILDCARD: unique symbol;
+
+/**
+ * The dot path segment matching any depth: `**`.
+ */
+export declare const DEEP_WILDCARD: unique symbol;
 
 /**
  * Extract the string value from a CST node.
@@ -18,3 +34,50 @@ export declare function parsePath(path: string): Array<string | number>;
  * @param sourceText - The original source text.
  */
 export declare function extractString(node: Node, sourceText: string): string;
+
+/**
+ * Decode a CST node into a JavaScript value.
+ * Duplicate keys resolve like path resolution: to their first occurrence by default, to their last one (as with
+ * `JSON.parse`) with "last" and "all", and "error" throws a DuplicateKeyError.
+ * @param node - The CST node to decode.
+ * @param sourceText - The original source text.
+ * @param duplicateKeys - Which occurrence of a duplicate key is used. Defaults to "first".
+ */
+export declare function decodeValue(node: Node, sourceText: string, duplicateKeys?: "first" | "last" | "all" | "error"): any;
+
+/**
+ * Compare two JSON values: objects regardless of key order, arrays item by item.
+ */
+export declare function deepEqual(a: any, b: any): boolean;
+
+/**
+ * Split a JSON Pointer into its unescaped reference tokens, keeping numeric tokens as strings.
+ * @param pointer - The JSON Pointer, e.g. "/a~1b/0"
+ * @throws {Error} When the pointer is not empty and does not start with "/"
+ * @example
+ * ```js
+ * splitJSONPointer("/a~1b/0"); // ["a/b", "0"]
+ * ```
+ */
+export declare function splitJSONPointer(pointer: string): string[];
+
+/**
+ * Format a path as a JSON Pointer, escaping "~" and "/".
+ * @example
+ * ```js
+ * formatJSONPointer(["a/b", 0]); // "/a~1b/0"
+ * ```
+ */
+export declare function formatJSONPointer(parts: Array<string | number>): string;
+
+/**
+ * Encode a string as a JSON string literal, quotes included: the inverse of `extractString`.
+ * Quotes, backslashes, control characters and lone surrogates are escaped.
+ * @param value - The string to encode.
+ * @param quote - The quote character, `'` for a JSON5 single-quoted string. Defaults to `"`.
+ * @example
+ * ```js
+ * encodeString('say "hi"\n'); // '"say \\"hi\\"\\n"'
+ * ```
+ */
+export declare function encodeString(value: string, quote?: string): string;
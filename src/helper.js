@@ -1,6 +1,19 @@
+import { InvalidPathError, DuplicateKeyError } from "./errors.js";
+
 function unescapeString(str) {
-	return str.replace(/\\(.)/g, (_, ch) => {
+	return str.replace(/\\(\r\n|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, ch) => {
+		// \uXXXX（代理对由两个连续的转义组成）以及 JSON5 中的 \xHH
+		if (ch.length > 1 && (ch[0] === "u" || ch[0] === "x")) {
+			return String.fromCharCode(parseInt(ch.slice(1), 16));
+		}
 		switch (ch) {
+			// JSON5 多行字符串：反斜杠加换行表示续行，不产生任何字符
+			case "\n":
+			case "\r":
+			case "\r\n":
+			case "\u2028":
+			case "\u2029":
+				return "";
 			case '"':
 				return '"';
 			case "\\":
@@ -17,23 +30,135 @@ function unescapeString(str) {
 				return "\r";
 			case "t":
 				return "\t";
+			// JSON5 额外支持的转义
+			case "v":
+				return "\v";
+			case "0":
+				return "\0";
 			default:
-				return ch; // \uXXXX 可后续增强
+				return ch;
 		}
 	});
 }
 
 export function extractString(stringNode, sourceText) {
 	// sourceText 是完整 JSON 文本
-	// stringNode.start / end 覆盖包含引号
+	// JSON5 中不带引号的键（Identifier）没有引号包裹
+	if (stringNode.type === "Identifier") {
+		return unescapeString(sourceText.slice(stringNode.start, stringNode.end));
+	}
+	// stringNode.start / end 覆盖包含引号（双引号，JSON5 中也可以是单引号）
 	const raw = sourceText.slice(stringNode.start + 1, stringNode.end - 1);
 	return unescapeString(raw);
 }
 
 /**
+ * 把 CST 节点解码为 JavaScript 值
+ *
+ * 对象中重复的键按 duplicateKeys 选择，与路径解析（resolvePath）一致：默认以第一次出现的为准，
+ * "last" 和 "all" 以最后一次出现的为准（与 JSON.parse 相同），"error" 则抛出错误。
+ *
+ * @param {object} node - CST 节点
+ * @param {string} sourceText - 完整 JSON 文本
+ * @param {"first"|"last"|"all"|"error"} [duplicateKeys="first"] - 重复的键以哪一次出现为准
+ * @returns {any} 解码后的值
+ * @throws {DuplicateKeyError} duplicateKeys 为 "error" 且值中有重复的键
+ */
+export function decodeValue(node, sourceText, duplicateKeys = "first") {
+	switch (node.type) {
+		case "Object": {
+			if (duplicateKeys === "error" && node.duplicateKeys.length > 0) {
+				const { key, indices } = node.duplicateKeys[0];
+				const offsets = indices.map((index) => node.properties[index].key.start);
+				throw new DuplicateKeyError(`Duplicate key ${JSON.stringify(key)}`, { key, sourceText, offsets });
+			}
+
+			const result = {};
+			for (const prop of node.properties) {
+				const key = extractString(prop.key, sourceText);
+				if (duplicateKeys !== "first" || !Object.prototype.hasOwnProperty.call(result, key)) {
+					// 使用 defineProperty，避免 "__proto__" 这样的键修改原型；再次定义时键保持原来的位置
+					Object.defineProperty(result, key, {
+						value: decodeValue(prop.value, sourceText, duplicateKeys),
+						enumerable: true,
+						writable: true,
+						configurable: true,
+					});
+				}
+			}
+			return result;
+		}
+		case "Array":
+			return node.elements.map((element) => decodeValue(element, sourceText, duplicateKeys));
+		case "String":
+			return extractString(node, sourceText);
+		case "Number":
+			return decodeNumber(sourceText.slice(node.start, node.end));
+		case "Boolean":
+			return sourceText.slice(node.start, node.end) === "true";
+		default:
+			return null;
+	}
+}
+
+/**
+ * 比较两个 JSON 值是否相等：对象不考虑键的顺序，数组逐项比较
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+	if (a === b) return true;
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+	}
+	if (a && b && typeof a === "object" && typeof b === "object" && !Array.isArray(a) && !Array.isArray(b)) {
+		const keys = Object.keys(a);
+		return (
+			keys.length === Object.keys(b).length &&
+			keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]))
+		);
+	}
+	return false;
+}
+
+/**
+ * 解码数字，支持 JSON5 中的十六进制、+ 号、.5 / 5.、Infinity 和 NaN
+ * @param {string} raw - 数字的原始文本
+ * @returns {number}
+ */
+function decodeNumber(raw) {
+	// Number() 不接受带符号的十六进制（如 -0x1F），先去掉符号
+	if (raw[0] === "-" || raw[0] === "+") {
+		const value = Number(raw.slice(1));
+		return raw[0] === "-" ? -value : value;
+	}
+	return Number(raw);
+}
+
+/**
+ * 点路径中通配符段的标记：不加引号、不转义的 * 和 [*] 匹配任意键或下标，** 匹配任意层级。
+ * 用 Symbol 而不是字符串，这样 ["*"] 和 \* 仍然表示名为 "*" 的键。
+ */
+export const WILDCARD = Symbol("*");
+export const DEEP_WILDCARD = Symbol("**");
+
+/**
+ * 把路径字符串解析为键和下标组成的数组
+ *
+ * 以 "/" 开头的是 JSON Pointer，否则是点路径：
+ * - 键之间用 "." 分隔，键中可以有 "-"、"@"、"/" 和任意 Unicode 字符，"\" 转义下一个字符（如 "a\.b"）
+ * - 方括号中是下标（负数从末尾数起，[-1] 是最后一个元素）、加引号的键（["@types/node"]、['a.b']）
+ *   或通配符 [*]
+ * - * 和 [*] 匹配任意键或下标（WILDCARD），** 匹配任意层级（DEEP_WILDCARD）；
+ *   ["*"]、['**'] 和 \* 是名为 "*"、"**" 的键
  *
  * @param {string} path
- * @returns
+ * @returns {Array<string|number|symbol>}
+ * @throws {InvalidPathError} 路径格式不正确
+ * @example
+ * parsePath('dependencies["@types/node"].version') // ["dependencies", "@types/node", "version"]
+ * parsePath("items[-1]") // ["items", -1]
  */
 export function parsePath(path) {
 	if (path.startsWith("/")) {
@@ -43,63 +168,164 @@ export function parsePath(path) {
 }
 
 /**
- *
+ * 解析点路径
  * @param {string} path
- * @returns
+ * @returns {Array<string|number|symbol>}
  */
 function parseDotPath(path) {
 	const result = [];
+	const error = (reason, position) => new InvalidPathError(`Invalid path ${JSON.stringify(path)}: ${reason}`, { path, position });
 	let i = 0;
 
 	while (i < path.length) {
-		const ch = path[i];
-
-		// skip dot
-		if (ch === ".") {
-			i++;
-			continue;
-		}
-
-		// array index: [123]
-		if (ch === "[") {
-			i++;
-			let num = "";
-			while (i < path.length && path[i] !== "]") {
-				num += path[i++];
+		// 方括号：下标、加引号的键或 [*]
+		if (path[i] === "[") {
+			const match = /^\[(?:(-?\d+)|(\*)|(["'])((?:\\[\s\S]|(?!\3)[^\\])*)\3)\]/.exec(path.slice(i));
+			if (!match) {
+				const quoted = path[i + 1] === '"' || path[i + 1] === "'";
+				throw error(quoted ? "unterminated quoted key" : "expected an index, a quoted key or * between brackets", i + 1);
+			}
+			if (match[1] !== undefined) {
+				result.push(Number(match[1]));
+			} else {
+				result.push(match[2] ? WILDCARD : unescapePathKey(match[4], () => error("invalid escape", i)));
+			}
+			i += match[0].length;
+		} else {
+			// 键：直到下一个 "." 或 "["；单独的 * 和 ** 是通配符，除非其中有转义
+			const start = i;
+			let name = "";
+			let escaped = false;
+			while (i < path.length && path[i] !== "." && path[i] !== "[") {
+				if (path[i] === "]") {
+					throw error('unexpected "]"', i);
+				}
+				if (path[i] === "\\") {
+					if (i + 1 === path.length) throw error("unterminated escape", i);
+					escaped = true;
+					i++;
+				}
+				name += path[i++];
+			}
+			if (i === start) {
+				throw error("expected a property name", i);
+			}
+			if (!escaped && name === "*") {
+				result.push(WILDCARD);
+			} else if (!escaped && name === "**") {
+				result.push(DEEP_WILDCARD);
+			} else {
+				result.push(name);
 			}
-			i++; // skip ]
-			result.push(Number(num));
-			continue;
 		}
 
-		// identifier
-		let name = "";
-		while (i < path.length && /[a-zA-Z0-9_$]/.test(path[i])) {
-			name += path[i++];
+		if (i < path.length && path[i] !== "." && path[i] !== "[") {
+			throw error('expected "." or "["', i);
+		}
+		if (path[i] === ".") {
+			i++;
+			if (i === path.length) throw error("expected a property name", i);
 		}
-		result.push(name);
 	}
 
 	return result;
 }
 
+/**
+ * 解码路径中加引号的键：支持 JSON 字符串的转义，其他字符前的反斜杠表示字符本身（如 \'）
+ * @param {string} raw - 引号之间的文本
+ * @param {() => Error} invalid - 创建 \u 转义不完整时抛出的错误
+ * @returns {string}
+ */
+function unescapePathKey(raw, invalid) {
+	const escapes = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+	return raw.replace(/\\(u[0-9a-fA-F]{4}|u|[\s\S])/g, (_, ch) => {
+		if (ch === "u") throw invalid();
+		if (ch.length > 1) return String.fromCharCode(parseInt(ch.slice(1), 16));
+		return escapes[ch] || ch;
+	});
+}
+
 /**
  *
  * @param {string} pointer
  * @returns
  */
 function parseJSONPointer(pointer) {
+	return splitJSONPointer(pointer).map((seg) => {
+		return /^\d+$/.test(seg) ? Number(seg) : seg;
+	});
+}
+
+/**
+ * 将 JSON Pointer 拆分为未转义的引用标记（reference token），数字标记保持字符串形式
+ * @param {string} pointer
+ * @returns {string[]}
+ * @throws {InvalidPathError} 不以 "/" 开头，或 "~" 后面不是 0 或 1
+ * @example
+ * splitJSONPointer("/a~1b/0") // ["a/b", "0"]
+ */
+export function splitJSONPointer(pointer) {
 	if (pointer === "") return [];
 
 	if (pointer[0] !== "/") {
-		throw new Error("Invalid JSON Pointer");
+		throw new InvalidPathError(`Invalid JSON Pointer ${JSON.stringify(pointer)}: expected "/"`, { path: pointer, position: 0 });
+	}
+	const tilde = pointer.search(/~(?![01])/);
+	if (tilde !== -1) {
+		throw new InvalidPathError(`Invalid JSON Pointer ${JSON.stringify(pointer)}: "~" must be followed by 0 or 1`, {
+			path: pointer,
+			position: tilde,
+		});
 	}
 
 	return pointer
 		.slice(1)
 		.split("/")
-		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
-		.map((seg) => {
-			return /^\d+$/.test(seg) ? Number(seg) : seg;
-		});
+		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * 将路径转换为 JSON Pointer，转义其中的 "~" 和 "/"
+ * @param {Array<string|number>} parts
+ * @returns {string}
+ * @example
+ * formatJSONPointer(["a/b", 0]) // "/a~1b/0"
+ */
+export function formatJSONPointer(parts) {
+	return parts.map((part) => "/" + String(part).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+/**
+ * 把字符串编码为 JSON 字符串字面量（含引号），是 extractString 的逆操作
+ *
+ * 转义引号、反斜杠和控制字符，孤立的代理项写成 \uXXXX，其余字符原样保留。
+ * quote 为 "'" 时生成 JSON5 的单引号字符串。
+ *
+ * @param {string} value
+ * @param {string} [quote='"'] - 引号
+ * @returns {string}
+ * @example
+ * encodeString('say "hi"\n') // '"say \\"hi\\"\\n"'
+ */
+export function encodeString(value, quote = '"') {
+	const escaped = value.replace(/[\\\u0000-\u001f]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, (ch) => {
+		switch (ch) {
+			case "\\":
+				return "\\\\";
+			case "\b":
+				return "\\b";
+			case "\f":
+				return "\\f";
+			case "\n":
+				return "\\n";
+			case "\r":
+				return "\\r";
+			case "\t":
+				return "\\t";
+			default:
+				return "\\u" + ch.charCodeAt(0).toString(16).padStart(4, "0");
+		}
+	});
+	return quote + escaped.split(quote).join("\\" + quote) + quote;
 }
@@ -1,5 +1,14 @@
 import { describe, test } from "node:test";
-import { parsePath, extractString } from "./helper.js";
+import {
+	parsePath,
+	extractString,
+	decodeValue,
+	splitJSONPointer,
+	formatJSONPointer,
+	encodeString,
+	WILDCARD,
+	DEEP_WILDCARD,
+} from "./helper.js";
 import { Tokenizer } from "./Tokenizer.js";
 import { CSTBuilder } from "./CSTBuilder.js";
 import { resolvePath } from "./PathResolver.js";
@@ -29,6 +38,49 @@ describe("parsePath", () => {
 		const result4 = parsePath(path4);
 		console.assert(JSON.stringify(result4) === JSON.stringify(["a", "b", 0, "c"]), `Failed on path: ${path4}`);
 	});
+
+	test("should format JSON Pointers", () => {
+		assert.strictEqual(formatJSONPointer(["a/b", "c~d", 0]), "/a~1b/c~0d/0");
+		assert.deepStrictEqual(splitJSONPointer(formatJSONPointer(["a/b", "c~1", ""])), ["a/b", "c~1", ""]);
+		assert.strictEqual(formatJSONPointer([]), "");
+	});
+
+	test("should parse wildcard segments", () => {
+		assert.deepStrictEqual(parsePath("deps.*"), ["deps", WILDCARD]);
+		assert.deepStrictEqual(parsePath("items[*].id"), ["items", WILDCARD, "id"]);
+		assert.deepStrictEqual(parsePath("**.version"), [DEEP_WILDCARD, "version"]);
+		assert.deepStrictEqual(parsePath('["*"].a\\*.\\**[\'**\']'), ["*", "a*", "**", "**"]);
+		assert.deepStrictEqual(parsePath("\\*"), ["*"]);
+	});
+
+	test("should parse quoted keys, escapes, unicode keys and negative indices", () => {
+		assert.deepStrictEqual(parsePath('dependencies["@types/node"].version'), ["dependencies", "@types/node", "version"]);
+		assert.deepStrictEqual(parsePath("settings['editor.fontSize']"), ["settings", "editor.fontSize"]);
+		assert.deepStrictEqual(parsePath("a['it\\'s'][\"\\u00e9\\\"\"]"), ["a", "it's", 'é"']);
+		assert.deepStrictEqual(parsePath("eslint-plugin-foo.a\\.b\\[0\\]"), ["eslint-plugin-foo", "a.b[0]"]);
+		assert.deepStrictEqual(parsePath("café.日本"), ["café", "日本"]);
+		assert.deepStrictEqual(parsePath("items[-1][0]"), ["items", -1, 0]);
+		assert.deepStrictEqual(parsePath("[0].a*b"), [0, "a*b"]);
+		assert.deepStrictEqual(parsePath(""), []);
+	});
+
+	test("should throw InvalidPathError on malformed paths", () => {
+		const cases = [
+			["a..b", 2],
+			["a.", 2],
+			[".a", 0],
+			["a[x]", 2],
+			["a[0]b", 4],
+			["a]b", 1],
+			["a\\", 1],
+			['a["b]', 2],
+			["/a~2", 2],
+		];
+		for (const [path, position] of cases) {
+			assert.throws(() => parsePath(path), { name: "InvalidPathError", path, position }, path);
+		}
+		assert.throws(() => parsePath('a["b]'), { message: 'Invalid path "a[\\"b]": unterminated quoted key at position 2' });
+	});
 });
 
 describe("extractString", () => {
@@ -57,3 +109,66 @@ describe("extractString", () => {
 		assert.strictEqual(result, "sample");
 	});
 });
+
+describe("extractString with json5", () => {
+	test("should extract single-quoted strings, identifier keys and line continuations", () => {
+		const sourceText = "{name: 'it\\'s', multi: 'a\\\nb'}";
+		const root = new CSTBuilder(new Tokenizer(sourceText, { json5: true }).tokenize(), sourceText).build();
+
+		assert.strictEqual(extractString(root.properties[0].key, sourceText), "name");
+		assert.strictEqual(extractString(root.properties[0].value, sourceText), "it's");
+		assert.strictEqual(extractString(root.properties[1].value, sourceText), "ab");
+	});
+});
+
+describe("encodeString", () => {
+	test("should escape quotes, backslashes, control characters and lone surrogates", () => {
+		assert.strictEqual(encodeString('say "hi"\\'), '"say \\"hi\\"\\\\"');
+		assert.strictEqual(encodeString("\b\f\n\r\t\u0001"), '"\\b\\f\\n\\r\\t\\u0001"');
+		assert.strictEqual(encodeString("café \ud83d\ude00 \ud83d"), '"café \ud83d\ude00 \\ud83d"');
+		assert.strictEqual(encodeString("it's \"ok\"", "'"), "'it\\'s \"ok\"'");
+	});
+
+	test("should round-trip through extractString", () => {
+		for (const value of ['a"b\\c', "line\nbreak\u007f", "\u2028\u0000", "\udc00x"]) {
+			const sourceText = `{${encodeString(value)}: 1}`;
+			const root = new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build();
+
+			assert.strictEqual(extractString(root.properties[0].key, sourceText), value);
+		}
+	});
+});
+
+
+describe("decodeValue", () => {
+	test("should decode strings with unicode escapes and surrogate pairs", () => {
+		const sourceText = '["caf\\u00e9", "\\ud83d\\ude00", "a\\"b\\\\c\\/\\n"]';
+		const root = new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build();
+
+		assert.deepStrictEqual(decodeValue(root, sourceText), JSON.parse(sourceText));
+	});
+
+	test("should decode nested values like JSON.parse", () => {
+		const value = { a: [1, -2.5e3, 0, true, false, null], b: { c: "d", e: {} }, f: [] };
+		const sourceText = JSON.stringify(value, null, 2);
+		const root = new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build();
+
+		assert.deepStrictEqual(decodeValue(root, sourceText), value);
+	});
+
+	test("should decode json5 numbers and escapes", () => {
+		const sourceText = "{hex: -0x1F, plus: +.5, inf: -Infinity, str: '\\x41\\v\\0'}";
+		const root = new CSTBuilder(new Tokenizer(sourceText, { json5: true }).tokenize(), sourceText).build();
+
+		assert.deepStrictEqual(decodeValue(root, sourceText), { hex: -31, plus: 0.5, inf: -Infinity, str: "A\v\0" });
+	});
+
+	test("should keep the first occurrence of duplicate keys and not touch the prototype", () => {
+		const sourceText = '{"a": 1, "a": 2, "__proto__": {"polluted": true}}';
+		const result = decodeValue(new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build(), sourceText);
+
+		assert.strictEqual(result.a, 1);
+		assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+		assert.deepStrictEqual(Object.keys(result), ["a", "__proto__"]);
+	});
+});
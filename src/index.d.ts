@@ -1,10 +1,122 @@
 import { formatValue } from "./value-helpers.js";
-import { jsonmod, JsonMod } from "./JsonMod.js";
+import {
+	jsonmod,
+	visit,
+	applyJsonPatch,
+	format,
+	JsonMod,
+	JsonModOptions,
+	ApplyOptions,
+	ApplyReport,
+	DeleteOptions,
+	SetCommentOptions,
+	RemoveCommentOptions,
+	EntryComment,
+	QueryMatch,
+	ReplaceCallback,
+	JsonType,
+	VisitContext,
+	JsonPatchOperation,
+	MergeOptions,
+	SortKeysOptions,
+	FormatOptions,
+} from "./JsonMod.js";
+import { walk, WalkContext, Visitor } from "./walk.js";
+import { diff, diffToJsonMod, DiffOptions } from "./diff.js";
+import { toStrictJson, minify, ToStrictJsonOptions, MinifyOptions } from "./jsonc.js";
+import { findDuplicateKeys, DuplicateKey, FindDuplicateKeysOptions } from "./duplicates.js";
+import {
+	JsonModError,
+	JsonParseError,
+	JsonPatchError,
+	InvalidPathError,
+	DuplicateKeyError,
+	SkippedOperation,
+	SourceLocation,
+} from "./errors.js";
+import {
+	parse,
+	print,
+	ParseOptions,
+	CSTNode,
+	DocumentNode,
+	ValueNode,
+	ParentNode,
+	ChildNode,
+	ObjectNode,
+	ArrayNode,
+	PropertyNode,
+	StringNode,
+	NumberNode,
+	BooleanNode,
+	NullNode,
+	IdentifierNode,
+	CommentNode,
+	WhitespaceNode,
+	PunctuatorNode,
+} from "./cst.js";
 
 export {
 	formatValue,
 	jsonmod,
 	JsonMod,
+	JsonModOptions,
+	ApplyOptions,
+	ApplyReport,
+	DeleteOptions,
+	SetCommentOptions,
+	RemoveCommentOptions,
+	EntryComment,
+	QueryMatch,
+	ReplaceCallback,
+	JsonType,
+	JsonModError,
+	JsonParseError,
+	JsonPatchError,
+	InvalidPathError,
+	DuplicateKeyError,
+	SkippedOperation,
+	SourceLocation,
+	parse,
+	print,
+	ParseOptions,
+	CSTNode,
+	DocumentNode,
+	ValueNode,
+	ParentNode,
+	ChildNode,
+	ObjectNode,
+	ArrayNode,
+	PropertyNode,
+	StringNode,
+	NumberNode,
+	BooleanNode,
+	NullNode,
+	IdentifierNode,
+	CommentNode,
+	WhitespaceNode,
+	PunctuatorNode,
+	walk,
+	visit,
+	WalkContext,
+	Visitor,
+	VisitContext,
+	applyJsonPatch,
+	JsonPatchOperation,
+	MergeOptions,
+	SortKeysOptions,
+	format,
+	FormatOptions,
+	diff,
+	diffToJsonMod,
+	DiffOptions,
+	toStrictJson,
+	minify,
+	ToStrictJsonOptions,
+	MinifyOptions,
+	findDuplicateKeys,
+	DuplicateKey,
+	FindDuplicateKeysOptions,
 };
 
 // New chainable API is the default export
@@ -1,9 +1,35 @@
 import { formatValue } from "./value-helpers.js";
-import { jsonmod, JsonMod } from "./JsonMod.js";
+import { jsonmod, JsonMod, visit, applyJsonPatch, format } from "./JsonMod.js";
+import { JsonModError, JsonParseError, JsonPatchError, InvalidPathError, DuplicateKeyError } from "./errors.js";
+import { parse, print } from "./cst.js";
+import { walk } from "./walk.js";
+import { diff, diffToJsonMod } from "./diff.js";
+import { toStrictJson, minify } from "./jsonc.js";
+import { findDuplicateKeys } from "./duplicates.js";
 
 // Export new chainable API as default
 export default jsonmod;
 
 // Export new API and helper
-export { jsonmod, JsonMod, formatValue };
+export {
+	jsonmod,
+	JsonMod,
+	formatValue,
+	JsonModError,
+	JsonParseError,
+	JsonPatchError,
+	InvalidPathError,
+	DuplicateKeyError,
+	parse,
+	print,
+	walk,
+	visit,
+	applyJsonPatch,
+	format,
+	diff,
+	diffToJsonMod,
+	toStrictJson,
+	minify,
+	findDuplicateKeys,
+};
 
@@ -0,0 +1,47 @@
+export interface ToStrictJsonOptions {
+	/**
+	 * Keep each line at its line number: emptied lines stay as empty lines, and multi-line block comments are
+	 * replaced by their line breaks
+	 * @default false
+	 */
+	preserveLines?: boolean;
+}
+
+export interface MinifyOptions {
+	/**
+	 * Keep the comments, line comments then ending with a line break
+	 * @default false
+	 */
+	keepComments?: boolean;
+
+	/**
+	 * Parse the document as JSON5
+	 * @default false
+	 */
+	json5?: boolean;
+}
+
+/**
+ * Converts a JSONC document to strict JSON: comments and trailing commas are removed, everything else keeps
+ * its formatting. The lines left empty by the removed comments are dropped, and the whitespace left at the end
+ * of lines is trimmed.
+ * @param text - The JSONC document
+ * @param options - Conversion options
+ * @returns The strict JSON document
+ * @throws {JsonParseError} When the document is not valid JSONC
+ * @example
+ * toStrictJson('{\n  // port\n  "port": 8080,\n}') // '{\n  "port": 8080\n}'
+ */
+export declare function toStrictJson(text: string, options?: ToStrictJsonOptions): string;
+
+/**
+ * Minifies a JSONC (or JSON5) document: whitespace and trailing commas are removed, and comments unless
+ * `keepComments` is set.
+ * @param text - The document
+ * @param options - Minify options
+ * @returns The minified document
+ * @throws {JsonParseError} When the document is not valid
+ * @example
+ * minify('{\n  "a": [1, 2], // note\n}') // '{"a":[1,2]}'
+ */
+export declare function minify(text: string, options?: MinifyOptions): string;
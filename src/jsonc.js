@@ -0,0 +1,130 @@
+/**
+ * Conversions of JSONC documents driven by their token stream, so that strings and numbers keep their exact
+ * source text: strict JSON for the tools that reject comments, and minified output.
+ */
+
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+
+/**
+ * Converts a JSONC document to strict JSON: comments and trailing commas are removed, everything else keeps
+ * its formatting. The lines left empty by the removed comments are dropped, and the whitespace left at the end
+ * of lines is trimmed.
+ *
+ * With `preserveLines`, every line stays where it is (emptied lines stay as empty lines, and multi-line block
+ * comments are replaced by their line breaks), so that line numbers in the output match the source.
+ *
+ * @param {string} text - The JSONC document
+ * @param {object} [options]
+ * @param {boolean} [options.preserveLines=false] - Keep each line at its line number
+ * @returns {string} - The strict JSON document
+ * @throws {import('./errors.js').JsonParseError} When the document is not valid JSONC
+ * @example
+ * toStrictJson('{\n  // port\n  "port": 8080,\n}') // '{\n  "port": 8080\n}'
+ */
+export function toStrictJson(text, options = {}) {
+	const tokens = tokenize(text, {});
+	const lines = [""];
+	const edited = new Set();  // The lines of the output where something was removed
+
+	const append = (chunk) => {
+		const [first, ...rest] = chunk.split("\n");
+		lines[lines.length - 1] += first;
+		lines.push(...rest);
+	};
+
+	// After a removed token, the blanks that would double the ones before it are dropped
+	let skipBlanks = false;
+
+	tokens.forEach((token, index) => {
+		const raw = text.slice(token.start, token.end);
+
+		if (token.type === "comment" || isTrailingComma(tokens, index)) {
+			edited.add(lines.length - 1);
+			// A line comment includes the "\r" of a CRLF line ending
+			append(options.preserveLines ? raw.replace(/[^\r\n]/g, "") : raw.endsWith("\r") ? "\r" : "");
+			skipBlanks = /[ \t]$/.test(lines[lines.length - 1]) || lines[lines.length - 1] === "" || token.type === "comma";
+			return;
+		}
+
+		append(skipBlanks && token.type === "whitespace" ? raw.replace(/^[ \t]+/, "") : raw);
+		skipBlanks = false;
+	});
+
+	const output = [];
+	lines.forEach((line, index) => {
+		if (!edited.has(index)) {
+			output.push(line);
+			return;
+		}
+		const trimmed = line.replace(/[ \t\r]+$/, "");
+		if (trimmed !== "" || options.preserveLines) {
+			output.push(trimmed + (line.endsWith("\r") ? "\r" : ""));
+		}
+	});
+
+	return output.join("\n");
+}
+
+/**
+ * Minifies a JSONC (or JSON5) document: whitespace and trailing commas are removed, and comments unless
+ * `keepComments` is set, line comments then ending with a line break.
+ *
+ * @param {string} text - The document
+ * @param {object} [options]
+ * @param {boolean} [options.keepComments=false] - Keep the comments
+ * @param {boolean} [options.json5=false] - Parse the document as JSON5
+ * @returns {string} - The minified document
+ * @throws {import('./errors.js').JsonParseError} When the document is not valid
+ * @example
+ * minify('{\n  "a": [1, 2], // note\n}') // '{"a":[1,2]}'
+ */
+export function minify(text, options = {}) {
+	const tokens = tokenize(text, options);
+	let output = "";
+
+	tokens.forEach((token, index) => {
+		if (token.type === "whitespace" || isTrailingComma(tokens, index)) {
+			return;
+		}
+		if (token.type === "comment") {
+			if (options.keepComments) {
+				const raw = text.slice(token.start, token.end);
+				output += raw.startsWith("//") ? raw + "\n" : raw;
+			}
+			return;
+		}
+		output += text.slice(token.start, token.end);
+	});
+
+	return output.endsWith("\n") ? output.slice(0, -1) : output;
+}
+
+/**
+ * Tokenizes a document, checking that it is valid
+ * @param {string} text
+ * @param {{ json5?: boolean }} options
+ * @returns {Array<{ type: string, start: number, end: number }>}
+ */
+function tokenize(text, options) {
+	const tokens = new Tokenizer(text, { json5: options.json5 }).tokenize();
+	new CSTBuilder(tokens, text).build();
+	return tokens;
+}
+
+/**
+ * Whether a token is a comma followed by the end of its object or array
+ * @param {Array<{ type: string }>} tokens
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isTrailingComma(tokens, index) {
+	if (tokens[index].type !== "comma") {
+		return false;
+	}
+	let next = index + 1;
+	while (next < tokens.length && (tokens[next].type === "whitespace" || tokens[next].type === "comment")) {
+		next++;
+	}
+	return next < tokens.length && (tokens[next].type === "braceR" || tokens[next].type === "bracketR");
+}
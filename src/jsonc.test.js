@@ -0,0 +1,78 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { toStrictJson, minify } from "./jsonc.js";
+import { JsonParseError } from "./errors.js";
+
+const source = `// Server settings
+{ // about
+  "port": 8080, // the port
+  /* multi
+     line */
+  "hosts": /* inline */ ["a", "b", ],
+  "ratio": 1.50e0,
+}
+`;
+
+describe("toStrictJson", () => {
+	test("should remove comments and trailing commas, keeping the formatting", () => {
+		const result = toStrictJson(source);
+
+		assert.equal(result, '{\n  "port": 8080,\n  "hosts": ["a", "b"],\n  "ratio": 1.50e0\n}\n');
+		assert.deepEqual(JSON.parse(result), { port: 8080, hosts: ["a", "b"], ratio: 1.5 });
+	});
+
+	test("should keep the line numbers with preserveLines", () => {
+		const result = toStrictJson(source, { preserveLines: true });
+
+		assert.equal(result, '\n{\n  "port": 8080,\n\n\n  "hosts": ["a", "b"],\n  "ratio": 1.50e0\n}\n');
+		assert.equal(result.split("\n").length, source.split("\n").length);
+	});
+
+	test("should keep CRLF line endings", () => {
+		const crlf = source.replace(/\n/g, "\r\n");
+
+		assert.equal(toStrictJson(crlf), '{\r\n  "port": 8080,\r\n  "hosts": ["a", "b"],\r\n  "ratio": 1.50e0\r\n}\r\n');
+		assert.equal(toStrictJson(crlf, { preserveLines: true }).split("\r\n").length, crlf.split("\r\n").length);
+	});
+
+	test("should leave strict JSON unchanged", () => {
+		const json = '{\n    "a": [1, 2.0],\n\n    "b": "// not a comment"\n}';
+
+		assert.equal(toStrictJson(json), json);
+	});
+
+	test("should throw on invalid documents", () => {
+		assert.throws(() => toStrictJson('{"a": }'), JsonParseError);
+		assert.throws(() => toStrictJson("{a: 1}"), JsonParseError);
+		assert.throws(() => toStrictJson("[1 2]"), { name: "JsonParseError", expected: "comma", offset: 3 });
+		assert.throws(() => toStrictJson('{"a": 1} // one\n{"b": 2}'), { name: "JsonParseError", expected: "EOF" });
+	});
+});
+
+describe("minify", () => {
+	test("should remove whitespace, comments and trailing commas", () => {
+		assert.equal(minify(source), '{"port":8080,"hosts":["a","b"],"ratio":1.50e0}');
+		assert.equal(minify('{ "a b": " x " }'), '{"a b":" x "}');
+	});
+
+	test("should keep comments with keepComments", () => {
+		const result = minify(source, { keepComments: true });
+
+		assert.equal(
+			result,
+			'// Server settings\n{// about\n"port":8080,// the port\n/* multi\n     line */"hosts":/* inline */["a","b"],"ratio":1.50e0}',
+		);
+		assert.equal(minify(result), minify(source));
+	});
+
+	test("should minify JSON5 documents", () => {
+		assert.equal(minify("{a: 'x', b: +0x1F, c: [Infinity,],}", { json5: true }), "{a:'x',b:+0x1F,c:[Infinity]}");
+	});
+
+	test("should throw on invalid documents", () => {
+		assert.throws(() => minify("[1, }"), JsonParseError);
+		assert.throws(() => minify('[1 2, "a" "b"]'), { name: "JsonParseError", expected: "comma", offset: 3 });
+		assert.throws(() => minify('{"a": 1 "b": 2}'), { name: "JsonParseError", expected: "comma", offset: 8 });
+		assert.throws(() => minify("{} []"), { name: "JsonParseError", expected: "EOF", offset: 3 });
+	});
+});
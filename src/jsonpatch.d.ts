@@ -0,0 +1,32 @@
+import { Node } from "./CSTBuilder.js";
+
+/**
+ * Checks that a patch document is an array of well-formed operations.
+ * @param patch - The patch document
+ * @throws {TypeError} When the patch is not an array
+ * @throws {JsonPatchError} When an operation is malformed: unknown `op`, missing member, invalid JSON Pointer
+ * or a `value` that is not JSON
+ */
+export declare function validatePatch(patch: unknown): void;
+
+/**
+ * Resolves a JSON Pointer against a parsed document into a path of property names (for objects) and indices
+ * (for arrays). Array indices must be written without leading zeros.
+ *
+ * With `append`, the last token may designate a missing location where a value can be added: a missing
+ * property of an object, or the end of an array (`-`, or its length).
+ * @param root - The root node returned by CSTBuilder
+ * @param sourceText - The document
+ * @param pointer - The JSON Pointer
+ * @param append - Allow the last token to designate a missing location
+ * @param duplicateKeys - Which property a key defined several times designates, as in path resolution
+ * @returns The path, or why the pointer does not resolve
+ * @throws {DuplicateKeyError} With the "error" policy, when the pointer goes through a duplicate key
+ */
+export declare function resolvePointer(
+	root: Node,
+	sourceText: string,
+	pointer: string,
+	append?: boolean,
+	duplicateKeys?: "first" | "last" | "all" | "error",
+): { parts: Array<string | number> } | { reason: string };
@@ -0,0 +1,150 @@
+/**
+ * JSON Patch (RFC 6902) support: validation of patch documents, and resolution of their JSON Pointers against a
+ * parsed document with the rules of the RFC. JsonMod maps each operation onto its format-preserving edits.
+ */
+
+import { splitJSONPointer } from "./helper.js";
+import { JsonPatchError } from "./errors.js";
+import { findPropertyIndex } from "./PathResolver.js";
+
+/**
+ * The members each operation requires, besides `op`
+ */
+const REQUIRED_MEMBERS = {
+	add: ["path", "value"],
+	remove: ["path"],
+	replace: ["path", "value"],
+	move: ["from", "path"],
+	copy: ["from", "path"],
+	test: ["path", "value"],
+};
+
+/**
+ * Checks that a patch document is an array of well-formed operations.
+ * @param {unknown} patch - The patch document
+ * @returns {void}
+ * @throws {TypeError} When the patch is not an array
+ * @throws {JsonPatchError} When an operation is malformed: unknown `op`, missing member, invalid JSON Pointer
+ * or a `value` that is not JSON
+ */
+export function validatePatch(patch) {
+	if (!Array.isArray(patch)) {
+		throw new TypeError("A JSON Patch must be an array of operations");
+	}
+
+	patch.forEach((operation, index) => {
+		const invalid = (reason) =>
+			new JsonPatchError(`Invalid patch operation ${index}: ${reason}`, {
+				operationIndex: index,
+				operation: operation && operation.op,
+				path: operation && operation.path,
+			});
+
+		if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+			throw invalid("not an object");
+		}
+		if (!Object.prototype.hasOwnProperty.call(REQUIRED_MEMBERS, operation.op)) {
+			throw invalid(`unrecognized op ${JSON.stringify(operation.op)}`);
+		}
+
+		for (const member of REQUIRED_MEMBERS[operation.op]) {
+			if (!Object.prototype.hasOwnProperty.call(operation, member)) {
+				throw invalid(`missing "${member}" member`);
+			}
+			if (member === "value") {
+				if (!isJsonValue(operation.value)) {
+					throw invalid(`"value" is not a JSON value`);
+				}
+			} else if (!isJsonPointer(operation[member])) {
+				throw invalid(`"${member}" is not a valid JSON Pointer: ${JSON.stringify(operation[member])}`);
+			}
+		}
+	});
+}
+
+/**
+ * Resolves a JSON Pointer against a parsed document into a path of property names (for objects) and indices
+ * (for arrays). Array indices must be written without leading zeros.
+ *
+ * With `append`, the last token may designate a missing location where a value can be added: a missing
+ * property of an object, or the end of an array (`-`, or its length).
+ *
+ * @param {import('./CSTBuilder.js').Node} root - The root node returned by CSTBuilder
+ * @param {string} sourceText - The document
+ * @param {string} pointer - The JSON Pointer
+ * @param {boolean} [append=false] - Allow the last token to designate a missing location
+ * @param {"first"|"last"|"all"|"error"} [duplicateKeys="first"] - Which property a key defined several times designates,
+ * as in path resolution
+ * @returns {{ parts: Array<string|number> } | { reason: string }} - The path, or why the pointer does not resolve
+ * @throws {import('./errors.js').DuplicateKeyError} With the "error" policy, when the pointer goes through a duplicate key
+ */
+export function resolvePointer(root, sourceText, pointer, append = false, duplicateKeys = "first") {
+	const tokens = splitJSONPointer(pointer);
+	const parts = [];
+	let node = root;
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		const canAppend = append && i === tokens.length - 1;
+
+		if (node.type === "Object") {
+			const index = findPropertyIndex(node, token, sourceText, duplicateKeys);
+			parts.push(token);
+			if (index === -1) {
+				return canAppend ? { parts } : { reason: `property "${token}" not found in Object` };
+			}
+			node = node.properties[index].value;
+		} else if (node.type === "Array") {
+			const length = node.elements.length;
+			if (canAppend && token === "-") {
+				parts.push(length);
+				return { parts };
+			}
+			if (!/^(?:0|[1-9][0-9]*)$/.test(token)) {
+				return { reason: `"${token}" is not a valid array index` };
+			}
+
+			const index = Number(token);
+			parts.push(index);
+			if (index >= length) {
+				return canAppend && index === length
+					? { parts }
+					: { reason: `index ${index} is out of bounds for Array of length ${length}` };
+			}
+			node = node.elements[index];
+		} else {
+			return { reason: `${node.type} cannot contain "${token}"` };
+		}
+	}
+
+	return { parts };
+}
+
+/**
+ * Whether a value is a syntactically valid JSON Pointer (RFC 6901)
+ * @param {unknown} pointer
+ * @returns {boolean}
+ */
+function isJsonPointer(pointer) {
+	return typeof pointer === "string" && (pointer === "" || pointer[0] === "/") && !/~(?![01])/.test(pointer);
+}
+
+/**
+ * Whether a value can be written as JSON: no undefined, function, symbol or bigint at any depth, and no cycle
+ * @param {unknown} value
+ * @param {Set<object>} [ancestors] - The objects holding the value
+ * @returns {boolean}
+ */
+function isJsonValue(value, ancestors = new Set()) {
+	if (value === null || typeof value === "string" || typeof value === "number" || typeof value === "boolean") {
+		return true;
+	}
+	if (typeof value !== "object" || ancestors.has(value)) {
+		return false;
+	}
+
+	ancestors.add(value);
+	const valid = Object.values(value).every((item) => isJsonValue(item, ancestors));
+	ancestors.delete(value);
+	return valid;
+}
@@ -0,0 +1,104 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { validatePatch, resolvePointer } from "./jsonpatch.js";
+import { applyJsonPatch } from "./JsonMod.js";
+import { JsonPatchError } from "./errors.js";
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+
+/**
+ * Loads a file of the JSON Patch conformance suite (https://github.com/json-patch/json-patch-tests)
+ * @param {string} name
+ * @returns {Array<object>}
+ */
+function loadSuite(name) {
+	return JSON.parse(readFileSync(new URL(`../fixtures/json-patch-tests/${name}`, import.meta.url), "utf8"));
+}
+
+for (const name of ["tests.json", "spec_tests.json"]) {
+	describe(`JSON Patch conformance: ${name}`, () => {
+		loadSuite(name).forEach((testCase, index) => {
+			// Records with only a comment are allowed by the suite
+			if (!testCase.patch) return;
+
+			const title = `${index}: ${testCase.comment || JSON.stringify(testCase.patch)}`;
+			test(title, { skip: testCase.disabled }, () => {
+				const sourceText = JSON.stringify(testCase.doc, null, 2);
+
+				if ("error" in testCase) {
+					assert.throws(() => applyJsonPatch(sourceText, testCase.patch), JsonPatchError, testCase.error);
+					return;
+				}
+
+				const expected = "expected" in testCase ? testCase.expected : testCase.doc;
+				assert.deepEqual(JSON.parse(applyJsonPatch(sourceText, testCase.patch)), expected);
+			});
+		});
+	});
+}
+
+describe("validatePatch", () => {
+	test("accepts well-formed operations", () => {
+		assert.doesNotThrow(() =>
+			validatePatch([
+				{ op: "add", path: "/a", value: null },
+				{ op: "move", from: "", path: "/~0~1" },
+			]),
+		);
+	});
+
+	test("rejects malformed operations", () => {
+		assert.throws(() => validatePatch({ op: "add" }), TypeError);
+		assert.throws(() => validatePatch([null]), { message: "Invalid patch operation 0: not an object" });
+		assert.throws(() => validatePatch([{ op: "test", path: "/a", value: 1 }, { op: "delete", path: "/a" }]), {
+			name: "JsonPatchError",
+			message: 'Invalid patch operation 1: unrecognized op "delete"',
+			operationIndex: 1,
+		});
+		assert.throws(() => validatePatch([{ op: "copy", path: "/a" }]), { message: 'Invalid patch operation 0: missing "from" member' });
+		assert.throws(() => validatePatch([{ op: "remove", path: "a" }]), {
+			message: 'Invalid patch operation 0: "path" is not a valid JSON Pointer: "a"',
+		});
+		assert.throws(() => validatePatch([{ op: "remove", path: "/a~2" }]), /not a valid JSON Pointer/);
+	});
+
+	test("rejects values that are not JSON", () => {
+		for (const value of [undefined, () => 1, Symbol("a"), 1n, { a: [undefined] }]) {
+			assert.throws(() => validatePatch([{ op: "test", path: "/a", value: 1 }, { op: "add", path: "/a", value }]), {
+				name: "JsonPatchError",
+				message: 'Invalid patch operation 1: "value" is not a JSON value',
+				operationIndex: 1,
+			});
+		}
+		const cyclic = {};
+		cyclic.self = cyclic;
+		assert.throws(() => validatePatch([{ op: "replace", path: "/a", value: cyclic }]), /"value" is not a JSON value/);
+	});
+});
+
+describe("resolvePointer", () => {
+	const sourceText = '{"a": [1, {"b/c": 2}], "": 3, "01": 4}';
+	const root = new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build();
+
+	test("resolves names and indices", () => {
+		assert.deepEqual(resolvePointer(root, sourceText, ""), { parts: [] });
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/1/b~1c"), { parts: ["a", 1, "b/c"] });
+		assert.deepEqual(resolvePointer(root, sourceText, "/"), { parts: [""] });
+		assert.deepEqual(resolvePointer(root, sourceText, "/01"), { parts: ["01"] });
+	});
+
+	test("resolves missing locations when appending", () => {
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/-", true), { parts: ["a", 2] });
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/2", true), { parts: ["a", 2] });
+		assert.deepEqual(resolvePointer(root, sourceText, "/b", true), { parts: ["b"] });
+	});
+
+	test("explains why a pointer does not resolve", () => {
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/-"), { reason: '"-" is not a valid array index' });
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/01"), { reason: '"01" is not a valid array index' });
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/3", true), { reason: "index 3 is out of bounds for Array of length 2" });
+		assert.deepEqual(resolvePointer(root, sourceText, "/b/c", true), { reason: 'property "b" not found in Object' });
+		assert.deepEqual(resolvePointer(root, sourceText, "/a/0/x"), { reason: 'Number cannot contain "x"' });
+	});
+});
@@ -0,0 +1,60 @@
+import { Node } from "./CSTBuilder.js";
+
+/**
+ * A compiled JSONPath segment: selects children (or descendants) of the current nodes
+ */
+interface JsonPathSegment {
+	/** Whether the segment selects descendants (`..`) rather than children */
+	descendant: boolean;
+	selectors: Array<object>;
+}
+
+/**
+ * Whether a string path is a JSONPath expression (starts with `$` followed by the end, `.` or `[`).
+ * Dot paths such as `$schema.url` are not JSONPath.
+ */
+export declare function isJsonPath(path: unknown): boolean;
+
+/**
+ * Whether a string path is a dot path with wildcard segments: `*` (any key or index) or `**` (any depth)
+ */
+export declare function isWildcardPath(path: unknown): boolean;
+
+/**
+ * Whether a path can select several nodes: a JSONPath expression or a dot path with wildcards
+ */
+export declare function isPathPattern(path: unknown): boolean;
+
+/**
+ * Compiles a JSONPath expression or a wildcard dot path into segments.
+ * In dot paths, `**` selects the following segment at any depth (`**.version` is `$..version`)
+ * and a final `**` selects every descendant.
+ * @throws {InvalidPathError} When the JSONPath expression or the dot path is not valid
+ */
+export declare function compilePathPattern(path: string): JsonPathSegment[];
+
+/**
+ * Compiles a JSONPath expression into segments
+ * @param expression - The JSONPath expression
+ * @throws {InvalidPathError} When the expression is not valid
+ */
+export declare function parseJsonPath(expression: string): JsonPathSegment[];
+
+/**
+ * Expands segments against a parsed document into the matching nodes and their concrete paths, in the order they are
+ * selected (RFC 9535): document order, except for unions and slices with a negative step, which keep their own order
+ * @param root - The root node returned by CSTBuilder
+ * @param segments - The compiled path
+ * @param sourceText - The document
+ * @param duplicateKeys - Which property a key defined several times designates, as in path resolution: the other
+ * occurrences are never selected
+ * @throws {DuplicateKeyError} With the "error" policy, when the expression selects through or reads a duplicate key
+ */
+export declare function expandPaths(
+	root: Node,
+	segments: JsonPathSegment[],
+	sourceText: string,
+	duplicateKeys?: "first" | "last" | "all" | "error",
+): Array<{ path: Array<string | number>; node: Node }>;
+
+export { JsonPathSegment };
@@ -0,0 +1,641 @@
+/**
+ * JSONPath support: expressions are compiled into segments, which are expanded against a parsed
+ * document into the concrete paths of the matching nodes.
+ *
+ * Supported syntax: `$`, `.name`, `['name']`, `[0]` and `[-1]`, `*`, `..` (descendants), slices
+ * `[start:end:step]`, unions `[0,2]` / `['a','b']` and filters `[?(@.enabled == false)]` with
+ * comparisons (`==`, `!=`, `<`, `<=`, `>`, `>=`), `&&`, `||`, `!`, parentheses and existence tests.
+ */
+
+import { parsePath, extractString, decodeValue, deepEqual, WILDCARD, DEEP_WILDCARD } from "./helper.js";
+import { InvalidPathError } from "./errors.js";
+import { findPropertyIndex } from "./PathResolver.js";
+
+/**
+ * Whether a string path is a JSONPath expression (starts with `$` followed by the end, `.` or `[`).
+ * Dot paths such as `$schema.url` are not JSONPath.
+ * @param {unknown} path
+ * @returns {boolean}
+ */
+export function isJsonPath(path) {
+	return typeof path === "string" && /^\$(?:$|[.[])/.test(path);
+}
+
+/**
+ * Whether a string path is a dot path with wildcard segments: `*` (any key or index) or `**` (any depth).
+ * Quoted (`["*"]`) and escaped (`\*`) segments are keys named "*".
+ * @param {unknown} path
+ * @returns {boolean}
+ * @throws {import('./errors.js').InvalidPathError} When a dot path holding a "*" is malformed
+ */
+export function isWildcardPath(path) {
+	if (typeof path !== "string" || path.startsWith("/") || isJsonPath(path) || !path.includes("*")) {
+		return false;
+	}
+	return parsePath(path).some((part) => part === WILDCARD || part === DEEP_WILDCARD);
+}
+
+/**
+ * Whether a path can select several nodes: a JSONPath expression or a dot path with wildcards.
+ * @param {unknown} path
+ * @returns {boolean}
+ */
+export function isPathPattern(path) {
+	return isJsonPath(path) || isWildcardPath(path);
+}
+
+/**
+ * Compiles a JSONPath expression or a wildcard dot path into segments.
+ * In dot paths, `**` selects the following segment at any depth (`**.version` is `$..version`)
+ * and a final `**` selects every descendant.
+ * @param {string} path
+ * @returns {Array<{ descendant: boolean, selectors: Array<object> }>}
+ * @throws {InvalidPathError} When the JSONPath expression or the dot path is not valid
+ */
+export function compilePathPattern(path) {
+	if (isJsonPath(path)) {
+		return parseJsonPath(path);
+	}
+
+	const segments = [];
+	let descendant = false;
+	for (const part of parsePath(path)) {
+		if (part === DEEP_WILDCARD) {
+			descendant = true;
+			continue;
+		}
+		segments.push({ descendant, selectors: [toSelector(part)] });
+		descendant = false;
+	}
+	if (descendant) {
+		segments.push({ descendant: true, selectors: [{ type: "wildcard" }] });
+	}
+
+	return segments;
+}
+
+/**
+ * Converts a dot path segment into a selector.
+ * @param {string|number|symbol} part
+ * @returns {object}
+ */
+function toSelector(part) {
+	if (part === WILDCARD) {
+		return { type: "wildcard" };
+	}
+	return typeof part === "number" ? { type: "index", index: part } : { type: "name", name: part };
+}
+
+/**
+ * Compiles a JSONPath expression into segments.
+ * Each segment selects children (`descendant: false`) or descendants (`descendant: true`) of the
+ * current nodes with one or more selectors.
+ * @param {string} expression - The JSONPath expression
+ * @returns {Array<{ descendant: boolean, selectors: Array<object> }>}
+ * @throws {InvalidPathError} When the expression is not valid
+ */
+export function parseJsonPath(expression) {
+	return new JsonPathParser(expression).parse();
+}
+
+/**
+ * Expands segments against a parsed document into the matching nodes and their concrete paths, in the order they are
+ * selected (RFC 9535): document order, except for unions and slices with a negative step, which keep their own order.
+ * @param {object} root - The root node returned by CSTBuilder
+ * @param {Array<{ descendant: boolean, selectors: Array<object> }>} segments - The compiled path
+ * @param {string} sourceText - The document
+ * @param {"first"|"last"|"all"|"error"} [duplicateKeys="first"] - Which property a key defined several times designates,
+ * as in path resolution: the other occurrences are never selected
+ * @returns {Array<{ path: Array<string|number>, node: object }>}
+ * @throws {import('./errors.js').DuplicateKeyError} With the "error" policy, when the expression selects through
+ * or reads a duplicate key
+ */
+export function expandPaths(root, segments, sourceText, duplicateKeys = "first") {
+	const decoded = new WeakMap();
+	const decode = (node) => {
+		if (!decoded.has(node)) decoded.set(node, decodeValue(node, sourceText, duplicateKeys));
+		return decoded.get(node);
+	};
+	const context = { sourceText, duplicateKeys, decode, rootValue: () => decode(root) };
+
+	let current = [{ path: [], node: root }];
+	for (const segment of segments) {
+		const next = [];
+		const seen = new Set();
+		for (const item of current) {
+			const candidates = segment.descendant ? [item, ...getDescendants(item, sourceText, duplicateKeys)] : [item];
+			for (const candidate of candidates) {
+				for (const selector of segment.selectors) {
+					for (const match of applySelector(candidate, selector, context)) {
+						// A node reached twice (e.g. through `..` and a union) is only matched once
+						if (!seen.has(match.node)) {
+							seen.add(match.node);
+							next.push(match);
+						}
+					}
+				}
+			}
+		}
+		current = next;
+	}
+
+	return current;
+}
+
+/**
+ * Lists the children of a node with their path. A key defined several times is listed once, with the occurrence
+ * the duplicateKeys policy designates.
+ * @param {{ path: Array<string|number>, node: object }} item
+ * @param {string} sourceText
+ * @param {"first"|"last"|"all"|"error"} duplicateKeys
+ * @returns {Array<{ path: Array<string|number>, node: object }>}
+ */
+function getChildren(item, sourceText, duplicateKeys) {
+	const { path, node } = item;
+	if (node.type === "Array") {
+		return node.elements.map((element, index) => ({ path: [...path, index], node: element }));
+	}
+	if (node.type === "Object") {
+		const names = new Set();
+		const children = [];
+		for (const prop of node.properties) {
+			const name = extractString(prop.key, sourceText);
+			if (!names.has(name)) {
+				names.add(name);
+				const index = node.duplicateKeys.length > 0 ? findPropertyIndex(node, name, sourceText, duplicateKeys) : -1;
+				children.push({ path: [...path, name], node: index === -1 ? prop.value : node.properties[index].value });
+			}
+		}
+		return children;
+	}
+	return [];
+}
+
+/**
+ * Lists the descendants of a node with their path, in document order.
+ * @param {{ path: Array<string|number>, node: object }} item
+ * @param {string} sourceText
+ * @param {"first"|"last"|"all"|"error"} duplicateKeys
+ * @returns {Array<{ path: Array<string|number>, node: object }>}
+ */
+function getDescendants(item, sourceText, duplicateKeys) {
+	const result = [];
+	for (const child of getChildren(item, sourceText, duplicateKeys)) {
+		result.push(child, ...getDescendants(child, sourceText, duplicateKeys));
+	}
+	return result;
+}
+
+/**
+ * Applies a selector to a node.
+ * @param {{ path: Array<string|number>, node: object }} item
+ * @param {object} selector
+ * @param {{ sourceText: string, duplicateKeys: string, decode: Function, rootValue: Function }} context
+ * @returns {Array<{ path: Array<string|number>, node: object }>}
+ */
+function applySelector(item, selector, context) {
+	const children = getChildren(item, context.sourceText, context.duplicateKeys);
+
+	switch (selector.type) {
+		case "name":
+			if (item.node.type !== "Object") return [];
+			return children.filter((child) => child.path[child.path.length - 1] === selector.name);
+		case "index": {
+			if (item.node.type !== "Array") return [];
+			const index = selector.index < 0 ? children.length + selector.index : selector.index;
+			return index >= 0 && index < children.length ? [children[index]] : [];
+		}
+		case "wildcard":
+			return children;
+		case "slice":
+			return item.node.type === "Array" ? sliceIndices(children.length, selector).map((index) => children[index]) : [];
+		case "filter":
+			return children.filter((child) => test(selector.expression, context.decode(child.node), context));
+	}
+	return [];
+}
+
+/**
+ * Lists the indices selected by a slice, following RFC 9535.
+ * @param {number} length - The length of the array
+ * @param {{ start: number|null, end: number|null, step: number|null }} slice
+ * @returns {number[]}
+ */
+function sliceIndices(length, slice) {
+	const step = slice.step === null ? 1 : slice.step;
+	if (step === 0) return [];
+
+	const normalize = (index) => (index < 0 ? length + index : index);
+	const indices = [];
+
+	if (step > 0) {
+		const start = slice.start === null ? 0 : Math.min(Math.max(normalize(slice.start), 0), length);
+		const end = slice.end === null ? length : Math.min(Math.max(normalize(slice.end), 0), length);
+		for (let i = start; i < end; i += step) indices.push(i);
+	} else {
+		const start = slice.start === null ? length - 1 : Math.min(Math.max(normalize(slice.start), -1), length - 1);
+		const end = slice.end === null ? -1 : Math.min(Math.max(normalize(slice.end), -1), length - 1);
+		for (let i = start; i > end; i += step) indices.push(i);
+	}
+
+	return indices;
+}
+
+/** The result of a filter path that selects nothing */
+const NOTHING = Symbol("nothing");
+
+/**
+ * Evaluates a filter expression.
+ * @param {object} expression
+ * @param {any} current - The value of `@`
+ * @param {{ rootValue: Function }} context
+ * @returns {any}
+ */
+function evaluate(expression, current, context) {
+	switch (expression.type) {
+		case "literal":
+			return expression.value;
+		case "path": {
+			let value = expression.root ? context.rootValue() : current;
+			for (const key of expression.keys) {
+				value = getMember(value, key);
+				if (value === NOTHING) break;
+			}
+			return value;
+		}
+		case "not":
+			return !test(expression.operand, current, context);
+		case "and":
+			return test(expression.left, current, context) && test(expression.right, current, context);
+		case "or":
+			return test(expression.left, current, context) || test(expression.right, current, context);
+		case "compare": {
+			const left = evaluate(expression.left, current, context);
+			return compare(expression.operator, left, evaluate(expression.right, current, context));
+		}
+	}
+	return NOTHING;
+}
+
+/**
+ * Reads a member of a decoded value.
+ * @param {any} value
+ * @param {string|number} key
+ * @returns {any} - The member, NOTHING when there is none
+ */
+function getMember(value, key) {
+	if (Array.isArray(value)) {
+		if (typeof key !== "number") return NOTHING;
+		const index = key < 0 ? value.length + key : key;
+		return index >= 0 && index < value.length ? value[index] : NOTHING;
+	}
+	if (value !== null && typeof value === "object" && typeof key === "string" && Object.prototype.hasOwnProperty.call(value, key)) {
+		return value[key];
+	}
+	return NOTHING;
+}
+
+/**
+ * Evaluates a filter expression as a condition: a path alone tests whether it selects something
+ * (whatever its value), other expressions give booleans.
+ * @param {object} expression
+ * @param {any} current - The value of `@`
+ * @param {{ rootValue: Function }} context
+ * @returns {boolean}
+ */
+function test(expression, current, context) {
+	const value = evaluate(expression, current, context);
+	return expression.type === "path" ? value !== NOTHING : value === true;
+}
+
+/**
+ * Compares two values following RFC 9535: `==` is deep equality, ordering only applies to two numbers or two strings.
+ * @param {string} operator
+ * @param {any} left
+ * @param {any} right
+ * @returns {boolean}
+ */
+function compare(operator, left, right) {
+	switch (operator) {
+		case "==":
+			return deepEqual(left, right);
+		case "!=":
+			return !deepEqual(left, right);
+	}
+
+	const comparable =
+		(typeof left === "number" && typeof right === "number") || (typeof left === "string" && typeof right === "string");
+	switch (operator) {
+		case "<":
+			return comparable && left < right;
+		case "<=":
+			return (comparable && left < right) || deepEqual(left, right);
+		case ">":
+			return comparable && left > right;
+		case ">=":
+			return (comparable && left > right) || deepEqual(left, right);
+	}
+	return false;
+}
+
+/**
+ * Recursive descent parser for JSONPath expressions.
+ */
+class JsonPathParser {
+	/**
+	 * @param {string} expression
+	 */
+	constructor(expression) {
+		this.expression = expression;
+		this.pos = 0;
+	}
+
+	/**
+	 * @returns {Array<{ descendant: boolean, selectors: Array<object> }>}
+	 */
+	parse() {
+		this.expect("$");
+		const segments = [];
+
+		while (this.pos < this.expression.length) {
+			if (this.consume("..")) {
+				if (this.peek() === "[") {
+					segments.push({ descendant: true, selectors: this.parseBracket() });
+				} else {
+					segments.push({ descendant: true, selectors: [this.parseDotSelector()] });
+				}
+			} else if (this.consume(".")) {
+				segments.push({ descendant: false, selectors: [this.parseDotSelector()] });
+			} else if (this.peek() === "[") {
+				segments.push({ descendant: false, selectors: this.parseBracket() });
+			} else {
+				throw this.error(`unexpected "${this.peek()}"`);
+			}
+		}
+
+		return segments;
+	}
+
+	/**
+	 * Parses the selector after `.` or `..`: a name or `*`.
+	 * @returns {object}
+	 */
+	parseDotSelector() {
+		if (this.consume("*")) {
+			return { type: "wildcard" };
+		}
+		const match = /^[^.[\]\s()'"=!<>&|,]+/.exec(this.expression.slice(this.pos));
+		if (!match) {
+			throw this.error("expected a property name");
+		}
+		this.pos += match[0].length;
+		return { type: "name", name: match[0] };
+	}
+
+	/**
+	 * Parses a bracketed list of selectors: `[sel, sel, ...]`.
+	 * @returns {Array<object>}
+	 */
+	parseBracket() {
+		this.expect("[");
+		const selectors = [];
+		do {
+			this.skipSpaces();
+			selectors.push(this.parseBracketSelector());
+			this.skipSpaces();
+		} while (this.consume(","));
+		this.expect("]");
+		return selectors;
+	}
+
+	/**
+	 * Parses a selector within brackets: a quoted name, `*`, an index, a slice or a filter.
+	 * @returns {object}
+	 */
+	parseBracketSelector() {
+		const ch = this.peek();
+		if (ch === "'" || ch === '"') {
+			return { type: "name", name: this.parseString() };
+		}
+		if (this.consume("*")) {
+			return { type: "wildcard" };
+		}
+		if (this.consume("?")) {
+			this.skipSpaces();
+			return { type: "filter", expression: this.parseOr() };
+		}
+
+		const start = this.parseOptionalInteger();
+		this.skipSpaces();
+		if (!this.consume(":")) {
+			if (start === null) {
+				throw this.error("expected a selector");
+			}
+			return { type: "index", index: start };
+		}
+		this.skipSpaces();
+		const end = this.parseOptionalInteger();
+		this.skipSpaces();
+		let step = null;
+		if (this.consume(":")) {
+			this.skipSpaces();
+			step = this.parseOptionalInteger();
+		}
+		return { type: "slice", start, end, step };
+	}
+
+	/**
+	 * @returns {number|null}
+	 */
+	parseOptionalInteger() {
+		const match = /^-?\d+/.exec(this.expression.slice(this.pos));
+		if (!match) return null;
+		this.pos += match[0].length;
+		return Number(match[0]);
+	}
+
+	/**
+	 * Parses a single or double quoted string.
+	 * @returns {string}
+	 */
+	parseString() {
+		const quote = this.expression[this.pos++];
+		let result = "";
+		while (this.pos < this.expression.length && this.expression[this.pos] !== quote) {
+			let ch = this.expression[this.pos++];
+			if (ch === "\\") {
+				const escape = this.expression[this.pos++];
+				const escapes = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+				if (escape === "u") {
+					const hex = this.expression.slice(this.pos, this.pos + 4);
+					if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw this.error("invalid unicode escape");
+					this.pos += 4;
+					ch = String.fromCharCode(parseInt(hex, 16));
+				} else if (escape === undefined) {
+					break;
+				} else {
+					ch = escapes[escape] || escape;
+				}
+			}
+			result += ch;
+		}
+		this.expect(quote);
+		return result;
+	}
+
+	// Filter expressions, by increasing precedence: ||, &&, !, comparisons, primaries
+
+	parseOr() {
+		let left = this.parseAnd();
+		while (this.consumeOperator("||")) {
+			left = { type: "or", left, right: this.parseAnd() };
+		}
+		return left;
+	}
+
+	parseAnd() {
+		let left = this.parseUnary();
+		while (this.consumeOperator("&&")) {
+			left = { type: "and", left, right: this.parseUnary() };
+		}
+		return left;
+	}
+
+	parseUnary() {
+		this.skipSpaces();
+		if (this.peek() === "!" && this.expression[this.pos + 1] !== "=") {
+			this.pos++;
+			return { type: "not", operand: this.parseUnary() };
+		}
+		return this.parseComparison();
+	}
+
+	parseComparison() {
+		const left = this.parsePrimary();
+		for (const operator of ["==", "!=", "<=", ">=", "<", ">"]) {
+			if (this.consumeOperator(operator)) {
+				return { type: "compare", operator, left, right: this.parsePrimary() };
+			}
+		}
+		return left;
+	}
+
+	parsePrimary() {
+		this.skipSpaces();
+		const ch = this.peek();
+
+		if (this.consume("(")) {
+			const expression = this.parseOr();
+			this.skipSpaces();
+			this.expect(")");
+			return expression;
+		}
+		if (ch === "@" || ch === "$") {
+			this.pos++;
+			return { type: "path", root: ch === "$", keys: this.parseFilterPathKeys() };
+		}
+		if (ch === "'" || ch === '"') {
+			return { type: "literal", value: this.parseString() };
+		}
+
+		const rest = this.expression.slice(this.pos);
+		const number = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?/.exec(rest);
+		if (number) {
+			this.pos += number[0].length;
+			return { type: "literal", value: Number(number[0]) };
+		}
+		for (const [word, value] of [["true", true], ["false", false], ["null", null]]) {
+			if (rest.startsWith(word)) {
+				this.pos += word.length;
+				return { type: "literal", value };
+			}
+		}
+
+		throw this.error("expected a value in the filter");
+	}
+
+	/**
+	 * Parses the keys after `@` or `$` in a filter: `.name`, `['name']` and `[0]`.
+	 * @returns {Array<string|number>}
+	 */
+	parseFilterPathKeys() {
+		const keys = [];
+		for (;;) {
+			if (this.peek() === "." && this.expression[this.pos + 1] !== ".") {
+				this.pos++;
+				const selector = this.parseDotSelector();
+				if (selector.type !== "name") throw this.error("only names and indices are supported in filter paths");
+				keys.push(selector.name);
+			} else if (this.peek() === "[") {
+				this.pos++;
+				this.skipSpaces();
+				const ch = this.peek();
+				const key = ch === "'" || ch === '"' ? this.parseString() : this.parseOptionalInteger();
+				if (key === null) throw this.error("only names and indices are supported in filter paths");
+				keys.push(key);
+				this.skipSpaces();
+				this.expect("]");
+			} else {
+				return keys;
+			}
+		}
+	}
+
+	peek() {
+		return this.expression[this.pos];
+	}
+
+	skipSpaces() {
+		while (this.pos < this.expression.length && /\s/.test(this.expression[this.pos])) {
+			this.pos++;
+		}
+	}
+
+	/**
+	 * @param {string} text
+	 * @returns {boolean} - Whether the text was found (and consumed) at the current position
+	 */
+	consume(text) {
+		if (this.expression.startsWith(text, this.pos)) {
+			this.pos += text.length;
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Consumes an operator, skipping the spaces around it.
+	 * @param {string} operator
+	 * @returns {boolean}
+	 */
+	consumeOperator(operator) {
+		const pos = this.pos;
+		this.skipSpaces();
+		if (this.consume(operator)) {
+			this.skipSpaces();
+			return true;
+		}
+		this.pos = pos;
+		return false;
+	}
+
+	/**
+	 * @param {string} text
+	 */
+	expect(text) {
+		if (!this.consume(text)) {
+			throw this.error(this.pos < this.expression.length ? `expected "${text}"` : `expected "${text}", got end of expression`);
+		}
+	}
+
+	/**
+	 * @param {string} reason
+	 * @returns {InvalidPathError}
+	 */
+	error(reason) {
+		return new InvalidPathError(`Invalid JSONPath ${JSON.stringify(this.expression)}: ${reason}`, {
+			path: this.expression,
+			position: this.pos,
+		});
+	}
+}
@@ -0,0 +1,122 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isJsonPath, isWildcardPath, parseJsonPath, compilePathPattern, expandPaths } from "./jsonpath.js";
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+
+const document = {
+	version: "1.0.0",
+	packages: [
+		{ name: "a", version: "2.0.0", enabled: true, size: 3 },
+		{ name: "b", enabled: false, size: 10 },
+		{ name: "c", enabled: false, tags: ["x"] },
+	],
+	items: [0, 1, 2, 3, 4, 5],
+	"odd key": { "it's": 1 },
+};
+const sourceText = JSON.stringify(document, null, 2);
+const root = new CSTBuilder(new Tokenizer(sourceText).tokenize(), sourceText).build();
+const select = (expression) => expandPaths(root, parseJsonPath(expression), sourceText).map((match) => match.path);
+
+describe("isJsonPath", () => {
+	test("recognizes JSONPath expressions", () => {
+		assert.equal(isJsonPath("$"), true);
+		assert.equal(isJsonPath("$.a"), true);
+		assert.equal(isJsonPath("$..a"), true);
+		assert.equal(isJsonPath("$['a']"), true);
+		assert.equal(isJsonPath("$schema"), false);
+		assert.equal(isJsonPath("a.b"), false);
+		assert.equal(isJsonPath("/a/b"), false);
+		assert.equal(isJsonPath(["$", "a"]), false);
+	});
+});
+
+describe("wildcard paths", () => {
+	const selectPattern = (path) => expandPaths(root, compilePathPattern(path), sourceText).map((match) => match.path);
+
+	test("recognizes dot paths with wildcards", () => {
+		assert.equal(isWildcardPath("deps.*"), true);
+		assert.equal(isWildcardPath("items[*].id"), true);
+		assert.equal(isWildcardPath("**.version"), true);
+		assert.equal(isWildcardPath("deps.a"), false);
+		assert.equal(isWildcardPath("/a/*"), false);
+		assert.equal(isWildcardPath("$.a[*]"), false);
+	});
+
+	test("selects any key, index or depth", () => {
+		assert.deepEqual(selectPattern("packages[*].name"), select("$.packages[*].name"));
+		assert.deepEqual(selectPattern("packages.*.size"), [["packages", 0, "size"], ["packages", 1, "size"]]);
+		assert.deepEqual(selectPattern("**.version"), [["version"], ["packages", 0, "version"]]);
+		assert.deepEqual(selectPattern("packages.**[0]"), [["packages", 0], ["packages", 2, "tags", 0]]);
+		assert.deepEqual(selectPattern("packages[2].**"), [
+			["packages", 2, "name"],
+			["packages", 2, "enabled"],
+			["packages", 2, "tags"],
+			["packages", 2, "tags", 0],
+		]);
+	});
+});
+
+describe("expandPaths", () => {
+	test("selects names, indices and wildcards", () => {
+		assert.deepEqual(select("$"), [[]]);
+		assert.deepEqual(select("$.version"), [["version"]]);
+		assert.deepEqual(select("$.packages[*].name"), [
+			["packages", 0, "name"],
+			["packages", 1, "name"],
+			["packages", 2, "name"],
+		]);
+		assert.deepEqual(select("$.packages[-1].name"), [["packages", 2, "name"]]);
+		assert.deepEqual(select("$['odd key'][\"it's\"]"), [["odd key", "it's"]]);
+		assert.deepEqual(select("$.missing[*]"), []);
+	});
+
+	test("selects descendants in document order", () => {
+		assert.deepEqual(select("$..version"), [["version"], ["packages", 0, "version"]]);
+		assert.deepEqual(select("$..tags[0]"), [["packages", 2, "tags", 0]]);
+		assert.equal(select("$..*").length, 25);
+	});
+
+	test("selects slices and unions", () => {
+		assert.deepEqual(select("$.items[0:3]"), [["items", 0], ["items", 1], ["items", 2]]);
+		assert.deepEqual(select("$.items[-2:]"), [["items", 4], ["items", 5]]);
+		assert.deepEqual(select("$.items[::2]"), [["items", 0], ["items", 2], ["items", 4]]);
+		assert.deepEqual(select("$.items[::-3]"), [["items", 5], ["items", 2]]);
+		assert.deepEqual(select("$.items[3:0:-1]"), [["items", 3], ["items", 2], ["items", 1]]);
+		assert.deepEqual(select("$.items[4, 1]"), [["items", 4], ["items", 1]]);
+		assert.deepEqual(select("$.items[1, 3, 1]"), [["items", 1], ["items", 3]]);
+		assert.deepEqual(select("$['version','items'][0]"), [["items", 0]]);
+	});
+
+	test("selects with filters", () => {
+		assert.deepEqual(select("$.packages[?(@.enabled == false)].name"), [
+			["packages", 1, "name"],
+			["packages", 2, "name"],
+		]);
+		assert.deepEqual(select("$.packages[?@.size > 5 || @.name == 'a'].name"), [
+			["packages", 0, "name"],
+			["packages", 1, "name"],
+		]);
+		assert.deepEqual(select("$.packages[?(@.enabled)].name"), [
+			["packages", 0, "name"],
+			["packages", 1, "name"],
+			["packages", 2, "name"],
+		]);
+		assert.deepEqual(select("$.packages[?(!@.tags && @.enabled != true)].name"), [["packages", 1, "name"]]);
+		assert.deepEqual(select("$.packages[?(@.tags[0] == 'x')].name"), [["packages", 2, "name"]]);
+		assert.deepEqual(select("$.items[?(@ >= 4)]"), [["items", 4], ["items", 5]]);
+		assert.deepEqual(select("$.packages[?(@.version == $.packages[0].version)].name"), [["packages", 0, "name"]]);
+	});
+
+	test("rejects invalid expressions", () => {
+		assert.throws(() => parseJsonPath("$."), {
+			name: "InvalidPathError",
+			message: 'Invalid JSONPath "$.": expected a property name at position 2',
+			path: "$.",
+			position: 2,
+		});
+		assert.throws(() => parseJsonPath("$[?(@.a ==)]"), /expected a value in the filter/);
+		assert.throws(() => parseJsonPath("$['a'"), /expected "\]", got end of expression/);
+		assert.throws(() => parseJsonPath("a.b"), /expected "\$"/);
+	});
+});
@@ -0,0 +1,100 @@
+import { Node, NodeObject, NodeArray, Comma, Comment } from "./CSTBuilder.js";
+
+/**
+ * Describes how the entries of a container are laid out.
+ */
+interface ContainerLayout {
+	/** Whether the container is laid out one-entry-per-line */
+	multiline: boolean;
+	/** The indentation of the container's entries */
+	indent: string;
+	/** The indentation unit (one nesting level) */
+	unit: string;
+	/** The indentation of the line holding the container's opening bracket */
+	closingIndent: string;
+	/** The line ending used by the document */
+	eol: string;
+}
+
+/**
+ * Detects the line ending used by the document.
+ * @param sourceText - The JSON source text
+ * @returns "\r\n" when the document uses CRLF, otherwise "\n"
+ */
+export declare function detectEol(sourceText: string): string;
+
+/**
+ * Detects the indentation unit from the first indented line of the document.
+ * @param sourceText - The JSON source text
+ * @returns The indentation unit, two spaces when the document has no indented line
+ */
+export declare function detectIndentUnit(sourceText: string): string;
+
+/**
+ * Returns the leading whitespace of the line containing the given position.
+ * @param sourceText - The JSON source text
+ * @param pos - A position within the line
+ */
+export declare function getLineIndent(sourceText: string, pos: number): string;
+
+/**
+ * Re-indents a (possibly multi-line) value so that its continuation lines land at the given indentation.
+ * @param value - The value text
+ * @param indent - The indentation of the line where the value starts
+ * @param eol - The line ending to use
+ */
+export declare function reindent(value: string, indent: string, eol: string): string;
+
+/**
+ * Strips the indentation of the line where a value starts from its continuation lines, the reverse of reindent(),
+ * so that text taken from the document can be re-indented elsewhere.
+ * @param value - The value text
+ * @param indent - The indentation of the line where the value starts
+ * @returns The value with "\n" line endings
+ */
+export declare function dedent(value: string, indent: string): string;
+
+/**
+ * An entry (property or element) of a container.
+ */
+interface ContainerEntry {
+	/** The start of the property key or element */
+	start: number;
+	/** The end of the property value or element */
+	end: number;
+	/** The comma following the entry, if any */
+	comma: Comma | null;
+	/** The comments on the lines right above the entry or before it on its line */
+	leadingComments: Comment[];
+	/** The comments after the entry on its line */
+	trailingComments: Comment[];
+}
+
+/**
+ * Returns the entries (properties or elements) of a container with their range, the comma following them
+ * and their attached comments.
+ * @param containerNode - The container
+ */
+export declare function getEntries(containerNode: NodeObject | NodeArray): ContainerEntry[];
+
+/**
+ * Describes how the entries of a container are laid out.
+ * @param containerNode - The container
+ * @param sourceText - The JSON source text
+ * @param parentNode - The container holding `containerNode`, if any
+ */
+export declare function getContainerLayout(
+	containerNode: NodeObject | NodeArray,
+	sourceText: string,
+	parentNode?: Node | null,
+): ContainerLayout;
+
+/**
+ * Finds the end of the comments that trail a value on the same line.
+ * @param sourceText - The JSON source text
+ * @param pos - The position right after the value
+ * @returns The position of the line break after the trailing comments, or -1
+ */
+export declare function findTrailingCommentEnd(sourceText: string, pos: number): number;
+
+export { ContainerLayout, ContainerEntry };
@@ -0,0 +1,172 @@
+/**
+ * Layout helpers used to make inserted text follow the formatting of the surrounding document.
+ */
+
+const DEFAULT_INDENT_UNIT = "  ";
+
+/**
+ * Detects the line ending used by the document.
+ * @param {string} sourceText - The JSON source text
+ * @returns {string} - "\r\n" when the document uses CRLF, otherwise "\n"
+ */
+export function detectEol(sourceText) {
+	const index = sourceText.indexOf("\n");
+	return index > 0 && sourceText[index - 1] === "\r" ? "\r\n" : "\n";
+}
+
+/**
+ * Detects the indentation unit from the first indented line of the document.
+ * @param {string} sourceText - The JSON source text
+ * @returns {string} - The indentation unit, two spaces when the document has no indented line
+ */
+export function detectIndentUnit(sourceText) {
+	const match = /\n([ \t]+)\S/.exec(sourceText);
+	return match ? match[1] : DEFAULT_INDENT_UNIT;
+}
+
+/**
+ * Returns the leading whitespace of the line containing the given position.
+ * @param {string} sourceText - The JSON source text
+ * @param {number} pos - A position within the line
+ * @returns {string}
+ */
+export function getLineIndent(sourceText, pos) {
+	let lineStart = pos;
+	while (lineStart > 0 && sourceText[lineStart - 1] !== "\n") {
+		lineStart--;
+	}
+
+	let end = lineStart;
+	while (end < sourceText.length && (sourceText[end] === " " || sourceText[end] === "\t")) {
+		end++;
+	}
+
+	return sourceText.slice(lineStart, end);
+}
+
+/**
+ * Re-indents a (possibly multi-line) value so that its continuation lines land at the given indentation.
+ * @param {string} value - The value text
+ * @param {string} indent - The indentation of the line where the value starts
+ * @param {string} eol - The line ending to use
+ * @returns {string}
+ */
+export function reindent(value, indent, eol) {
+	return value.split(/\r?\n/).join(eol + indent);
+}
+
+/**
+ * Strips the indentation of the line where a value starts from its continuation lines, the reverse of reindent(),
+ * so that text taken from the document can be re-indented elsewhere.
+ * @param {string} value - The value text
+ * @param {string} indent - The indentation of the line where the value starts
+ * @returns {string} - The value with "\n" line endings
+ */
+export function dedent(value, indent) {
+	return value
+		.split(/\r?\n/)
+		.map((line, index) => (index > 0 && line.startsWith(indent) ? line.slice(indent.length) : line))
+		.join("\n");
+}
+
+/**
+ * Returns the entries (properties or elements) of a container with their range, the comma following them
+ * and their attached comments.
+ * @param {import('./CSTBuilder.js').NodeObject | import('./CSTBuilder.js').NodeArray} containerNode
+ * @returns {Array<{ start: number, end: number, comma: object | null, leadingComments: object[], trailingComments: object[] }>}
+ */
+export function getEntries(containerNode) {
+	const entries = containerNode.type === "Object" ? containerNode.properties : containerNode.elements;
+	return entries.map((entry) => {
+		const node = containerNode.type === "Object" ? entry.key : entry;
+		return {
+			start: node.start,
+			end: containerNode.type === "Object" ? entry.value.end : entry.end,
+			comma: entry.comma || null,
+			leadingComments: entry.leadingComments || [],
+			trailingComments: entry.trailingComments || [],
+		};
+	});
+}
+
+/**
+ * Describes how the entries of a container are laid out.
+ *
+ * A container is multi-line when its first entry starts on a new line. Empty containers are considered
+ * multi-line when they already span several lines or when their parent is laid out one-entry-per-line,
+ * so inserting into them expands them using the parent's indentation.
+ *
+ * @param {import('./CSTBuilder.js').NodeObject | import('./CSTBuilder.js').NodeArray} containerNode - The container
+ * @param {string} sourceText - The JSON source text
+ * @param {import('./CSTBuilder.js').Node | null} [parentNode] - The container holding `containerNode`, if any
+ * @returns {{ multiline: boolean, indent: string, unit: string, closingIndent: string, eol: string }}
+ */
+export function getContainerLayout(containerNode, sourceText, parentNode) {
+	const eol = detectEol(sourceText);
+	const closingIndent = getLineIndent(sourceText, containerNode.start);
+	const entryStarts = getEntries(containerNode).map((entry) => entry.start);
+
+	if (entryStarts.length > 0) {
+		const multiline = sourceText.slice(containerNode.start + 1, entryStarts[0]).includes("\n");
+		if (!multiline) {
+			return { multiline, indent: closingIndent, unit: detectIndentUnit(sourceText), closingIndent, eol };
+		}
+
+		const indent = getLineIndent(sourceText, entryStarts[0]);
+		const unit =
+			indent.length > closingIndent.length && indent.startsWith(closingIndent)
+				? indent.slice(closingIndent.length)
+				: detectIndentUnit(sourceText);
+
+		return { multiline, indent, unit, closingIndent, eol };
+	}
+
+	let multiline = sourceText.slice(containerNode.start + 1, containerNode.end - 1).includes("\n");
+	let unit = detectIndentUnit(sourceText);
+
+	if (parentNode && (parentNode.type === "Object" || parentNode.type === "Array")) {
+		const parentLayout = getContainerLayout(parentNode, sourceText);
+		if (parentLayout.multiline) {
+			multiline = true;
+			unit = parentLayout.unit;
+		}
+	}
+
+	return { multiline, indent: multiline ? closingIndent + unit : closingIndent, unit, closingIndent, eol };
+}
+
+/**
+ * Finds the end of the comments that trail a value on the same line, e.g. `"a": 1 // note`.
+ * @param {string} sourceText - The JSON source text
+ * @param {number} pos - The position right after the value
+ * @returns {number} - The position of the line break after the trailing comments, or -1 when the value is
+ * not followed by comments only up to the end of its line
+ */
+export function findTrailingCommentEnd(sourceText, pos) {
+	let hasComment = false;
+
+	while (pos < sourceText.length) {
+		const ch = sourceText[pos];
+
+		if (ch === " " || ch === "\t") {
+			pos++;
+		} else if (ch === "/" && sourceText[pos + 1] === "/") {
+			hasComment = true;
+			while (pos < sourceText.length && sourceText[pos] !== "\n" && sourceText[pos] !== "\r") {
+				pos++;
+			}
+		} else if (ch === "/" && sourceText[pos + 1] === "*") {
+			const end = sourceText.indexOf("*/", pos + 2);
+			if (end === -1 || sourceText.slice(pos, end).includes("\n")) {
+				return -1;
+			}
+			hasComment = true;
+			pos = end + 2;
+		} else {
+			break;
+		}
+	}
+
+	const atLineBreak = pos === sourceText.length || sourceText[pos] === "\n" || sourceText[pos] === "\r";
+	return hasComment && atLineBreak ? pos : -1;
+}
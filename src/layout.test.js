@@ -0,0 +1,86 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Tokenizer } from "./Tokenizer.js";
+import { CSTBuilder } from "./CSTBuilder.js";
+import {
+	detectEol,
+	detectIndentUnit,
+	getLineIndent,
+	reindent,
+	dedent,
+	getContainerLayout,
+	findTrailingCommentEnd,
+} from "./layout.js";
+
+function buildCST(source) {
+	return new CSTBuilder(new Tokenizer(source).tokenize()).build();
+}
+
+describe("layout helpers", () => {
+	test("detectEol", () => {
+		assert.equal(detectEol('{\n"a":1}'), "\n");
+		assert.equal(detectEol('{\r\n"a":1}'), "\r\n");
+		assert.equal(detectEol('{"a":1}'), "\n");
+	});
+
+	test("detectIndentUnit", () => {
+		assert.equal(detectIndentUnit('{\n\t"a": 1\n}'), "\t");
+		assert.equal(detectIndentUnit('{\n    "a": 1\n}'), "    ");
+		assert.equal(detectIndentUnit('{"a": 1}'), "  ");
+	});
+
+	test("getLineIndent", () => {
+		const source = '{\n  "a": 1\n}';
+		assert.equal(getLineIndent(source, source.indexOf("1")), "  ");
+		assert.equal(getLineIndent(source, 0), "");
+	});
+
+	test("reindent", () => {
+		assert.equal(reindent("{\n  \"a\": 1\n}", "    ", "\r\n"), '{\r\n      "a": 1\r\n    }');
+		assert.equal(reindent("1", "    ", "\n"), "1");
+	});
+
+	test("dedent", () => {
+		assert.equal(dedent('{\r\n      "a": 1\r\n    }', "    "), '{\n  "a": 1\n}');
+		assert.equal(dedent("[\n1]", "  "), "[\n1]");
+	});
+
+	test("findTrailingCommentEnd", () => {
+		const source = '{\n  "a": 1 // note\n}';
+		const pos = source.indexOf("1") + 1;
+		assert.equal(findTrailingCommentEnd(source, pos), source.indexOf("\n}"));
+		assert.equal(findTrailingCommentEnd('{"a": 1, "b": 2}', 7), -1);
+		assert.equal(findTrailingCommentEnd('{\n  "a": 1\n}', 10), -1);
+	});
+});
+
+describe("getContainerLayout", () => {
+	test("single-line container", () => {
+		const source = '{"a":1,"b":2}';
+		const layout = getContainerLayout(buildCST(source), source);
+		assert.equal(layout.multiline, false);
+	});
+
+	test("multi-line container with tabs and CRLF", () => {
+		const source = '{\r\n\t"a": {\r\n\t\t"b": 1\r\n\t}\r\n}';
+		const root = buildCST(source);
+		const layout = getContainerLayout(root.properties[0].value, source, root);
+		assert.deepEqual(layout, { multiline: true, indent: "\t\t", unit: "\t", closingIndent: "\t", eol: "\r\n" });
+	});
+
+	test("empty container uses the parent's indentation", () => {
+		const source = '{\n    "a": {}\n}';
+		const root = buildCST(source);
+		const layout = getContainerLayout(root.properties[0].value, source, root);
+		assert.equal(layout.multiline, true);
+		assert.equal(layout.indent, "        ");
+		assert.equal(layout.closingIndent, "    ");
+	});
+
+	test("empty container inside a single-line parent stays inline", () => {
+		const source = '{"a": {}}';
+		const root = buildCST(source);
+		const layout = getContainerLayout(root.properties[0].value, source, root);
+		assert.equal(layout.multiline, false);
+	});
+});
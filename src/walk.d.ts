@@ -0,0 +1,71 @@
+import {
+	CSTNode,
+	DocumentNode,
+	ObjectNode,
+	PropertyNode,
+	ArrayNode,
+	StringNode,
+	NumberNode,
+	BooleanNode,
+	NullNode,
+	ParentNode,
+} from "./cst.js";
+
+/**
+ * The context of a visited node
+ */
+interface WalkContext {
+	/** The JSON path of the node, relative to the node the walk started from */
+	path: Array<string | number>;
+	/** The node containing this node */
+	parent: ParentNode | null;
+	/** Do not walk the children of the node (when entering it) */
+	skip(): void;
+	/** Stop the walk */
+	stop(): void;
+}
+
+type VisitorCallback<N, C> = (node: N, ctx: C) => void;
+
+type VisitorHandler<N, C> = VisitorCallback<N, C> | { enter?: VisitorCallback<N, C>; leave?: VisitorCallback<N, C> };
+
+/**
+ * A visitor: a function called when entering every node, or an object with enter/leave callbacks
+ * for every node and handlers per node type
+ */
+type Visitor<C = WalkContext> =
+	| VisitorCallback<CSTNode, C>
+	| {
+			enter?: VisitorCallback<CSTNode, C>;
+			leave?: VisitorCallback<CSTNode, C>;
+			Document?: VisitorHandler<DocumentNode, C>;
+			Object?: VisitorHandler<ObjectNode, C>;
+			Property?: VisitorHandler<PropertyNode, C>;
+			Array?: VisitorHandler<ArrayNode, C>;
+			String?: VisitorHandler<StringNode, C>;
+			Number?: VisitorHandler<NumberNode, C>;
+			Boolean?: VisitorHandler<BooleanNode, C>;
+			Null?: VisitorHandler<NullNode, C>;
+	  };
+
+/**
+ * Walks a CST depth-first, calling the visitor when entering and leaving each node.
+ * Objects are walked through their properties and arrays through their elements; property keys,
+ * comments, whitespace and punctuators are not visited.
+ * @param root - The node to start from, usually the Document returned by `parse()`
+ * @param visitor - The visitor
+ * @param extend - Returns fields added to the context of each node
+ * @example
+ * walk(parse(text), {
+ *   Property(node, ctx) {
+ *     if (node.name === "version") console.log(ctx.path, node.value.value);
+ *   },
+ * });
+ */
+export declare function walk<C extends WalkContext = WalkContext>(
+	root: CSTNode,
+	visitor: Visitor<C>,
+	extend?: (ctx: WalkContext) => Omit<C, keyof WalkContext>,
+): void;
+
+export { WalkContext, Visitor };
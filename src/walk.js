@@ -0,0 +1,118 @@
+/**
+ * Traversal of the CST returned by `parse()`.
+ */
+
+/**
+ * Walks a CST depth-first, calling the visitor when entering and leaving each node.
+ *
+ * The visitor is either a function called when entering every node, or an object with:
+ * - `enter(node, ctx)` / `leave(node, ctx)`, called for every node
+ * - a key per node type (`Document`, `Object`, `Property`, `Array`, `String`, `Number`, `Boolean`, `Null`),
+ *   either a function called when entering nodes of that type, or an `{ enter, leave }` object
+ *
+ * Objects are walked through their properties and arrays through their elements; property keys,
+ * comments, whitespace and punctuators are not visited.
+ *
+ * The context gives the JSON path of the node (relative to `root`), its parent, and lets the visitor skip the
+ * children of the node (`ctx.skip()`, when entering) or stop the traversal (`ctx.stop()`).
+ *
+ * @param {object} root - The node to start from, usually the Document returned by `parse()`
+ * @param {Function|object} visitor - The visitor
+ * @param {(ctx: object) => object} [extend] - Returns fields added to the context of each node
+ * @returns {void}
+ * @example
+ * walk(parse(text), {
+ *   Property(node, ctx) {
+ *     if (node.name === "version") console.log(ctx.path, node.value.value);
+ *   },
+ * });
+ */
+export function walk(root, visitor, extend) {
+	let stopped = false;
+
+	const visit = (node, path) => {
+		let skipped = false;
+		const ctx = {
+			path,
+			parent: node.parent,
+			skip: () => {
+				skipped = true;
+			},
+			stop: () => {
+				stopped = true;
+			},
+		};
+		if (extend) {
+			Object.assign(ctx, extend(ctx));
+		}
+
+		const handlers = getHandlers(visitor, node.type);
+
+		for (const enter of handlers.enter) {
+			enter(node, ctx);
+			if (stopped) return;
+		}
+
+		if (!skipped) {
+			for (const [child, childPath] of getChildren(node, path)) {
+				visit(child, childPath);
+				if (stopped) return;
+			}
+		}
+
+		for (const leave of handlers.leave) {
+			leave(node, ctx);
+			if (stopped) return;
+		}
+	};
+
+	visit(root, []);
+}
+
+/**
+ * Lists the callbacks of a visitor for a node type, in calling order.
+ * @param {Function|object} visitor
+ * @param {string} type
+ * @returns {{ enter: Function[], leave: Function[] }}
+ */
+function getHandlers(visitor, type) {
+	if (typeof visitor === "function") {
+		return { enter: [visitor], leave: [] };
+	}
+
+	const enter = [];
+	const leave = [];
+	const handler = visitor[type];
+
+	if (visitor.enter) enter.push(visitor.enter);
+	if (typeof handler === "function") {
+		enter.push(handler);
+	} else if (handler) {
+		if (handler.enter) enter.push(handler.enter);
+		if (handler.leave) leave.push(handler.leave);
+	}
+	if (visitor.leave) leave.push(visitor.leave);
+
+	return { enter, leave };
+}
+
+/**
+ * Lists the nodes walked below a node, with their path.
+ * @param {object} node
+ * @param {Array<string|number>} path - The path of the node
+ * @returns {Array<[object, Array<string|number>]>}
+ */
+function getChildren(node, path) {
+	switch (node.type) {
+		case "Document":
+			return [[node.value, path]];
+		case "Object":
+			return node.properties.map((property) => [property, [...path, property.name]]);
+		case "Property":
+			return [[node.value, path]];
+		case "Array":
+			return node.elements.map((element, index) => [element, [...path, index]]);
+		default:
+			return [];
+	}
+}
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "./cst.js";
+import { walk } from "./walk.js";
+
+const source = '{\n  "version": "1.0.0",\n  "deps": {"a": {"version": "2.0.0"}, "list": [1, true, null]}\n}';
+
+test("walks nodes in document order with their path", () => {
+	const visited = [];
+	walk(parse(source), (node, ctx) => {
+		visited.push(`${node.type} ${JSON.stringify(ctx.path)}`);
+	});
+
+	assert.deepEqual(visited, [
+		"Document []",
+		"Object []",
+		'Property ["version"]',
+		'String ["version"]',
+		'Property ["deps"]',
+		'Object ["deps"]',
+		'Property ["deps","a"]',
+		'Object ["deps","a"]',
+		'Property ["deps","a","version"]',
+		'String ["deps","a","version"]',
+		'Property ["deps","list"]',
+		'Array ["deps","list"]',
+		'Number ["deps","list",0]',
+		'Boolean ["deps","list",1]',
+		'Null ["deps","list",2]',
+	]);
+});
+
+test("calls type handlers and enter/leave callbacks", () => {
+	const calls = [];
+	walk(parse('{"a": [1]}'), {
+		enter: (node) => calls.push(`enter ${node.type}`),
+		leave: (node) => calls.push(`leave ${node.type}`),
+		Array: {
+			enter: () => calls.push("enter Array handler"),
+			leave: () => calls.push("leave Array handler"),
+		},
+		Number: (node) => calls.push(`Number ${node.value}`),
+	});
+
+	assert.deepEqual(calls, [
+		"enter Document",
+		"enter Object",
+		"enter Property",
+		"enter Array",
+		"enter Array handler",
+		"enter Number",
+		"Number 1",
+		"leave Number",
+		"leave Array handler",
+		"leave Array",
+		"leave Property",
+		"leave Object",
+		"leave Document",
+	]);
+});
+
+test("finds every version key", () => {
+	const versions = [];
+	walk(parse(source), {
+		Property(node, ctx) {
+			if (node.name === "version") versions.push([ctx.path.join("."), node.value.value]);
+		},
+	});
+
+	assert.deepEqual(versions, [
+		["version", "1.0.0"],
+		["deps.a.version", "2.0.0"],
+	]);
+});
+
+test("skip() skips the children of a node, stop() ends the walk", () => {
+	const skipped = [];
+	walk(parse(source), (node, ctx) => {
+		skipped.push(node.type);
+		if (node.type === "Object" && ctx.path.length === 1) ctx.skip();
+	});
+	assert.deepEqual(skipped, ["Document", "Object", "Property", "String", "Property", "Object"]);
+
+	const stopped = [];
+	walk(parse(source), {
+		String(node, ctx) {
+			stopped.push(node.value);
+			ctx.stop();
+		},
+		leave: (node) => stopped.push(`leave ${node.type}`),
+	});
+	assert.deepEqual(stopped, ["1.0.0"]);
+});
+
+test("gives the parent of each node", () => {
+	const parents = [];
+	walk(parse('{"a": [1]}'), (node, ctx) => {
+		parents.push(ctx.parent ? ctx.parent.type : null);
+	});
+
+	assert.deepEqual(parents, [null, "Document", "Object", "Property", "Array"]);
+});